@@ -0,0 +1,2644 @@
+/**
+ * Excel Grid Engine - the DOM-free core of the Excel Grid Library: cell references,
+ * formula parsing and evaluation, dependency tracking, number formats, validation rules
+ * and the Workbook that ties them together. Runs in browsers, Web Workers and Node.
+ * Loaded as a script (or as an ES module without exports) it defines the global
+ * ExcelGridEngine; it is also a CommonJS/AMD module (excel-grid-engine.mjs is the ES
+ * module entry point).
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else {
+        root.ExcelGridEngine = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Cell reference utilities
+    const CellRef = {
+        // Convert A1 notation to row/col indices (0-based); $ marks an absolute column or row
+        parse: function(ref) {
+            const match = ref.match(/^(\$?)([A-Z]+)(\$?)(\d+)$/);
+            if (!match) return null;
+            
+            const colStr = match[2];
+            const row = parseInt(match[4]) - 1;
+            if (row < 0) return null;
+            
+            let col = 0;
+            for (let i = 0; i < colStr.length; i++) {
+                col = col * 26 + (colStr.charCodeAt(i) - 64);
+            }
+            col -= 1;
+            
+            return { row, col, absCol: match[1] === '$', absRow: match[3] === '$' };
+        },
+        
+        // Column letters of a column index (0 -> "A", 27 -> "AB")
+        columnName: function(col) {
+            return this.format(0, col).slice(0, -1);
+        },
+        
+        // Convert row/col indices to A1 notation
+        format: function(row, col, absRow = false, absCol = false) {
+            let colStr = '';
+            col += 1;
+            while (col > 0) {
+                col -= 1;
+                colStr = String.fromCharCode(65 + (col % 26)) + colStr;
+                col = Math.floor(col / 26);
+            }
+            return (absCol ? '$' : '') + colStr + (absRow ? '$' : '') + (row + 1);
+        },
+        
+        // Strip $ markers ($A$1 -> A1)
+        normalize: function(ref) {
+            const parsed = this.parse(ref);
+            return parsed ? this.format(parsed.row, parsed.col) : null;
+        },
+        
+        // Parse "A1:C3" (or a single cell) into ordered start/end corners
+        parseRange: function(range) {
+            const parts = String(range).toUpperCase().split(':');
+            const a = this.parse(parts[0]);
+            const b = parts.length > 1 ? this.parse(parts[1]) : a;
+            if (!a || !b || parts.length > 2) return null;
+            
+            return {
+                start: { row: Math.min(a.row, b.row), col: Math.min(a.col, b.col) },
+                end: { row: Math.max(a.row, b.row), col: Math.max(a.col, b.col) }
+            };
+        },
+        
+        // Move a reference by an offset, leaving its absolute parts fixed.
+        // Returns null when the result would fall off the top or left of the sheet.
+        shift: function(ref, rowOffset, colOffset) {
+            const parsed = this.parse(ref);
+            const row = parsed.absRow ? parsed.row : parsed.row + rowOffset;
+            const col = parsed.absCol ? parsed.col : parsed.col + colOffset;
+            if (row < 0 || col < 0) return null;
+            return this.format(row, col, parsed.absRow, parsed.absCol);
+        },
+        
+        // Split a reference that may name a sheet ("Sheet2!B4", "'Q3 Costs'!A1:A10") into
+        // { sheet, ref }; sheet is null for a plain reference
+        splitSheet: function(ref) {
+            const match = String(ref).match(/^(?:'((?:[^']|'')+)'|([^'!]+))!(.*)$/);
+            if (!match) return { sheet: null, ref: String(ref) };
+            return { sheet: match[1] !== undefined ? match[1].replace(/''/g, "'") : match[2], ref: match[3] };
+        },
+        
+        // Sheet name as written in a formula: quoted unless it is a plain name that cannot
+        // be mistaken for a cell reference (up to three column letters, as in Excel)
+        quoteSheet: function(name) {
+            if (/^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) && !/^[A-Za-z]{1,3}\d+$/.test(name)) {
+                return name;
+            }
+            return `'${name.replace(/'/g, "''")}'`;
+        },
+        
+        // Sheet names are case-insensitive
+        sameSheet: function(a, b) {
+            return String(a).toUpperCase() === String(b).toUpperCase();
+        }
+    };
+
+    // Range value passed to functions (e.g. the A1:B3 in SUM(A1:B3)). sheet is the sheet
+    // name the range was qualified with, or null for the formula's own sheet.
+    function RangeValue(start, end, values, sheet = null) {
+        this.start = start;
+        this.end = end;
+        this.values = values;
+        this.sheet = sheet;
+    }
+
+    RangeValue.prototype.flatten = function() {
+        return [].concat(...this.values);
+    };
+
+    // Error value of a formula (#DIV/0!, #REF!, ...). Errors are values like in Excel: they
+    // are stored in evaluatedData, flow through the formulas that use them and display as
+    // their code. message explains the cause, source and sheet are the cell the error
+    // started in and its sheet. Being an Error, a FormulaError can also be thrown to end a
+    // calculation.
+    function FormulaError(code, message) {
+        this.code = code;
+        this.message = message || FormulaError.messages[code] || code;
+        this.source = null;
+        this.sheet = null;
+    }
+
+    FormulaError.prototype = Object.create(Error.prototype);
+    FormulaError.prototype.constructor = FormulaError;
+    FormulaError.prototype.name = 'FormulaError';
+
+    FormulaError.prototype.toString = function() {
+        return this.code;
+    };
+
+    // Default messages; #CIRC and #ERROR (invalid formula) are this grid's own codes
+    FormulaError.messages = {
+        '#NULL!': 'The ranges do not intersect',
+        '#DIV/0!': 'Division by zero',
+        '#VALUE!': 'A value has the wrong type',
+        '#REF!': 'Reference to a cell that no longer exists',
+        '#NAME?': 'Unknown function or name',
+        '#NUM!': 'The result is not a valid number',
+        '#N/A': 'Value not available',
+        '#CIRC': 'Circular reference',
+        '#ERROR': 'Invalid formula'
+    };
+
+    // Excel's error codes, which can also be typed into cells and formulas
+    FormulaError.codes = ['#NULL!', '#DIV/0!', '#VALUE!', '#REF!', '#NAME?', '#NUM!', '#N/A'];
+
+    // Error for Excel error text ("#N/A"), or null for any other text
+    FormulaError.parse = function(text) {
+        const code = String(text).trim().toUpperCase();
+        return FormulaError.codes.includes(code) ? new FormulaError(code) : null;
+    };
+
+    // Type coercion rules used by operators and functions
+    const Coercion = {
+        // Numbers pass through, booleans become 1/0, blanks 0 and numeric text its value
+        toNumber: function(value) {
+            if (typeof value === 'number') return value;
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            if (value === '' || value === null || value === undefined) return 0;
+            const number = typeof value === 'string' ? Coercion.parseNumber(value) : null;
+            if (number !== null) return number;
+            throw new FormulaError('#VALUE!', `Not a number: ${value}`);
+        },
+        
+        // Text form used by the & operator
+        toText: function(value) {
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+            if (typeof value === 'number') return String(parseFloat(value.toPrecision(15)));
+            return String(value);
+        },
+        
+        toBoolean: function(value) {
+            if (typeof value === 'boolean') return value;
+            if (typeof value === 'string') {
+                const upper = value.toUpperCase();
+                if (upper === 'TRUE') return true;
+                if (upper === 'FALSE') return false;
+            }
+            return Coercion.toNumber(value) !== 0;
+        },
+        
+        // Compare like Excel: numbers < text < booleans, text case-insensitive,
+        // blanks take the type of the other side. Returns -1, 0 or 1.
+        compare: function(a, b) {
+            const rank = (value) => typeof value === 'number' ? 0 : typeof value === 'boolean' ? 2 : 1;
+            const blankFor = (other) => typeof other === 'number' ? 0 : typeof other === 'boolean' ? false : '';
+            
+            if (a === '' || a === null || a === undefined) a = blankFor(b);
+            if (b === '' || b === null || b === undefined) b = blankFor(a);
+            
+            if (rank(a) !== rank(b)) {
+                return rank(a) < rank(b) ? -1 : 1;
+            }
+            if (typeof a === 'string') {
+                a = a.toLowerCase();
+                b = b.toLowerCase();
+            }
+            return a < b ? -1 : a > b ? 1 : 0;
+        },
+        
+        // Ascending sort order of cell values, as in Excel: numbers, text (ignoring case),
+        // FALSE before TRUE, then errors. Blanks are compared separately since they sort
+        // last in both directions.
+        sortCompare: function(a, b) {
+            const rank = (value) => value instanceof FormulaError ? 3 : typeof value === 'number' ? 0 : typeof value === 'boolean' ? 2 : 1;
+            
+            if (rank(a) !== rank(b)) {
+                return rank(a) - rank(b);
+            }
+            if (rank(a) === 3) return 0;
+            if (typeof a === 'string') {
+                return a.localeCompare(b, undefined, { sensitivity: 'base', numeric: false });
+            }
+            return a < b ? -1 : a > b ? 1 : 0;
+        },
+        
+        // Number written as plain decimal text ("42", "-3.5", "1e3"), otherwise null. Hex
+        // ("0x1F"), "Infinity" and numbers too large for a double ("1e400") are not numbers.
+        parseNumber: function(text) {
+            const trimmed = String(text).trim();
+            if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed)) return null;
+            const number = parseFloat(trimmed);
+            return isFinite(number) ? number : null;
+        },
+        
+        // Typed value of a non-formula cell: numeric text becomes a number, TRUE/FALSE a
+        // boolean and an Excel error code ("#N/A") that error. A number that is not finite
+        // (Infinity or NaN set through the API) is #NUM!.
+        parseLiteral: function(value) {
+            if (typeof value === 'number' && !isFinite(value)) return new FormulaError('#NUM!', 'Number out of range');
+            if (typeof value !== 'string') return value;
+            
+            const trimmed = value.trim();
+            const number = Coercion.parseNumber(trimmed);
+            if (number !== null) return number;
+            
+            const upper = trimmed.toUpperCase();
+            if (upper === 'TRUE') return true;
+            if (upper === 'FALSE') return false;
+            
+            return FormulaError.parse(trimmed) || value;
+        }
+    };
+
+    // Helpers shared by the built-in functions
+    const FunctionHelpers = {
+        // First error among the arguments, looking inside ranges
+        firstError: function(args) {
+            for (const arg of args) {
+                if (arg instanceof FormulaError) return arg;
+                if (arg instanceof RangeValue) {
+                    for (const row of arg.values) {
+                        const error = row.find(value => value instanceof FormulaError);
+                        if (error) return error;
+                    }
+                }
+            }
+            return null;
+        },
+
+        // Collect numbers from arguments; ranges contribute only their numeric cells
+        numbers: function(args) {
+            const result = [];
+            for (const arg of args) {
+                if (arg instanceof RangeValue) {
+                    for (const value of arg.flatten()) {
+                        if (typeof value === 'number' && !isNaN(value)) {
+                            result.push(value);
+                        }
+                    }
+                } else {
+                    result.push(Coercion.toNumber(arg));
+                }
+            }
+            return result;
+        },
+
+        // Flatten arguments into a list of values, expanding ranges
+        values: function(args) {
+            const result = [];
+            for (const arg of args) {
+                if (arg instanceof RangeValue) {
+                    result.push(...arg.flatten());
+                } else {
+                    result.push(arg);
+                }
+            }
+            return result;
+        },
+
+        // Round half away from zero, like Excel (mode is Math.round, Math.ceil or Math.floor)
+        round: function(value, digits, mode) {
+            const factor = Math.pow(10, digits);
+            const scaled = parseFloat((Math.abs(value) * factor).toPrecision(15));
+            return Math.sign(value) * mode(scaled) / factor;
+        },
+
+        scalar: function(value, name) {
+            if (value instanceof RangeValue) {
+                throw new Error(`${name} does not accept a range here`);
+            }
+            return value;
+        },
+
+        truthy: function(value) {
+            return Coercion.toBoolean(FunctionHelpers.scalar(value, 'Condition'));
+        },
+
+        // Logical values for AND/OR; ranges contribute only their numbers and booleans
+        booleans: function(args) {
+            const result = [];
+            for (const arg of args) {
+                if (arg instanceof RangeValue) {
+                    for (const value of arg.flatten()) {
+                        if (typeof value === 'boolean' || typeof value === 'number') {
+                            result.push(Coercion.toBoolean(value));
+                        }
+                    }
+                } else {
+                    result.push(Coercion.toBoolean(arg));
+                }
+            }
+            return result;
+        }
+    };
+
+    // Built-in formula functions, keyed by upper-case name. An error argument (or an error
+    // inside a range argument) makes the result that error without calling the function,
+    // unless the function has handlesErrors set.
+    const FormulaFunctions = {
+        SUM: function(...args) {
+            return FunctionHelpers.numbers(args).reduce((sum, value) => sum + value, 0);
+        },
+
+        AVERAGE: function(...args) {
+            const numbers = FunctionHelpers.numbers(args);
+            if (numbers.length === 0) throw new FormulaError('#DIV/0!', 'AVERAGE of no numbers');
+            return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+        },
+
+        MIN: function(...args) {
+            const numbers = FunctionHelpers.numbers(args);
+            return numbers.length ? Math.min(...numbers) : 0;
+        },
+
+        MAX: function(...args) {
+            const numbers = FunctionHelpers.numbers(args);
+            return numbers.length ? Math.max(...numbers) : 0;
+        },
+
+        // Ranges count their numbers; values given directly also count when they are
+        // booleans or numeric text, as in Excel (COUNT(1,"2",TRUE) is 3)
+        COUNT: function(...args) {
+            let count = 0;
+            for (const arg of args) {
+                if (arg instanceof RangeValue) {
+                    count += arg.flatten().filter(value => typeof value === 'number' && !isNaN(value)).length;
+                } else if (typeof arg === 'number' || typeof arg === 'boolean' ||
+                           (typeof arg === 'string' && Coercion.parseNumber(arg) !== null)) {
+                    count++;
+                }
+            }
+            return count;
+        },
+
+        // Errors count as values
+        COUNTA: function(...args) {
+            return FunctionHelpers.values(args).filter(value => value !== '' && value !== null && value !== undefined).length;
+        },
+
+        PRODUCT: function(...args) {
+            return FunctionHelpers.numbers(args).reduce((product, value) => product * value, 1);
+        },
+
+        // Aggregate over the rows a filter leaves visible. 1-6 and 9 select AVERAGE, COUNT,
+        // COUNTA, MAX, MIN, PRODUCT and SUM; 101-106 and 109 behave the same since rows are
+        // only hidden by filters. Errors in hidden rows are ignored.
+        SUBTOTAL: function(functionNumber, ...refs) {
+            if (functionNumber instanceof FormulaError) return functionNumber;
+            const functions = { 1: 'AVERAGE', 2: 'COUNT', 3: 'COUNTA', 4: 'MAX', 5: 'MIN', 6: 'PRODUCT', 9: 'SUM' };
+            const name = functions[Coercion.toNumber(functionNumber) % 100];
+            if (!name) {
+                throw new FormulaError('#VALUE!', `Unsupported SUBTOTAL function: ${functionNumber}`);
+            }
+            
+            const isRowHidden = this.isRowHidden || (() => false);
+            const visible = refs.map(ref => ref instanceof RangeValue
+                ? new RangeValue(ref.start, ref.end, ref.values.filter((row, i) => !isRowHidden(ref.start.row + i, ref.sheet)), ref.sheet)
+                : ref);
+            const error = FormulaFunctions[name].handlesErrors ? null : FunctionHelpers.firstError(visible);
+            return error || FormulaFunctions[name](...visible);
+        },
+
+        ROUND: function(value, digits = 0) {
+            const number = Coercion.toNumber(FunctionHelpers.scalar(value, 'ROUND'));
+            return FunctionHelpers.round(number, Math.trunc(Coercion.toNumber(digits)), Math.round);
+        },
+
+        ROUNDUP: function(value, digits = 0) {
+            const number = Coercion.toNumber(FunctionHelpers.scalar(value, 'ROUNDUP'));
+            return FunctionHelpers.round(number, Math.trunc(Coercion.toNumber(digits)), Math.ceil);
+        },
+
+        ROUNDDOWN: function(value, digits = 0) {
+            const number = Coercion.toNumber(FunctionHelpers.scalar(value, 'ROUNDDOWN'));
+            return FunctionHelpers.round(number, Math.trunc(Coercion.toNumber(digits)), Math.floor);
+        },
+
+        INT: function(value) {
+            return Math.floor(Coercion.toNumber(FunctionHelpers.scalar(value, 'INT')));
+        },
+
+        ABS: function(value) {
+            return Math.abs(Coercion.toNumber(FunctionHelpers.scalar(value, 'ABS')));
+        },
+
+        MOD: function(value, divisor) {
+            const a = Coercion.toNumber(FunctionHelpers.scalar(value, 'MOD'));
+            const b = Coercion.toNumber(FunctionHelpers.scalar(divisor, 'MOD'));
+            if (b === 0) throw new FormulaError('#DIV/0!', 'MOD by zero');
+            // Result takes the sign of the divisor, as in Excel
+            return a - b * Math.floor(a / b);
+        },
+
+        POWER: function(value, exponent) {
+            const result = Math.pow(
+                Coercion.toNumber(FunctionHelpers.scalar(value, 'POWER')),
+                Coercion.toNumber(FunctionHelpers.scalar(exponent, 'POWER'))
+            );
+            if (!isFinite(result)) throw new FormulaError('#NUM!');
+            return result;
+        },
+
+        SQRT: function(value) {
+            const number = Coercion.toNumber(FunctionHelpers.scalar(value, 'SQRT'));
+            if (number < 0) throw new FormulaError('#NUM!', 'SQRT of a negative number');
+            return Math.sqrt(number);
+        },
+
+        // Only an error in the condition or the chosen branch is the result
+        IF: function(condition, whenTrue = true, whenFalse = false) {
+            if (condition instanceof FormulaError) return condition;
+            return FunctionHelpers.truthy(condition) ? whenTrue : whenFalse;
+        },
+
+        AND: function(...args) {
+            const values = FunctionHelpers.booleans(args);
+            if (values.length === 0) throw new FormulaError('#VALUE!', 'AND requires at least one value');
+            return values.every(value => value);
+        },
+
+        OR: function(...args) {
+            const values = FunctionHelpers.booleans(args);
+            if (values.length === 0) throw new FormulaError('#VALUE!', 'OR requires at least one value');
+            return values.some(value => value);
+        },
+
+        NOT: function(value) {
+            return !FunctionHelpers.truthy(value);
+        },
+
+        ISERROR: function(value) {
+            return value instanceof FormulaError;
+        },
+
+        // Any error except #N/A
+        ISERR: function(value) {
+            return value instanceof FormulaError && value.code !== '#N/A';
+        },
+
+        ISNA: function(value) {
+            return value instanceof FormulaError && value.code === '#N/A';
+        },
+
+        IFERROR: function(value, fallback) {
+            return value instanceof FormulaError ? fallback : value;
+        },
+
+        IFNA: function(value, fallback) {
+            return value instanceof FormulaError && value.code === '#N/A' ? fallback : value;
+        },
+
+        NA: function() {
+            return new FormulaError('#N/A');
+        }
+    };
+
+    for (const name of ['COUNT', 'COUNTA', 'SUBTOTAL', 'IF', 'ISERROR', 'ISERR', 'ISNA', 'IFERROR', 'IFNA']) {
+        FormulaFunctions[name].handlesErrors = true;
+    }
+
+    // Functions that read a single-cell reference like a range of one cell, so a blank or
+    // text cell is skipped (AVERAGE(A1) of a blank A1 is #DIV/0!, not 0) while the same
+    // value typed as an argument is converted
+    for (const name of ['SUM', 'AVERAGE', 'MIN', 'MAX', 'COUNT', 'COUNTA', 'PRODUCT', 'AND', 'OR']) {
+        FormulaFunctions[name].referencesAsRanges = true;
+    }
+
+    // Formula parser and evaluator
+    const FormulaParser = {
+        // Tokenize formula string
+        tokenize: function(formula) {
+            const tokens = [];
+            let i = 0;
+            
+            const readName = () => {
+                let name = '';
+                while (i < formula.length && formula[i].match(/[A-Za-z0-9_.$]/)) {
+                    name += formula[i];
+                    i++;
+                }
+                return name.toUpperCase();
+            };
+            
+            // Sheet name between single quotes, '' is an escaped quote
+            const readQuotedName = () => {
+                let name = '';
+                i++;
+                while (true) {
+                    if (i >= formula.length) {
+                        throw new Error('Unterminated sheet name');
+                    }
+                    if (formula[i] === "'") {
+                        if (formula[i + 1] === "'") {
+                            name += "'";
+                            i += 2;
+                            continue;
+                        }
+                        i++;
+                        return name;
+                    }
+                    name += formula[i];
+                    i++;
+                }
+            };
+            
+            const readError = () => {
+                const code = FormulaError.codes.find(code => formula.substr(i, code.length).toUpperCase() === code);
+                if (!code) {
+                    throw new Error(`Unexpected character: ${formula[i]}`);
+                }
+                i += code.length;
+                return code;
+            };
+            
+            // + and - are unary at the start, after an operator (other than postfix %), '(' or ','
+            const isUnaryPosition = () => {
+                const prev = tokens[tokens.length - 1];
+                return !prev ||
+                    (prev.type === 'operator' && prev.value !== '%') ||
+                    (prev.type === 'paren' && prev.value === '(') ||
+                    prev.type === 'comma';
+            };
+            
+            while (i < formula.length) {
+                const char = formula[i];
+                
+                if (char.match(/\s/)) {
+                    i++;
+                    continue;
+                }
+                
+                const twoChars = formula.substr(i, 2);
+                
+                if (twoChars === '<=' || twoChars === '>=' || twoChars === '<>') {
+                    tokens.push({ type: 'operator', value: twoChars });
+                    i += 2;
+                } else if ((char === '+' || char === '-') && isUnaryPosition()) {
+                    tokens.push({ type: 'operator', value: 'u' + char });
+                    i++;
+                } else if (char.match(/[+\-*/^&=<>%]/)) {
+                    tokens.push({ type: 'operator', value: char });
+                    i++;
+                } else if (char === '(') {
+                    tokens.push({ type: 'paren', value: '(' });
+                    i++;
+                } else if (char === ')') {
+                    tokens.push({ type: 'paren', value: ')' });
+                    i++;
+                } else if (char === ',') {
+                    tokens.push({ type: 'comma', value: ',' });
+                    i++;
+                } else if (char === '"') {
+                    // String literal, "" is an escaped quote
+                    let str = '';
+                    i++;
+                    while (true) {
+                        if (i >= formula.length) {
+                            throw new Error('Unterminated string literal');
+                        }
+                        if (formula[i] === '"') {
+                            if (formula[i + 1] === '"') {
+                                str += '"';
+                                i += 2;
+                                continue;
+                            }
+                            i++;
+                            break;
+                        }
+                        str += formula[i];
+                        i++;
+                    }
+                    tokens.push({ type: 'string', value: str });
+                } else if (char === '#') {
+                    // Error literal such as #N/A, or #REF! left by a deleted reference
+                    tokens.push({ type: 'error', value: readError() });
+                } else if (char === "'" || char.match(/[A-Za-z_$]/)) {
+                    // Reference tokens keep the position of their cell part (start, end) and of
+                    // the sheet name in front of it (sheetStart), so either can be rewritten
+                    const sheetStart = i;
+                    let sheet = null;
+                    let name = null;
+                    if (char === "'") {
+                        sheet = readQuotedName();
+                        if (formula[i] !== '!') {
+                            throw new Error(`Expected ! after sheet name '${sheet}'`);
+                        }
+                    } else {
+                        name = readName();
+                        if (formula[i] === '!') {
+                            sheet = formula.substring(sheetStart, i);
+                        }
+                    }
+                    
+                    let start = sheetStart;
+                    if (sheet !== null) {
+                        i++; // Skip the !
+                        start = i;
+                        if (formula[i] === '#') {
+                            // Sheet2!#REF! is what remains of a deleted reference to another sheet
+                            tokens.push({ type: 'error', value: readError() });
+                            continue;
+                        }
+                        name = readName();
+                    }
+                    
+                    if (sheet === null && formula[i] === '(') {
+                        // Function call
+                        tokens.push({ type: 'function', value: name });
+                    } else if (formula[i] === ':') {
+                        // Range reference
+                        i++;
+                        const endName = readName();
+                        if (!CellRef.parse(name) || !CellRef.parse(endName)) {
+                            throw new Error(`Invalid range: ${name}:${endName}`);
+                        }
+                        tokens.push({ type: 'range', value: `${name}:${endName}`, sheet, sheetStart, start, end: i });
+                    } else if (sheet === null && (name === 'TRUE' || name === 'FALSE')) {
+                        tokens.push({ type: 'boolean', value: name === 'TRUE' });
+                    } else if (sheet === null && DefinedNames.pattern.test(name) && !CellRef.parse(name)) {
+                        // Defined name (TaxRate), resolved when the formula is evaluated
+                        tokens.push({ type: 'name', value: name });
+                    } else {
+                        // Cell reference
+                        if (!CellRef.parse(name)) {
+                            throw new Error(`Invalid cell reference: ${name}`);
+                        }
+                        tokens.push({ type: 'cell', value: name, sheet, sheetStart, start, end: i });
+                    }
+                } else if (char.match(/[\d.]/)) {
+                    // Number, optionally with an exponent (1.5E3)
+                    const match = formula.substring(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+                    if (!match) {
+                        throw new Error(`Unexpected character: ${char}`);
+                    }
+                    tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                    i += match[0].length;
+                } else {
+                    throw new Error(`Unexpected character: ${char}`);
+                }
+            }
+            
+            return tokens;
+        },
+        
+        // Operator precedence, lowest to highest, as in Excel
+        precedence: {
+            '=': 1, '<>': 1, '<': 1, '>': 1, '<=': 1, '>=': 1,
+            '&': 2,
+            '+': 3, '-': 3,
+            '*': 4, '/': 4,
+            '^': 5,
+            '%': 6,
+            'u-': 7, 'u+': 7
+        },
+        
+        // Convert infix to postfix (RPN) using Shunting Yard algorithm
+        infixToPostfix: function(tokens) {
+            const output = [];
+            const operators = [];
+            const argCounts = []; // One entry per open function call
+            const precedence = this.precedence;
+            const top = () => operators[operators.length - 1];
+            const isOpenParen = (token) => token.type === 'paren' && token.value === '(';
+            const isEmptyArgument = (previous) => previous && (previous.type === 'comma' || isOpenParen(previous));
+            
+            for (let i = 0; i < tokens.length; i++) {
+                const token = tokens[i];
+                
+                if (token.type === 'number' || token.type === 'string' || token.type === 'boolean' ||
+                    token.type === 'cell' || token.type === 'range' || token.type === 'error' || token.type === 'name') {
+                    output.push(token);
+                } else if (token.type === 'function') {
+                    operators.push(token);
+                    // Peek past the opening paren to spot calls without arguments
+                    const next = tokens[i + 2];
+                    argCounts.push(next && next.type === 'paren' && next.value === ')' ? 0 : 1);
+                } else if (token.type === 'operator') {
+                    if (token.value === '%') {
+                        // Postfix operator applies straight to the preceding operand
+                        output.push(token);
+                    } else if (token.value === 'u-' || token.value === 'u+') {
+                        // Prefix operators wait for their operand
+                        operators.push(token);
+                    } else {
+                        // All binary operators are left-associative (2^3^2 = 64 in Excel)
+                        while (operators.length > 0 &&
+                               top().type === 'operator' &&
+                               precedence[top().value] >= precedence[token.value]) {
+                            output.push(operators.pop());
+                        }
+                        operators.push(token);
+                    }
+                } else if (token.type === 'comma') {
+                    // An empty argument (SUM(A1:C1,) or IF(A1,,1)) is 0, as in Excel
+                    if (isEmptyArgument(tokens[i - 1])) {
+                        output.push({ type: 'number', value: 0 });
+                    }
+                    while (operators.length > 0 && !isOpenParen(top())) {
+                        output.push(operators.pop());
+                    }
+                    const call = operators[operators.length - 2];
+                    if (operators.length === 0 || !call || call.type !== 'function') {
+                        throw new Error('Unexpected comma');
+                    }
+                    argCounts[argCounts.length - 1]++;
+                } else if (token.type === 'paren') {
+                    if (token.value === '(') {
+                        operators.push(token);
+                    } else if (token.value === ')') {
+                        if (tokens[i - 1] && tokens[i - 1].type === 'comma') {
+                            output.push({ type: 'number', value: 0 });
+                        }
+                        while (operators.length > 0 && !isOpenParen(top())) {
+                            output.push(operators.pop());
+                        }
+                        if (operators.length === 0) {
+                            throw new Error('Mismatched parentheses');
+                        }
+                        operators.pop(); // Remove '('
+                        
+                        if (operators.length > 0 && top().type === 'function') {
+                            const fn = operators.pop();
+                            output.push({ type: 'function', value: fn.value, argCount: argCounts.pop() });
+                        }
+                    }
+                }
+            }
+            
+            while (operators.length > 0) {
+                const op = operators.pop();
+                if (op.type !== 'operator') {
+                    throw new Error('Mismatched parentheses');
+                }
+                output.push(op);
+            }
+            
+            return output;
+        },
+        
+        // Build the value of a range token from the individual cells
+        getRangeValue: function(range, getCellValue, sheet = null) {
+            const { start, end } = CellRef.parseRange(range);
+            
+            const values = [];
+            for (let row = start.row; row <= end.row; row++) {
+                const rowValues = [];
+                for (let col = start.col; col <= end.col; col++) {
+                    const value = getCellValue(CellRef.format(row, col), sheet);
+                    rowValues.push(value === null || value === undefined ? '' : value);
+                }
+                values.push(rowValues);
+            }
+            
+            return new RangeValue(start, end, values, sheet);
+        },
+        
+        // A number that is not finite (1e308*10, or a literal like 1e400) is #NUM!, as in
+        // Excel; operators, functions and whole formulas go through this
+        finite: function(result) {
+            if (typeof result === 'number' && !isFinite(result)) {
+                throw new FormulaError('#NUM!', 'Number out of range');
+            }
+            return result;
+        },
+        
+        // Apply an operator; for unary operators the operand is b
+        applyOperator: function(op, a, b) {
+            return this.finite(this.operate(op, a, b));
+        },
+        
+        operate: function(op, a, b) {
+            switch (op) {
+                case 'u-': return -Coercion.toNumber(b);
+                case 'u+': return Coercion.toNumber(b);
+                case '%': return Coercion.toNumber(b) / 100;
+                case '+': return Coercion.toNumber(a) + Coercion.toNumber(b);
+                case '-': return Coercion.toNumber(a) - Coercion.toNumber(b);
+                case '*': return Coercion.toNumber(a) * Coercion.toNumber(b);
+                case '/': {
+                    const divisor = Coercion.toNumber(b);
+                    if (divisor === 0) throw new FormulaError('#DIV/0!');
+                    return Coercion.toNumber(a) / divisor;
+                }
+                case '^': return Math.pow(Coercion.toNumber(a), Coercion.toNumber(b));
+                case '&': return Coercion.toText(a) + Coercion.toText(b);
+                case '=': return Coercion.compare(a, b) === 0;
+                case '<>': return Coercion.compare(a, b) !== 0;
+                case '<': return Coercion.compare(a, b) < 0;
+                case '>': return Coercion.compare(a, b) > 0;
+                case '<=': return Coercion.compare(a, b) <= 0;
+                case '>=': return Coercion.compare(a, b) >= 0;
+            }
+            throw new Error(`Unknown operator: ${op}`);
+        },
+        
+        // Evaluate postfix expression. getCellValue(ref, sheet) returns the value of a cell,
+        // sheet being the name a reference was qualified with (null for none); null stands
+        // for a blank cell, like one past the data. Error values (cells holding errors,
+        // error literals, and the errors operators and functions throw) flow through
+        // operators and functions as values, so IFERROR/ISERROR see them; only a malformed
+        // expression ends the calculation, with #ERROR.
+        // Functions are called with context as this (e.g. to know which rows are hidden);
+        // context.resolveName(name) returns the formula a defined name stands for.
+        evaluate: function(postfix, getCellValue, context = {}) {
+            try {
+                return this.finite(this.evaluateTokens(postfix, getCellValue, context));
+            } catch (error) {
+                return error instanceof FormulaError ? error : new FormulaError('#VALUE!', error.message);
+            }
+        },
+        
+        // Result of an operator or function: a FormulaError it throws becomes its value, any
+        // other failure (such as a range where one value is expected) #VALUE!
+        attempt: function(fn) {
+            try {
+                return fn();
+            } catch (error) {
+                return error instanceof FormulaError ? error : new FormulaError('#VALUE!', error.message);
+            }
+        },
+        
+        evaluateTokens: function(postfix, getCellValue, context) {
+            const stack = [];
+            const cells = []; // Cell token of the stack entries that are a cell's value
+            
+            for (const token of postfix) {
+                cells.length = stack.length;
+                if (token.type === 'number' || token.type === 'string' || token.type === 'boolean') {
+                    stack.push(token.value);
+                } else if (token.type === 'cell') {
+                    const cellValue = getCellValue(token.value, token.sheet);
+                    cells[stack.length] = token;
+                    stack.push(cellValue === null || cellValue === undefined ? '' : cellValue);
+                } else if (token.type === 'range') {
+                    stack.push(this.attempt(() => this.getRangeValue(token.value, getCellValue, token.sheet)));
+                } else if (token.type === 'error') {
+                    stack.push(new FormulaError(token.value));
+                } else if (token.type === 'name') {
+                    stack.push(this.attempt(() => this.getNameValue(token.value, getCellValue, context)));
+                } else if (token.type === 'function') {
+                    const fn = FormulaFunctions[token.value];
+                    if (stack.length < token.argCount) {
+                        throw new FormulaError('#ERROR', 'Invalid expression');
+                    }
+                    const first = stack.length - token.argCount;
+                    const args = stack.splice(first, token.argCount);
+                    if (fn && fn.referencesAsRanges) {
+                        args.forEach((value, i) => {
+                            const cell = cells[first + i];
+                            if (cell) {
+                                const position = CellRef.parse(cell.value);
+                                args[i] = new RangeValue(position, position, [[value]], cell.sheet);
+                            }
+                        });
+                    }
+                    cells.length = first;
+                    if (!fn) {
+                        stack.push(new FormulaError('#NAME?', `Unknown function: ${token.value}`));
+                        continue;
+                    }
+                    const error = fn.handlesErrors ? null : FunctionHelpers.firstError(args);
+                    stack.push(error || this.attempt(() => this.finite(fn.apply(context, args))));
+                } else if (token.type === 'operator') {
+                    const unary = token.value === 'u-' || token.value === 'u+' || token.value === '%';
+                    if (stack.length < (unary ? 1 : 2)) {
+                        throw new FormulaError('#ERROR', 'Invalid expression');
+                    }
+                    
+                    const b = stack.pop();
+                    const a = unary ? undefined : stack.pop();
+                    cells.length = stack.length;
+                    if (a instanceof RangeValue || b instanceof RangeValue) {
+                        stack.push(new FormulaError('#VALUE!', 'A range cannot be used with an operator'));
+                        continue;
+                    }
+                    
+                    // The left operand's error wins, as in Excel
+                    const error = [a, b].find(value => value instanceof FormulaError);
+                    stack.push(error || this.attempt(() => this.applyOperator(token.value, a, b)));
+                }
+            }
+            
+            if (stack.length !== 1 || stack[0] instanceof RangeValue) {
+                throw new FormulaError('#ERROR', 'Invalid expression');
+            }
+            
+            return stack[0];
+        },
+        
+        // Value of a defined name: its constant, the value of its cell, or a RangeValue for
+        // a range so the name can be passed to functions (SUM(Sales)). Unknown names are #NAME?.
+        getNameValue: function(name, getCellValue, context) {
+            const formula = context.resolveName ? context.resolveName(name) : undefined;
+            if (formula === undefined) {
+                return new FormulaError('#NAME?', `Unknown name: ${name}`);
+            }
+            
+            const { postfix } = this.compile(formula);
+            if (postfix.length === 1 && postfix[0].type === 'range') {
+                return this.getRangeValue(postfix[0].value, getCellValue, postfix[0].sheet);
+            }
+            return this.evaluateTokens(postfix, getCellValue, context);
+        },
+        
+        // Compiled formulas by source text, so each formula is only tokenized once
+        cache: new Map(),
+        cacheLimit: 10000,
+        
+        // Compile a formula into postfix form plus the cells ({ sheet, ref }), ranges
+        // ({ sheet, start, end }) and defined names it reads; sheet is null for the formula's
+        // own sheet
+        compile: function(formula) {
+            let compiled = this.cache.get(formula);
+            if (compiled) return compiled;
+            
+            if (!formula.startsWith('=')) {
+                throw new Error('Formula must start with =');
+            }
+            
+            const tokens = this.tokenize(formula.substring(1));
+            const references = { cells: [], ranges: [], names: [] };
+            for (const token of tokens) {
+                if (token.type === 'cell') {
+                    references.cells.push({ sheet: token.sheet, ref: CellRef.normalize(token.value) });
+                } else if (token.type === 'range') {
+                    references.ranges.push(Object.assign({ sheet: token.sheet }, CellRef.parseRange(token.value)));
+                } else if (token.type === 'name') {
+                    references.names.push(token.value);
+                }
+            }
+            
+            compiled = { postfix: this.infixToPostfix(tokens), references };
+            if (this.cache.size >= this.cacheLimit) {
+                this.cache.clear();
+            }
+            this.cache.set(formula, compiled);
+            return compiled;
+        },
+        
+        // Parse and evaluate formula. A formula that cannot be parsed evaluates to #ERROR.
+        parseAndEvaluate: function(formula, getCellValue, context) {
+            let compiled;
+            try {
+                compiled = this.compile(formula);
+            } catch (error) {
+                return new FormulaError('#ERROR', error.message);
+            }
+            return this.evaluate(compiled.postfix, getCellValue, context);
+        },
+        
+        // Rewrite the cell and range references of a formula. The callback receives each
+        // reference token and returns replacement text for its cell part (the sheet name in
+        // front stays), or undefined to keep it as is.
+        mapReferences: function(formula, callback) {
+            const tokens = this.tokenize(formula.substring(1));
+            let result = formula.substring(1);
+            
+            // Splice from the end so earlier token positions stay valid
+            for (let i = tokens.length - 1; i >= 0; i--) {
+                const token = tokens[i];
+                if (token.type !== 'cell' && token.type !== 'range') continue;
+                
+                const replacement = callback(token);
+                if (replacement !== undefined) {
+                    result = result.substring(0, token.start) + replacement + result.substring(token.end);
+                }
+            }
+            
+            return '=' + result;
+        },
+        
+        // Rewrite the sheet names of a formula's references. The callback receives each
+        // sheet name and returns a new name, null when the sheet is gone (the reference
+        // becomes #REF!) or undefined to keep it.
+        mapSheets: function(formula, callback) {
+            const tokens = this.tokenize(formula.substring(1));
+            let result = formula.substring(1);
+            
+            for (let i = tokens.length - 1; i >= 0; i--) {
+                const token = tokens[i];
+                if ((token.type !== 'cell' && token.type !== 'range') || token.sheet === null) continue;
+                
+                const name = callback(token.sheet);
+                if (name === null) {
+                    result = result.substring(0, token.sheetStart) + '#REF!' + result.substring(token.end);
+                } else if (name !== undefined) {
+                    result = result.substring(0, token.sheetStart) + CellRef.quoteSheet(name) + '!' + result.substring(token.start);
+                }
+            }
+            
+            return '=' + result;
+        },
+        
+        // Whether a reference token points into the given sheet ({ name, home }): references
+        // qualified with its name, and unqualified ones in formulas on that sheet (home).
+        // Without a sheet every reference does.
+        refersTo: function(token, sheet) {
+            if (!sheet) return true;
+            return token.sheet === null ? sheet.home : CellRef.sameSheet(token.sheet, sheet.name);
+        },
+        
+        // Adjust relative references for a formula copied by the given offset, as Excel does
+        translate: function(formula, rowOffset, colOffset) {
+            return this.mapReferences(formula, (token) => {
+                const refs = token.value.split(':').map(ref => CellRef.shift(ref, rowOffset, colOffset));
+                return refs.includes(null) ? '#REF!' : refs.join(':');
+            });
+        },
+        
+        // Adjust references for cells moved by the given offset (cut and paste): references
+        // to a cell inside the moved range follow it, absolute or not. A range reference
+        // moves only when the whole range was moved. sheet limits the change to references
+        // into that sheet, see refersTo.
+        relocate: function(formula, moved, rowOffset, colOffset, sheet = null) {
+            const inside = ref => ref.row >= moved.start.row && ref.row <= moved.end.row &&
+                ref.col >= moved.start.col && ref.col <= moved.end.col;
+            
+            return this.mapReferences(formula, (token) => {
+                if (!this.refersTo(token, sheet)) return undefined;
+                const corners = token.value.split(':').map(ref => CellRef.parse(ref));
+                if (!corners.every(inside)) return undefined;
+                
+                return corners.map(ref => CellRef.format(ref.row + rowOffset, ref.col + colOffset, ref.absRow, ref.absCol)).join(':');
+            });
+        },
+        
+        // Adjust references for rows/columns inserted (count > 0) or deleted (count < 0)
+        // at index. axis is 'row' or 'col'. Absolute references move too, as in Excel;
+        // references to deleted cells become #REF! and ranges shrink around deletions.
+        // sheet limits the change to references into that sheet, see refersTo.
+        adjustForStructureChange: function(formula, axis, index, count, sheet = null) {
+            const deleted = count < 0 ? -count : 0;
+            const lastDeleted = index + deleted - 1;
+            
+            const adjust = (position) => {
+                if (count > 0) {
+                    return position >= index ? position + count : position;
+                }
+                return position > lastDeleted ? position - deleted : position;
+            };
+            
+            return this.mapReferences(formula, (token) => {
+                if (!this.refersTo(token, sheet)) return undefined;
+                const corners = token.value.split(':').map(ref => CellRef.parse(ref));
+                
+                if (corners.length === 1) {
+                    const position = corners[0][axis];
+                    if (deleted && position >= index && position <= lastDeleted) {
+                        return '#REF!';
+                    }
+                    corners[0][axis] = adjust(position);
+                } else {
+                    // Work on the low and high edge of the range along the axis
+                    const low = corners[0][axis] <= corners[1][axis] ? corners[0] : corners[1];
+                    const high = low === corners[0] ? corners[1] : corners[0];
+                    let newLow = adjust(low[axis]);
+                    let newHigh = adjust(high[axis]);
+                    
+                    if (deleted) {
+                        if (low[axis] >= index && low[axis] <= lastDeleted) newLow = index;
+                        if (high[axis] >= index && high[axis] <= lastDeleted) newHigh = index - 1;
+                        if (newHigh < newLow) return '#REF!';
+                    }
+                    low[axis] = newLow;
+                    high[axis] = newHigh;
+                }
+                
+                return corners.map(ref => CellRef.format(ref.row, ref.col, ref.absRow, ref.absCol)).join(':');
+            });
+        }
+    };
+
+    // Dependency graph used for recalculation order and circular reference detection.
+    // A graph holds two maps of cell ref -> Set of refs: the cells each formula reads
+    // (precedents) and the formulas reading each cell (dependents). A graph spanning
+    // several sheets tells their cells apart with a prefix per sheet ('2!A1').
+    const DependencyTracker = {
+        createGraph: function() {
+            return { precedents: new Map(), dependents: new Map() };
+        },
+        
+        // Build dependency graph for a single sheet; references to other sheets are ignored
+        buildGraph: function(data) {
+            const graph = this.createGraph();
+            const size = { rows: data.length, cols: data.length ? data[0].length : 0 };
+            const sheetOf = sheet => sheet === null ? { prefix: '', size } : null;
+            
+            for (let row = 0; row < data.length; row++) {
+                for (let col = 0; col < data[row].length; col++) {
+                    const value = data[row][col];
+                    if (typeof value === 'string' && value.startsWith('=')) {
+                        this.setPrecedents(graph, CellRef.format(row, col), this.getReferences(value, sheetOf));
+                    }
+                }
+            }
+            
+            return graph;
+        },
+        
+        // Cells read by a formula, with ranges expanded (clipped to the sheet size).
+        // sheetOf maps the sheet name of a reference (null when unqualified) to the
+        // { prefix, size } of that sheet, or to null for an unknown sheet, whose cells are
+        // left out. resolveName(name) returns the formula of a defined name, whose cells
+        // are read too.
+        getReferences: function(formula, sheetOf, resolveName = () => undefined) {
+            let references;
+            try {
+                references = FormulaParser.compile(formula).references;
+            } catch (e) {
+                return []; // Invalid formula, no dependencies
+            }
+            
+            const cells = [...references.cells];
+            const ranges = [...references.ranges];
+            for (const name of references.names) {
+                const target = resolveName(name);
+                if (target === undefined) continue;
+                
+                const named = FormulaParser.compile(target).references;
+                cells.push(...named.cells);
+                ranges.push(...named.ranges);
+            }
+            
+            const refs = new Set();
+            for (const { sheet, ref } of cells) {
+                const target = sheetOf(sheet);
+                if (target) refs.add(target.prefix + ref);
+            }
+            for (const range of ranges) {
+                const target = sheetOf(range.sheet);
+                if (!target) continue;
+                
+                const lastRow = Math.min(range.end.row, target.size.rows - 1);
+                const lastCol = Math.min(range.end.col, target.size.cols - 1);
+                for (let row = range.start.row; row <= lastRow; row++) {
+                    for (let col = range.start.col; col <= lastCol; col++) {
+                        refs.add(target.prefix + CellRef.format(row, col));
+                    }
+                }
+            }
+            return Array.from(refs);
+        },
+        
+        // Replace the edges of one cell; only that cell's entries are touched
+        setPrecedents: function(graph, cell, refs) {
+            const previous = graph.precedents.get(cell);
+            if (previous) {
+                for (const ref of previous) {
+                    const dependents = graph.dependents.get(ref);
+                    dependents.delete(cell);
+                    if (dependents.size === 0) graph.dependents.delete(ref);
+                }
+                graph.precedents.delete(cell);
+            }
+            
+            if (refs.length === 0) return;
+            
+            graph.precedents.set(cell, new Set(refs));
+            for (const ref of refs) {
+                if (!graph.dependents.has(ref)) graph.dependents.set(ref, new Set());
+                graph.dependents.get(ref).add(cell);
+            }
+        },
+        
+        // Get cells that depend on the given cells, directly or indirectly
+        getDependents: function(graph, cells) {
+            const dependents = new Set();
+            const queue = Array.from(cells);
+            
+            while (queue.length > 0) {
+                const current = queue.pop();
+                for (const dependent of graph.dependents.get(current) || []) {
+                    if (!dependents.has(dependent)) {
+                        dependents.add(dependent);
+                        queue.push(dependent);
+                    }
+                }
+            }
+            
+            return dependents;
+        },
+        
+        // Order a set of cells so every cell comes after the cells it reads (Kahn's algorithm).
+        // Cells that are part of, or depend on, a circular reference cannot be ordered and
+        // are returned separately.
+        topologicalSort: function(graph, cells) {
+            const pending = new Map();
+            const ready = [];
+            
+            for (const cell of cells) {
+                let count = 0;
+                for (const ref of graph.precedents.get(cell) || []) {
+                    if (cells.has(ref)) count++;
+                }
+                if (count === 0) {
+                    ready.push(cell);
+                } else {
+                    pending.set(cell, count);
+                }
+            }
+            
+            const order = [];
+            while (ready.length > 0) {
+                const cell = ready.pop();
+                order.push(cell);
+                for (const dependent of graph.dependents.get(cell) || []) {
+                    if (!pending.has(dependent)) continue;
+                    const count = pending.get(dependent) - 1;
+                    if (count === 0) {
+                        pending.delete(dependent);
+                        ready.push(dependent);
+                    } else {
+                        pending.set(dependent, count);
+                    }
+                }
+            }
+            
+            return { order, circular: Array.from(pending.keys()) };
+        }
+    };
+
+    // Excel-style number formats, applied only when a value is displayed. Supports format
+    // sections (positive;negative;zero;text), digit placeholders 0 # ?, thousands
+    // separators, scaling commas, percent, scientific notation, [Color] tags, quoted and
+    // escaped literals, and date/time codes (dates are Excel serial numbers).
+    const NumberFormat = {
+        presets: {
+            general: 'General',
+            number: '#,##0.00',
+            integer: '#,##0',
+            currency: '$#,##0.00',
+            accounting: '$#,##0.00;($#,##0.00)',
+            percent: '0.00%',
+            scientific: '0.00E+00',
+            date: 'yyyy-mm-dd',
+            time: 'h:mm:ss',
+            datetime: 'yyyy-mm-dd h:mm',
+            text: '@'
+        },
+        
+        monthNames: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+                     'August', 'September', 'October', 'November', 'December'],
+        dayNames: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        
+        // Day 0 of Excel's serial dates; serials count days from here (1900 date system,
+        // correct from March 1900 on)
+        epoch: Date.UTC(1899, 11, 30),
+        
+        cache: new Map(),
+        
+        // A preset name or a format code
+        resolve: function(format) {
+            return this.presets[String(format).toLowerCase()] || String(format);
+        },
+        
+        // { text, color } for a value; color is null unless the section has a [Color] tag
+        format: function(value, format) {
+            const code = this.resolve(format);
+            if (typeof value === 'boolean') {
+                return { text: value ? 'TRUE' : 'FALSE', color: null };
+            }
+            const sections = this.parse(code);
+            // A fourth section, or a lone section with @, formats text
+            const textSection = sections[3] || (sections.length === 1 && sections[0].text ? sections[0] : null);
+            if (typeof value !== 'number') {
+                const text = value === null || value === undefined ? '' : String(value);
+                if (textSection && text !== '' && !(value instanceof FormulaError)) {
+                    return { text: textSection.parts.map(part => part.type === 'text' ? text : part.value).join(''), color: textSection.color };
+                }
+                return { text, color: null };
+            }
+            if (!isFinite(value)) {
+                return { text: '#NUM!', color: null };
+            }
+            if (code.toLowerCase() === 'general' || textSection === sections[0]) {
+                return { text: this.general(value), color: null };
+            }
+            
+            let section = sections[0];
+            let number = value;
+            if (value < 0 && sections[1]) {
+                section = sections[1];
+                number = -value;
+            } else if (value === 0 && sections[2]) {
+                section = sections[2];
+            }
+            
+            const text = section.date ? this.formatDate(number, section) : this.formatNumber(number, section, value < 0 && section === sections[0]);
+            return { text, color: section.color };
+        },
+        
+        // Excel's General format: up to 10 significant digits, scientific for very large
+        // or small numbers
+        general: function(value) {
+            if (!isFinite(value)) return '#NUM!';
+            if (Number.isInteger(value) && Math.abs(value) < 1e11) {
+                return String(value);
+            }
+            const magnitude = Math.abs(value);
+            if (magnitude !== 0 && (magnitude >= 1e11 || magnitude < 1e-9)) {
+                const [mantissa, exponent] = value.toExponential(5).split('e');
+                const sign = exponent.startsWith('-') ? '-' : '+';
+                return `${mantissa.replace(/\.?0+$/, '')}E${sign}${exponent.replace(/^[+-]/, '').padStart(2, '0')}`;
+            }
+            return String(parseFloat(value.toPrecision(10)));
+        },
+        
+        // Split a format code into sections of literal and placeholder parts
+        parse: function(code) {
+            let sections = this.cache.get(code);
+            if (sections) return sections;
+            
+            sections = [];
+            let parts = [];
+            let color = null;
+            const literal = (value) => parts.push({ type: 'literal', value });
+            
+            for (let i = 0; i < code.length; i++) {
+                const char = code[i];
+                if (char === ';') {
+                    sections.push(this.section(parts, color));
+                    parts = [];
+                    color = null;
+                } else if (char === '"') {
+                    const end = code.indexOf('"', i + 1);
+                    literal(code.substring(i + 1, end < 0 ? code.length : end));
+                    i = end < 0 ? code.length : end;
+                } else if (char === '\\') {
+                    literal(code[++i] || '');
+                } else if (char === '_') {
+                    literal(' ');
+                    i++;
+                } else if (char === '*') {
+                    i++; // Fill character: no fixed-width cells to fill
+                } else if (char === '[') {
+                    const end = code.indexOf(']', i);
+                    const tag = code.substring(i + 1, end < 0 ? code.length : end);
+                    i = end < 0 ? code.length : end;
+                    if (tag.startsWith('$')) {
+                        literal(tag.substring(1).split('-')[0]); // Currency tag like [$€-407]
+                    } else if (/^[a-z]+$/i.test(tag)) {
+                        color = tag.toLowerCase();
+                    }
+                } else if (char === '@') {
+                    parts.push({ type: 'text' });
+                } else if (/[0#?.,%]/.test(char) || (/[eE]/.test(char) && /[+-]/.test(code[i + 1] || ''))) {
+                    if (/[eE]/.test(char)) {
+                        parts.push({ type: 'placeholder', value: 'E' + code[++i] });
+                    } else {
+                        parts.push({ type: 'placeholder', value: char });
+                    }
+                } else if (/[ymdhsAaPp]/.test(char) && this.dateToken(code, i)) {
+                    const token = this.dateToken(code, i);
+                    parts.push({ type: 'date', value: token });
+                    i += token.length - 1;
+                } else {
+                    literal(char);
+                }
+            }
+            sections.push(this.section(parts, color));
+            
+            this.cache.set(code, sections);
+            return sections;
+        },
+        
+        // Date/time code starting at position i: runs of one letter, or AM/PM, A/P
+        dateToken: function(code, i) {
+            const rest = code.substring(i);
+            const ampm = rest.match(/^(AM\/PM|am\/pm|A\/P|a\/p)/);
+            if (ampm) return ampm[0];
+            if (!/[ymdhs]/i.test(code[i])) return null;
+            
+            let length = 1;
+            while (code[i + length] && code[i + length].toLowerCase() === code[i].toLowerCase()) length++;
+            return code.substr(i, length);
+        },
+        
+        section: function(parts, color) {
+            const date = parts.some(part => part.type === 'date');
+            if (date) {
+                // "m" after an hour or before a second means minutes
+                const dates = parts.filter(part => part.type === 'date');
+                dates.forEach((part, i) => {
+                    if (!/^m{1,2}$/i.test(part.value)) return;
+                    const previous = dates[i - 1];
+                    const next = dates[i + 1];
+                    if ((previous && /^h/i.test(previous.value)) || (next && /^s/i.test(next.value))) {
+                        part.minutes = true;
+                    }
+                });
+                // Percent and other placeholders are literals in a date format
+                parts = parts.map(part => part.type === 'placeholder' ? { type: 'literal', value: part.value } : part);
+            }
+            return { parts, color, date, text: parts.some(part => part.type === 'text') };
+        },
+        
+        formatNumber: function(value, section, signed) {
+            const parts = section.parts;
+            const placeholders = parts.filter(part => part.type === 'placeholder').map(part => part.value);
+            if (placeholders.length === 0) {
+                // Only literals: the section replaces the number (e.g. "zero")
+                return parts.map(part => part.value || '').join('');
+            }
+            
+            const first = parts.findIndex(part => part.type === 'placeholder' && part.value !== '%');
+            const last = parts.length - 1 - [...parts].reverse().findIndex(part => part.type === 'placeholder' && part.value !== '%');
+            const pattern = parts.slice(first, last + 1).map(part => part.type === 'placeholder' ? part.value : '').join('');
+            
+            const percents = placeholders.filter(p => p === '%').length;
+            value *= Math.pow(100, percents);
+            
+            // Commas right after the last digit placeholder divide by 1000 each
+            const scaling = pattern.match(/,+$/);
+            if (scaling) value /= Math.pow(1000, scaling[0].length);
+            const digits = pattern.replace(/,+$/, '');
+            
+            const exponentIndex = digits.search(/E[+-]/);
+            const mantissa = exponentIndex >= 0 ? digits.substring(0, exponentIndex) : digits;
+            const [integerPattern, decimalPattern = ''] = mantissa.split('.');
+            const decimals = decimalPattern.replace(/[^0#?]/g, '').length;
+            const minDecimals = decimalPattern.replace(/[^0]/g, '').length;
+            const minInteger = integerPattern.replace(/[^0]/g, '').length;
+            const grouping = integerPattern.includes(',');
+            
+            let exponentText = '';
+            if (exponentIndex >= 0) {
+                const exponent = value === 0 ? 0 : Math.floor(Math.log10(Math.abs(value)));
+                value /= Math.pow(10, exponent);
+                const exponentDigits = digits.substring(exponentIndex + 2).replace(/[^0]/g, '').length || 1;
+                const sign = exponent < 0 ? '-' : digits[exponentIndex + 1] === '+' ? '+' : '';
+                exponentText = 'E' + sign + String(Math.abs(exponent)).padStart(exponentDigits, '0');
+            }
+            
+            // Rounded like ROUND, so 1.005 shows as 1.01 the way =ROUND(1.005,2) computes it
+            const magnitude = Math.abs(value);
+            const rounded = magnitude >= 1e15 ? magnitude : FunctionHelpers.round(magnitude, decimals, Math.round);
+            let [integerText, decimalText = ''] = rounded.toFixed(decimals).split('.');
+            while (decimalText.length > minDecimals && decimalText.endsWith('0')) {
+                decimalText = decimalText.slice(0, -1);
+            }
+            integerText = integerText.replace(/^0+/, '').padStart(minInteger, '0');
+            if (grouping) {
+                integerText = integerText.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+            }
+            
+            const number = integerText + (decimalText || decimals && minDecimals ? '.' + decimalText : '') + exponentText;
+            const text = (list) => list.map(part => part.type === 'placeholder' ? (part.value === '%' ? '%' : '') : part.value || '').join('');
+            // The minus sign goes in front of any prefix, as in -$3.50
+            const sign = signed && /[1-9]/.test(number) ? '-' : '';
+            return sign + text(parts.slice(0, first)) + number + text(parts.slice(last + 1));
+        },
+        
+        formatDate: function(serial, section) {
+            // Excel shows dates before 1900 or after 9999 as a column of #
+            if (serial < 0 || serial >= 2958466) return '#####';
+            
+            const date = new Date(this.epoch + Math.round(serial * 86400) * 1000);
+            const hasAmPm = section.parts.some(part => part.type === 'date' && /^(AM\/PM|A\/P)$/i.test(part.value));
+            const hours = date.getUTCHours();
+            const pad = (number, length) => String(number).padStart(length, '0');
+            
+            return section.parts.map(part => {
+                if (part.type !== 'date') return part.value || '';
+                
+                const token = part.value;
+                const lower = token.toLowerCase();
+                if (/^(am\/pm|a\/p)$/.test(lower)) {
+                    const pm = hours >= 12;
+                    return lower === 'a/p' ? (pm ? 'P' : 'A') : (pm ? 'PM' : 'AM');
+                }
+                if (lower[0] === 'y') {
+                    return lower.length <= 2 ? pad(date.getUTCFullYear() % 100, 2) : String(date.getUTCFullYear());
+                }
+                if (lower[0] === 'm' && part.minutes) {
+                    return pad(date.getUTCMinutes(), lower.length);
+                }
+                if (lower[0] === 'm') {
+                    const month = date.getUTCMonth();
+                    if (lower.length >= 5) return this.monthNames[month][0];
+                    if (lower.length === 4) return this.monthNames[month];
+                    if (lower.length === 3) return this.monthNames[month].substring(0, 3);
+                    return pad(month + 1, lower.length);
+                }
+                if (lower[0] === 'd') {
+                    const day = date.getUTCDay();
+                    if (lower.length >= 4) return this.dayNames[day];
+                    if (lower.length === 3) return this.dayNames[day].substring(0, 3);
+                    return pad(date.getUTCDate(), lower.length);
+                }
+                if (lower[0] === 'h') {
+                    const hour = hasAmPm ? (hours % 12 || 12) : hours;
+                    return pad(hour, Math.min(lower.length, 2));
+                }
+                return pad(date.getUTCSeconds(), Math.min(lower.length, 2));
+            }).join('');
+        },
+        
+        // Serial number of a date/time given in UTC parts
+        toSerial: function(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+            return (Date.UTC(year, month - 1, day, hours, minutes, seconds) - this.epoch) / 86400000;
+        },
+        
+        // Text put in the editor for a stored value, so dates and percentages are edited as
+        // they were typed ("2026-10-18", "12%") instead of as serial numbers and fractions
+        toInput: function(value, format) {
+            if (typeof value !== 'number' || !format) return value;
+            
+            const section = this.parse(this.resolve(format))[0];
+            if (section.date) {
+                const time = section.parts.some(part => part.type === 'date' && /^[hs]/i.test(part.value));
+                const day = section.parts.some(part => part.type === 'date' && /^[yd]/i.test(part.value) || part.type === 'date' && /^m/i.test(part.value) && !part.minutes);
+                const code = [day ? 'yyyy-mm-dd' : '', time ? 'hh:mm:ss' : ''].filter(Boolean).join(' ');
+                return this.formatDate(value, this.parse(code)[0]).replace(/:00$/, '');
+            }
+            if (section.parts.some(part => part.value === '%')) {
+                return parseFloat((value * 100).toPrecision(15)) + '%';
+            }
+            return value;
+        },
+        
+        // Typed value of entered text that a format explains, as Excel does on entry:
+        // "12%", "$1,200.50", "1,200", "2026-10-18", "10/18/2026", "14:30", "2:30 PM".
+        // Returns { value, format } or null for anything else.
+        parseInput: function(text) {
+            if (typeof text !== 'string') return null;
+            const input = text.trim();
+            const number = '(\\d{1,3}(?:,\\d{3})+|\\d+)(\\.\\d+)?';
+            const toNumber = (integer, decimals) => parseFloat(integer.replace(/,/g, '') + (decimals || ''));
+            const decimalsFormat = (decimals) => decimals && decimals.length > 1 ? '.' + '0'.repeat(Math.min(decimals.length - 1, 10)) : '';
+            let match;
+            
+            if ((match = input.match(new RegExp(`^([+-]?)${number}\\s*%$`)))) {
+                const value = toNumber(match[2], match[3]) / 100;
+                return { value: match[1] === '-' ? -value : value, format: '0' + decimalsFormat(match[3]) + '%' };
+            }
+            if ((match = input.match(new RegExp(`^(-?)\\$\\s*(-?)${number}$`)))) {
+                const value = toNumber(match[3], match[4]);
+                const negative = match[1] === '-' || match[2] === '-';
+                return { value: negative ? -value : value, format: '$#,##0' + decimalsFormat(match[4]) };
+            }
+            if ((match = input.match(/^([+-]?)(\d{1,3}(?:,\d{3})+)(\.\d+)?$/))) {
+                const value = toNumber(match[2], match[3]);
+                return { value: match[1] === '-' ? -value : value, format: '#,##0' + decimalsFormat(match[3]) };
+            }
+            
+            const time = '(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\s*([AaPp])[Mm])?';
+            const toHours = (hours, ampm) => {
+                hours = parseInt(hours);
+                if (!ampm) return hours;
+                return (hours % 12) + (ampm.toUpperCase() === 'P' ? 12 : 0);
+            };
+            const validTime = (m, hourIndex) => parseInt(m[hourIndex]) < (m[hourIndex + 3] ? 13 : 24) &&
+                parseInt(m[hourIndex + 1]) < 60 && parseInt(m[hourIndex + 2] || 0) < 60;
+            
+            const date = (year, month, day) => {
+                const serial = this.toSerial(year, month, day);
+                const check = new Date(this.epoch + serial * 86400000);
+                return check.getUTCMonth() === month - 1 && check.getUTCDate() === day ? serial : null;
+            };
+            
+            if ((match = input.match(new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})(?:[ T]${time})?$`)))) {
+                const serial = date(+match[1], +match[2], +match[3]);
+                if (serial === null) return null;
+                if (!match[4]) return { value: serial, format: 'yyyy-mm-dd' };
+                if (!validTime(match, 4)) return null;
+                const hours = toHours(match[4], match[7]);
+                return { value: serial + (hours * 3600 + parseInt(match[5]) * 60 + parseInt(match[6] || 0)) / 86400, format: 'yyyy-mm-dd h:mm' };
+            }
+            if ((match = input.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+                const serial = date(+match[3], +match[1], +match[2]);
+                return serial === null ? null : { value: serial, format: 'm/d/yyyy' };
+            }
+            if ((match = input.match(new RegExp(`^${time}$`))) && validTime(match, 1)) {
+                const hours = toHours(match[1], match[4]);
+                const seconds = hours * 3600 + parseInt(match[2]) * 60 + parseInt(match[3] || 0);
+                const format = (match[3] ? 'h:mm:ss' : 'h:mm') + (match[4] ? ' AM/PM' : '');
+                return { value: seconds / 86400, format };
+            }
+            return null;
+        }
+    };
+
+    // Data validation rules. A rule is { type, ... }:
+    //   number / integer: min, max (inclusive, either optional)
+    //   length: min, max characters
+    //   regex: pattern (RegExp or source string), flags
+    //   date: min, max as dates ('2026-01-01') or serial numbers
+    //   list: values (array), shown as a dropdown editor unless dropdown is false
+    //   any: no check (exempts cells of a validated column)
+    // plus allowBlank (default true), message (replaces the default message) and mode
+    // ('reject' or 'flag', default the validationMode option).
+    const Validation = {
+        types: ['number', 'integer', 'length', 'regex', 'date', 'list', 'any'],
+        
+        // Checked copy of a rule in plain JSON (regexes become pattern and flags)
+        normalize: function(rule) {
+            if (!rule || typeof rule !== 'object' || !this.types.includes(rule.type)) {
+                throw new Error(`Invalid validation rule: ${rule && rule.type}`);
+            }
+            
+            const normalized = Object.assign({}, rule);
+            if (rule.type === 'regex') {
+                if (rule.pattern instanceof RegExp) {
+                    normalized.pattern = rule.pattern.source;
+                    normalized.flags = rule.flags !== undefined ? rule.flags : rule.pattern.flags;
+                }
+                new RegExp(normalized.pattern, normalized.flags || ''); // Throws on a bad pattern
+            }
+            if (rule.type === 'list') {
+                if (!Array.isArray(rule.values)) {
+                    throw new Error('A list validation rule needs an array of values');
+                }
+                normalized.values = rule.values.map(String);
+            }
+            if (rule.type === 'date') {
+                for (const bound of ['min', 'max']) {
+                    if (rule[bound] !== undefined && this.toSerial(rule[bound]) === null) {
+                        throw new Error(`Invalid date: ${rule[bound]}`);
+                    }
+                }
+            }
+            return normalized;
+        },
+        
+        toSerial: function(date) {
+            if (typeof date === 'number') return date;
+            const parsed = NumberFormat.parseInput(String(date));
+            return parsed && /[yd]/.test(parsed.format) ? parsed.value : null;
+        },
+        
+        // Error message for a value, or null when it is valid. value is the typed value
+        // (numbers for numeric and date rules); text is the raw entry, used by the text rules.
+        check: function(rule, value, text = value) {
+            const blank = value === '' || value === null || value === undefined;
+            if (blank) {
+                return rule.allowBlank === false ? (rule.message || 'A value is required') : null;
+            }
+            // Describes the bounds, e.g. bounds(0, 100, 'no smaller than', 'no larger than')
+            const bounds = (min, max, atLeast, atMost) => {
+                if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+                if (min !== undefined) return ` ${atLeast} ${min}`;
+                return max !== undefined ? ` ${atMost} ${max}` : '';
+            };
+            const inRange = (number, min, max) =>
+                (min === undefined || number >= min) && (max === undefined || number <= max);
+            let valid;
+            let message;
+            
+            switch (rule.type) {
+                case 'number':
+                case 'integer':
+                    valid = typeof value === 'number' && inRange(value, rule.min, rule.max) &&
+                        (rule.type === 'number' || Number.isInteger(value));
+                    message = `Enter ${rule.type === 'integer' ? 'a whole number' : 'a number'}` +
+                        bounds(rule.min, rule.max, 'no smaller than', 'no larger than');
+                    break;
+                case 'length':
+                    valid = inRange(String(text).length, rule.min, rule.max);
+                    message = 'Enter text' + (rule.min !== undefined && rule.max !== undefined
+                        ? ` of ${rule.min} to ${rule.max} characters`
+                        : bounds(rule.min, rule.max, 'of at least', 'of at most') + ' characters');
+                    break;
+                case 'regex':
+                    valid = new RegExp(rule.pattern, rule.flags || '').test(String(text));
+                    message = 'The value does not match the required format';
+                    break;
+                case 'date': {
+                    const min = rule.min !== undefined ? this.toSerial(rule.min) : undefined;
+                    const max = rule.max !== undefined ? this.toSerial(rule.max) : undefined;
+                    valid = typeof value === 'number' && inRange(value, min, max);
+                    const show = (serial) => serial === undefined ? undefined : NumberFormat.format(serial, 'yyyy-mm-dd').text;
+                    message = 'Enter a date' + bounds(show(min), show(max), 'on or after', 'on or before');
+                    break;
+                }
+                case 'list':
+                    valid = rule.values.includes(String(text));
+                    message = `Choose one of: ${rule.values.join(', ')}`;
+                    break;
+                default:
+                    valid = true;
+            }
+            
+            return valid ? null : (rule.message || message);
+        }
+    };
+
+    // Conditional formatting rules. Each rule applies to a range ('C2:C20') and has a type:
+    //   cellValue         compares the value with value (and value2) using operator, e.g.
+    //                     'greaterThan' or 'between'; a value starting with '=' is a formula
+    //   top / bottom      the count (default 10) highest or lowest numbers, or count
+    //                     percent of them with percent: true
+    //   duplicate / unique  values found more than once / once in the range
+    //   formula           formula ('=C2>B2') is written for the range's first cell and its
+    //                     relative references move along for the others; TRUE matches
+    //   colorScale        background blended between colors ([min, max] or [min, mid, max])
+    //   dataBar           a bar of color as long as the number, relative to the range
+    // Matching cells get the rule's style { background, color, bold, italic }.
+    const ConditionalFormat = {
+        types: ['cellValue', 'top', 'bottom', 'duplicate', 'unique', 'formula', 'colorScale', 'dataBar'],
+        
+        // Test of a comparison result (Coercion.compare of the value and the operand)
+        operators: {
+            equal: order => order === 0,
+            notEqual: order => order !== 0,
+            greaterThan: order => order > 0,
+            greaterThanOrEqual: order => order >= 0,
+            lessThan: order => order < 0,
+            lessThanOrEqual: order => order <= 0,
+            between: (order, order2) => order >= 0 && order2 <= 0,
+            notBetween: (order, order2) => order < 0 || order2 > 0
+        },
+        
+        // Excel's "Light red fill with dark red text" and "Red - Yellow - Green" scale
+        defaultStyle: { background: '#ffc7ce', color: '#9c0006' },
+        defaultColors: ['#f8696b', '#ffeb84', '#63be7b'],
+        defaultBarColor: '#638ec6',
+        
+        // Checked copy of a rule
+        normalize: function(rule) {
+            if (!rule || typeof rule !== 'object' || !this.types.includes(rule.type)) {
+                throw new Error(`Invalid conditional format rule: ${rule && rule.type}`);
+            }
+            const range = String(rule.range || '').toUpperCase();
+            if (!CellRef.parseRange(range)) {
+                throw new Error(`Invalid range: ${rule.range}`);
+            }
+            const isColor = color => typeof color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color);
+            const checkFormula = (formula) => {
+                try {
+                    FormulaParser.compile(formula);
+                } catch (e) {
+                    throw new Error(`Invalid conditional format formula: ${formula} (${e.message})`);
+                }
+            };
+            
+            const normalized = JSON.parse(JSON.stringify(rule));
+            normalized.range = range;
+            switch (rule.type) {
+                case 'cellValue': {
+                    if (!this.operators[rule.operator]) {
+                        throw new Error(`Unknown conditional format operator: ${rule.operator}`);
+                    }
+                    const operands = /between/i.test(rule.operator) ? ['value', 'value2'] : ['value'];
+                    for (const operand of operands) {
+                        if (rule[operand] === undefined) {
+                            throw new Error(`The ${rule.operator} rule needs ${operand}`);
+                        }
+                        if (typeof rule[operand] === 'string' && rule[operand].startsWith('=')) {
+                            checkFormula(rule[operand]);
+                        }
+                    }
+                    break;
+                }
+                case 'top':
+                case 'bottom':
+                    normalized.count = rule.count === undefined ? 10 : rule.count;
+                    if (typeof normalized.count !== 'number' || !(normalized.count > 0)) {
+                        throw new Error(`Invalid count: ${rule.count}`);
+                    }
+                    break;
+                case 'formula':
+                    if (typeof rule.formula !== 'string' || !rule.formula.startsWith('=')) {
+                        throw new Error('A formula rule needs a formula starting with =');
+                    }
+                    checkFormula(rule.formula);
+                    break;
+                case 'colorScale':
+                    normalized.colors = rule.colors || this.defaultColors;
+                    if (!Array.isArray(normalized.colors) || normalized.colors.length < 2 ||
+                        normalized.colors.length > 3 || !normalized.colors.every(isColor)) {
+                        throw new Error('A color scale needs 2 or 3 colors written as #rrggbb');
+                    }
+                    break;
+                case 'dataBar':
+                    normalized.color = rule.color || this.defaultBarColor;
+                    if (!isColor(normalized.color)) {
+                        throw new Error(`Invalid color: ${rule.color}`);
+                    }
+                    break;
+            }
+            if (rule.type !== 'colorScale' && rule.type !== 'dataBar') {
+                normalized.style = Object.assign({}, rule.style || this.defaultStyle);
+            }
+            return normalized;
+        },
+        
+        // What a rule needs to know about its whole range, from the range's evaluated values
+        summarize: function(rule, values) {
+            const numbers = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+            switch (rule.type) {
+                case 'top':
+                case 'bottom': {
+                    const count = rule.percent ? Math.max(1, Math.floor(numbers.length * rule.count / 100)) : rule.count;
+                    const index = Math.min(count, numbers.length) - 1;
+                    return { threshold: rule.type === 'top' ? numbers[numbers.length - 1 - index] : numbers[index] };
+                }
+                case 'duplicate':
+                case 'unique': {
+                    const counts = new Map();
+                    for (const value of values) {
+                        const key = this.valueKey(value);
+                        if (key !== null) counts.set(key, (counts.get(key) || 0) + 1);
+                    }
+                    return { counts };
+                }
+                case 'colorScale':
+                case 'dataBar':
+                    return { min: numbers[0], mid: this.median(numbers), max: numbers[numbers.length - 1] };
+                default:
+                    return null;
+            }
+        },
+        
+        // Key telling equal values apart for duplicate/unique (text ignores case); null for
+        // blanks and errors, which never match
+        valueKey: function(value) {
+            if (value === '' || value === null || value === undefined || value instanceof FormulaError) {
+                return null;
+            }
+            return typeof value === 'string' ? 's:' + value.toLowerCase() : `${typeof value}:${value}`;
+        },
+        
+        median: function(sorted) {
+            if (!sorted.length) return undefined;
+            const middle = (sorted.length - 1) / 2;
+            return (sorted[Math.floor(middle)] + sorted[Math.ceil(middle)]) / 2;
+        },
+        
+        // Format of one cell: null, a style, { background } for a color scale or
+        // { bar, barColor } (bar from 0 to 1) for a data bar. summary comes from summarize;
+        // evaluate(formula) returns the value of a formula written for the range's first
+        // cell, evaluated for this cell.
+        apply: function(rule, value, summary, evaluate) {
+            if (value instanceof FormulaError && rule.type !== 'formula') return null;
+            
+            let matches;
+            switch (rule.type) {
+                case 'cellValue': {
+                    const operand = (name) => {
+                        const operandValue = rule[name];
+                        return typeof operandValue === 'string' && operandValue.startsWith('=') ? evaluate(operandValue) : operandValue;
+                    };
+                    const first = operand('value');
+                    const second = rule.value2 === undefined ? undefined : operand('value2');
+                    if (first instanceof FormulaError || second instanceof FormulaError) return null;
+                    matches = this.operators[rule.operator](Coercion.compare(value, first),
+                        second === undefined ? 0 : Coercion.compare(value, second));
+                    break;
+                }
+                case 'top':
+                    matches = typeof value === 'number' && value >= summary.threshold;
+                    break;
+                case 'bottom':
+                    matches = typeof value === 'number' && value <= summary.threshold;
+                    break;
+                case 'duplicate':
+                case 'unique': {
+                    const key = this.valueKey(value);
+                    const count = key === null ? 0 : summary.counts.get(key);
+                    matches = rule.type === 'duplicate' ? count > 1 : count === 1;
+                    break;
+                }
+                case 'formula': {
+                    const result = evaluate(rule.formula);
+                    // Like Excel, only TRUE or a non-zero number applies the format
+                    matches = result === true || (typeof result === 'number' && result !== 0);
+                    break;
+                }
+                case 'colorScale':
+                    return typeof value === 'number' ? { background: this.scaleColor(rule.colors, value, summary) } : null;
+                case 'dataBar': {
+                    if (typeof value !== 'number') return null;
+                    // Bars start at zero, or at the smallest number when that is negative
+                    const low = Math.min(0, summary.min);
+                    const bar = summary.max === low ? 1 : (value - low) / (summary.max - low);
+                    return { bar, barColor: rule.color };
+                }
+            }
+            return matches ? rule.style : null;
+        },
+        
+        // Color of a number on a scale: the first color at the minimum, the last at the
+        // maximum and the middle one (of three) at the median
+        scaleColor: function(colors, value, { min, mid, max }) {
+            const fraction = (low, high) => high === low ? 0 : Math.min(1, Math.max(0, (value - low) / (high - low)));
+            if (colors.length === 2) {
+                return this.blend(colors[0], colors[1], fraction(min, max));
+            }
+            return value <= mid
+                ? this.blend(colors[0], colors[1], fraction(min, mid))
+                : this.blend(colors[1], colors[2], fraction(mid, max));
+        },
+        
+        // Color between two #rgb/#rrggbb colors, as #rrggbb
+        blend: function(from, to, fraction) {
+            const channels = (color) => {
+                const hex = color.length === 4 ? color.replace(/[0-9a-f]/gi, digit => digit + digit) : color;
+                return [1, 3, 5].map(start => parseInt(hex.substring(start, start + 2), 16));
+            };
+            const start = channels(from);
+            const end = channels(to);
+            return '#' + start.map((channel, i) => Math.round(channel + (end[i] - channel) * fraction)
+                .toString(16).padStart(2, '0')).join('');
+        }
+    };
+
+    // Delimited text (CSV/TSV) following RFC 4180 quoting: fields containing the
+    // delimiter, quotes or line breaks are quoted and quotes are doubled
+    const DelimitedText = {
+        parse: function(text, delimiter = ',') {
+            const rows = [];
+            let row = [];
+            let field = '';
+            let quoted = false;
+            
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"' && field === '') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\r' || char === '\n') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += char;
+                }
+            }
+            
+            // A trailing line break does not start another row
+            if (field !== '' || row.length > 0) {
+                row.push(field);
+                rows.push(row);
+            }
+            return rows;
+        },
+        
+        stringify: function(rows, delimiter = ',', lineBreak = '\r\n') {
+            return rows.map(row => row.map(value => {
+                const text = value === null || value === undefined ? '' : String(value);
+                if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+                    return '"' + text.replace(/"/g, '""') + '"';
+                }
+                return text;
+            }).join(delimiter)).join(lineBreak);
+        }
+    };
+
+    // Defined names (TaxRate, Sales) stand for a cell, a range or a constant. Each is kept
+    // as the formula it stands for, with absolute references qualified by their sheet
+    // ('=Sheet1!$F$1', '=Sheet1!$B$2:$B$50', '=0.0825'), so sheet renames and row or
+    // column changes rewrite it like any other formula.
+    const DefinedNames = {
+        pattern: /^[A-Za-z_][A-Za-z0-9_.]*$/,
+        
+        // Throws when name cannot be used as a defined name
+        check: function(name) {
+            if (typeof name !== 'string' || !this.pattern.test(name) || name.length > 255) {
+                throw new Error(`Invalid name: ${name}`);
+            }
+            const upper = name.toUpperCase();
+            if (CellRef.parse(upper) || upper === 'TRUE' || upper === 'FALSE') {
+                throw new Error(`Invalid name: ${name} (it reads as a cell reference or value)`);
+            }
+        },
+        
+        // Formula of a name from what it refers to: a cell or range reference ('F1',
+        // 'B2:B50', "'Q3 Costs'!A1"), a number, boolean or text, or such a formula
+        // ('=Sheet1!$F$1', '=0.0825'). References become absolute; sheetName qualifies
+        // those without a sheet.
+        formula: function(refersTo, sheetName) {
+            if (typeof refersTo === 'number') {
+                if (!isFinite(refersTo)) {
+                    throw new Error(`Invalid name value: ${refersTo}`);
+                }
+                return `=${refersTo}`;
+            }
+            if (typeof refersTo === 'boolean') {
+                return refersTo ? '=TRUE' : '=FALSE';
+            }
+            if (typeof refersTo !== 'string') {
+                throw new Error(`Invalid name value: ${refersTo}`);
+            }
+            if (!refersTo.startsWith('=')) {
+                // Text that is not a reference is a text constant
+                if (!CellRef.parseRange(CellRef.splitSheet(refersTo).ref)) {
+                    return `="${refersTo.replace(/"/g, '""')}"`;
+                }
+                refersTo = '=' + refersTo;
+            }
+            
+            const tokens = FormulaParser.tokenize(refersTo.substring(1));
+            const [first, second] = tokens;
+            if (tokens.length === 1 && ['number', 'string', 'boolean', 'error'].includes(first.type)) {
+                return refersTo;
+            }
+            if (tokens.length === 2 && first.type === 'operator' && first.value === 'u-' && second.type === 'number') {
+                return refersTo;
+            }
+            if (tokens.length !== 1 || (first.type !== 'cell' && first.type !== 'range')) {
+                throw new Error(`A name must refer to a cell, a range or a constant: ${refersTo}`);
+            }
+            
+            const sheet = first.sheet === null ? sheetName : first.sheet;
+            if (!sheet) {
+                throw new Error(`A name must refer to a cell on a sheet: ${refersTo}`);
+            }
+            const ref = first.value.split(':').map(part => {
+                const { row, col } = CellRef.parse(part);
+                return CellRef.format(row, col, true, true);
+            }).join(':');
+            return `=${CellRef.quoteSheet(sheet)}!${ref}`;
+        }
+    };
+
+    // Rows of a new sheet: a copy of a 2D array of raw values with ragged rows padded, or
+    // blank cells for { rows, cols }
+    function sheetRows(data) {
+        if (!Array.isArray(data)) {
+            const { rows = 10, cols = 10 } = data || {};
+            data = Array(rows).fill().map(() => Array(cols).fill(''));
+        }
+        
+        const cols = data.length ? Math.max(...data.map(row => row.length)) : 0;
+        if (!cols) {
+            throw new Error('Data needs at least one row and one column');
+        }
+        return data.map(row => [...row, ...Array(cols - row.length).fill('')]);
+    }
+
+    // Named sheets of cells and their calculation state, without any DOM: raw values
+    // (formulas start with '='), evaluated values and one dependency graph across all
+    // sheets, so formulas can read other sheets (Sheet2!B4, 'Q3 Costs'!A1:A10). ExcelGrid
+    // is a view over a Workbook; on its own a Workbook runs in Node or a Web Worker.
+    // data is a 2D array of raw values, { rows, cols } for an empty sheet, or
+    // { sheets: [{ name, data }], names } for several sheets and defined names (names as
+    // returned by getNames). options.sheetName names a single
+    // sheet ('Sheet1'); options.context is passed to formula functions as this
+    // (isRowHidden(row, sheetName) is used by SUBTOTAL). Formulas read a cell for which
+    // options.context.isCellCovered(row, col, sheetName) is true (the cells of a merged
+    // area other than its top-left one) as empty.
+    // Cell refs passed to the methods may name a sheet ('Sheet2!B4'); plain refs are on
+    // the active sheet, and refs returned for other sheets are qualified.
+    function Workbook(data, options = {}) {
+        this.sheets = [];               // { id, name, data, evaluatedData } in tab order
+        this.sheet = null;              // Active sheet
+        this.names = new Map();         // Upper-case name -> { name, formula }, see DefinedNames
+        this.graph = null;
+        this.nextSheetId = 1;
+        this.context = Object.assign({ isRowHidden: () => false, isCellCovered: () => false }, options.context);
+        
+        if (data && data.sheets) {
+            this.setSheets(data.sheets, data.names || {});
+        } else {
+            this.setSheets([{ name: options.sheetName || 'Sheet1', data }]);
+        }
+    }
+
+    Workbook.prototype = {
+        // Raw and evaluated cells of the active sheet
+        get data() {
+            return this.sheet.data;
+        },
+        
+        get evaluatedData() {
+            return this.sheet.evaluatedData;
+        },
+        
+        // Replace every sheet. sheets: [{ name, data }], data as for the constructor (rows
+        // and cols may also be given next to the name). The first sheet becomes active.
+        // names, when given, replace the defined names ({ name: refersTo }, see defineName).
+        setSheets: function(sheets, names) {
+            if (!sheets.length) {
+                throw new Error('A workbook needs at least one sheet');
+            }
+            
+            this.sheets = [];
+            for (const entry of sheets) {
+                this.checkSheetName(entry.name);
+                this.sheets.push(this.createSheet(entry.name, entry.data || entry));
+            }
+            this.sheet = this.sheets[0];
+            if (names) {
+                this.names = new Map();
+                for (const name in names) {
+                    this.setName(name, names[name]);
+                }
+            }
+            this.rebuild();
+        },
+        
+        createSheet: function(name, data) {
+            const sheet = { id: this.nextSheetId++, name, data: sheetRows(data), evaluatedData: [] };
+            
+            // Functions learn the sheet of a row; unqualified ranges are on the formula's sheet
+            sheet.context = Object.assign({}, this.context, {
+                isRowHidden: (row, name) => {
+                    const target = name ? this.getSheet(name) : sheet;
+                    return !!target && this.context.isRowHidden(row, target.name);
+                },
+                resolveName: name => this.resolveName(name)
+            });
+            return sheet;
+        },
+        
+        // Throws when name cannot be given to a sheet (other than except)
+        checkSheetName: function(name, except = null) {
+            if (typeof name !== 'string' || !name.trim()) {
+                throw new Error('Sheet name cannot be empty');
+            }
+            if (name.length > 31 || /[:\\/?*[\]]/.test(name) || /^'|'$/.test(name)) {
+                throw new Error(`Invalid sheet name: ${name}`);
+            }
+            const existing = this.getSheet(name);
+            if (existing && existing !== except) {
+                throw new Error(`A sheet named ${name} already exists`);
+            }
+        },
+        
+        getSheetNames: function() {
+            return this.sheets.map(sheet => sheet.name);
+        },
+        
+        // Sheet with the given name (any case), or null
+        getSheet: function(name) {
+            return this.sheets.find(sheet => CellRef.sameSheet(sheet.name, name)) || null;
+        },
+        
+        // Sheet with the given name, the active sheet without one
+        resolveSheet: function(name) {
+            if (name === null || name === undefined) return this.sheet;
+            
+            const sheet = this.getSheet(name);
+            if (!sheet) {
+                throw new Error(`Unknown sheet: ${name}`);
+            }
+            return sheet;
+        },
+        
+        activateSheet: function(name) {
+            this.sheet = this.resolveSheet(name);
+        },
+        
+        // Add a sheet at index (default: last) and return its name. name defaults to the
+        // first free SheetN; data as for the constructor. The active sheet stays active.
+        addSheet: function(name, data = { rows: 10, cols: 10 }, index = this.sheets.length) {
+            if (name === null || name === undefined) {
+                let number = this.sheets.length + 1;
+                while (this.getSheet(`Sheet${number}`)) number++;
+                name = `Sheet${number}`;
+            }
+            this.checkSheetName(name);
+            
+            this.sheets.splice(Math.max(0, Math.min(index, this.sheets.length)), 0, this.createSheet(name, data));
+            
+            // Formulas may already refer to the new name
+            this.rebuild();
+            return name;
+        },
+        
+        // Rename a sheet; formulas referring to it are rewritten to the new name
+        renameSheet: function(name, newName) {
+            const sheet = this.resolveSheet(name);
+            this.checkSheetName(newName, sheet);
+            
+            this.rewriteSheetNames(other => CellRef.sameSheet(other, sheet.name) ? newName : undefined);
+            sheet.name = newName;
+            this.rebuild();
+        },
+        
+        // Delete a sheet; references to it become #REF!. The last sheet cannot be deleted.
+        deleteSheet: function(name) {
+            const sheet = this.resolveSheet(name);
+            if (this.sheets.length === 1) {
+                throw new Error('Cannot delete the only sheet');
+            }
+            
+            const index = this.sheets.indexOf(sheet);
+            this.sheets.splice(index, 1);
+            this.rewriteSheetNames(other => CellRef.sameSheet(other, sheet.name) ? null : undefined);
+            if (this.sheet === sheet) {
+                this.sheet = this.sheets[Math.min(index, this.sheets.length - 1)];
+            }
+            this.rebuild();
+        },
+        
+        // Move a sheet to another position in the tab order
+        moveSheet: function(name, index) {
+            const sheet = this.resolveSheet(name);
+            this.sheets.splice(this.sheets.indexOf(sheet), 1);
+            this.sheets.splice(Math.max(0, Math.min(index, this.sheets.length)), 0, sheet);
+        },
+        
+        // Define a name for a cell or range ('F1', 'B2:B50', 'Sheet2!A1'; references without
+        // a sheet are on the active sheet) or for a constant (number, boolean or text).
+        // Formulas use it in place of the reference (=B2*TaxRate, =SUM(Sales)); defining
+        // an existing name changes what it refers to.
+        defineName: function(name, refersTo) {
+            this.setName(name, refersTo);
+            this.rebuild();
+        },
+        
+        setName: function(name, refersTo) {
+            DefinedNames.check(name);
+            const formula = DefinedNames.formula(refersTo, this.sheet.name);
+            const existing = this.names.get(name.toUpperCase());
+            this.names.set(name.toUpperCase(), { name: existing ? existing.name : name, formula });
+        },
+        
+        // Remove a name; formulas using it show #NAME?
+        deleteName: function(name) {
+            if (!this.names.delete(String(name).toUpperCase())) {
+                throw new Error(`Unknown name: ${name}`);
+            }
+            this.rebuild();
+        },
+        
+        // Defined names and their formulas, e.g. { TaxRate: '=Sheet1!$F$1', Rate: '=0.08' }
+        getNames: function() {
+            const names = {};
+            for (const { name, formula } of this.names.values()) {
+                names[name] = formula;
+            }
+            return names;
+        },
+        
+        // Formula of a defined name (any case), or undefined
+        resolveName: function(name) {
+            const entry = this.names.get(String(name).toUpperCase());
+            return entry ? entry.formula : undefined;
+        },
+        
+        // Rewrite every formula of every sheet and the formulas of the defined names with
+        // rewrite(formula, sheet), sheet being null for names. Unparseable formulas are
+        // left unchanged.
+        rewriteFormulas: function(rewrite) {
+            const apply = (formula, sheet) => {
+                try {
+                    return rewrite(formula, sheet);
+                } catch (e) {
+                    return formula;
+                }
+            };
+            
+            for (const sheet of this.sheets) {
+                for (const values of sheet.data) {
+                    values.forEach((value, col) => {
+                        if (typeof value === 'string' && value.startsWith('=')) {
+                            values[col] = apply(value, sheet);
+                        }
+                    });
+                }
+            }
+            for (const entry of this.names.values()) {
+                entry.formula = apply(entry.formula, null);
+            }
+        },
+        
+        // Apply FormulaParser.mapSheets to every formula and defined name
+        rewriteSheetNames: function(callback) {
+            this.rewriteFormulas(formula => FormulaParser.mapSheets(formula, callback));
+        },
+        
+        // Replace the cells of a sheet (default: the active one)
+        setData: function(data, sheetName) {
+            this.resolveSheet(sheetName).data = sheetRows(data);
+            this.rebuild();
+        },
+        
+        // { raw, evaluated } copies of the cells of a sheet (default: the active one)
+        getData: function(sheetName) {
+            const sheet = this.resolveSheet(sheetName);
+            return {
+                raw: sheet.data.map(row => [...row]),
+                evaluated: sheet.evaluatedData.map(row => [...row])
+            };
+        },
+        
+        getSize: function(sheetName) {
+            const { data } = this.resolveSheet(sheetName);
+            return { rows: data.length, cols: data[0].length };
+        },
+        
+        // Sheet, row and column of a cell reference ('B4' or 'Sheet2!B4')
+        locate: function(ref) {
+            const split = CellRef.splitSheet(ref);
+            const sheet = this.resolveSheet(split.sheet);
+            const parsed = CellRef.parse(split.ref.toUpperCase());
+            if (!parsed || parsed.row >= sheet.data.length || parsed.col >= sheet.data[0].length) {
+                throw new Error(`Invalid cell reference: ${ref}`);
+            }
+            return { sheet, row: parsed.row, col: parsed.col };
+        },
+        
+        // Evaluated value of a cell (numbers, text, booleans, '' or a FormulaError)
+        getValue: function(ref) {
+            const { sheet, row, col } = this.locate(ref);
+            return sheet.evaluatedData[row][col];
+        },
+        
+        // Raw value of a cell, e.g. its formula
+        getRawValue: function(ref) {
+            const { sheet, row, col } = this.locate(ref);
+            return sheet.data[row][col];
+        },
+        
+        // Set one cell and return its evaluated value
+        setValue: function(ref, value) {
+            const { sheet, row, col } = this.locate(ref);
+            this.setCellValues([{ sheet: sheet.name, row, col, value }]);
+            return sheet.evaluatedData[row][col];
+        },
+        
+        // Set cells ({ row, col, value }, plus sheet for a sheet other than the active one)
+        // and recalculate once. Returns the refs of every cell that was recalculated: the
+        // changed cells and their dependents.
+        setCellValues: function(changes) {
+            const keys = [];
+            for (const { sheet: name, row, col, value } of changes) {
+                const sheet = this.resolveSheet(name);
+                sheet.data[row][col] = value;
+                
+                // Update only this cell's dependencies
+                this.updateCellDependencies(sheet, row, col);
+                keys.push(this.keyOf(sheet, row, col));
+            }
+            
+            // Recalculate the cells and everything that depends on them
+            return this.recalculateKeys(keys).map(key => this.refOf(key));
+        },
+        
+        // Evaluate a formula against a sheet (default: the active one) without storing it
+        evaluate: function(formula, sheetName) {
+            const sheet = this.resolveSheet(sheetName);
+            return FormulaParser.parseAndEvaluate(String(formula), (ref, name) => this.lookup(sheet, ref, name), sheet.context);
+        },
+        
+        // Evaluated value of a reference used by a formula on the home sheet; '' (blank)
+        // when it is past the sheet's data or covered by a merged area
+        lookup: function(home, ref, sheetName) {
+            const sheet = sheetName === null ? home : this.getSheet(sheetName);
+            if (!sheet) {
+                throw new FormulaError('#REF!', `Unknown sheet: ${sheetName}`);
+            }
+            
+            const parsed = CellRef.parse(ref);
+            if (!parsed) return null;
+            
+            // Cells past the data are blank, as in a spreadsheet that has no end
+            if (parsed.row >= sheet.data.length || parsed.col >= sheet.data[0].length) {
+                return '';
+            }
+            if (this.context.isCellCovered(parsed.row, parsed.col, sheet.name)) {
+                return '';
+            }
+            
+            return sheet.evaluatedData[parsed.row][parsed.col];
+        },
+        
+        // Cells a cell's formula reads (ranges expanded)
+        getPrecedents: function(ref) {
+            const { sheet, row, col } = this.locate(ref);
+            return Array.from(this.graph.precedents.get(this.keyOf(sheet, row, col)) || [], key => this.refOf(key));
+        },
+        
+        // Formulas reading a cell, directly or (with indirect) through other formulas
+        getDependents: function(ref, indirect = false) {
+            const { sheet, row, col } = this.locate(ref);
+            const key = this.keyOf(sheet, row, col);
+            const dependents = indirect
+                ? DependencyTracker.getDependents(this.graph, [key])
+                : this.graph.dependents.get(key) || [];
+            return Array.from(dependents, key => this.refOf(key));
+        },
+        
+        // Graph key of a cell: the sheet id in front of the ref ('2!B4') stays the same
+        // when the sheet is renamed or moved
+        keyOf: function(sheet, row, col) {
+            return `${sheet.id}!${CellRef.format(row, col)}`;
+        },
+        
+        // { sheet, row, col } of a graph key
+        cellOf: function(key) {
+            const [id, ref] = key.split('!');
+            const { row, col } = CellRef.parse(ref);
+            return { sheet: this.sheets.find(sheet => sheet.id === Number(id)), row, col };
+        },
+        
+        // Ref of a graph key as returned by the methods: plain on the active sheet,
+        // qualified with the sheet name otherwise
+        refOf: function(key) {
+            const { sheet, row, col } = this.cellOf(key);
+            const ref = CellRef.format(row, col);
+            return sheet === this.sheet ? ref : `${CellRef.quoteSheet(sheet.name)}!${ref}`;
+        },
+        
+        // Recompute dependencies and values of every sheet
+        rebuild: function() {
+            this.graph = DependencyTracker.createGraph();
+            for (const sheet of this.sheets) {
+                sheet.evaluatedData = sheet.data.map(row => [...row]);
+                sheet.data.forEach((values, row) => values.forEach((value, col) => {
+                    if (typeof value === 'string' && value.startsWith('=')) {
+                        this.updateCellDependencies(sheet, row, col);
+                    }
+                }));
+            }
+            this.evaluateAll();
+        },
+        
+        updateCellDependencies: function(sheet, row, col) {
+            const value = sheet.data[row][col];
+            const sheetOf = (name) => {
+                const target = name === null ? sheet : this.getSheet(name);
+                return target && {
+                    prefix: `${target.id}!`,
+                    size: { rows: target.data.length, cols: target.data[0].length }
+                };
+            };
+            const refs = typeof value === 'string' && value.startsWith('=')
+                ? DependencyTracker.getReferences(value, sheetOf, name => this.resolveName(name))
+                : [];
+            DependencyTracker.setPrecedents(this.graph, this.keyOf(sheet, row, col), refs);
+        },
+        
+        evaluateCell: function(sheet, row, col) {
+            const value = sheet.data[row][col];
+            
+            try {
+                if (typeof value === 'string' && value.startsWith('=')) {
+                    // Precedents are already up to date: recalculate() evaluates in dependency order
+                    sheet.evaluatedData[row][col] = FormulaParser.parseAndEvaluate(value, (ref, name) => this.lookup(sheet, ref, name), sheet.context);
+                } else {
+                    // Regular value
+                    sheet.evaluatedData[row][col] = Coercion.parseLiteral(value);
+                }
+            } catch (error) {
+                sheet.evaluatedData[row][col] = error instanceof FormulaError ? error : new FormulaError('#ERROR', error.message);
+            }
+            
+            // Errors passed on by dependent formulas remember the cell they started in
+            const result = sheet.evaluatedData[row][col];
+            if (result instanceof FormulaError && !result.source) {
+                result.source = CellRef.format(row, col);
+                result.sheet = sheet.name;
+            }
+        },
+        
+        // Re-evaluate the given cells and all of their dependents, each exactly once and
+        // in dependency order. Returns the refs that were recalculated.
+        recalculate: function(refs) {
+            const keys = Array.from(refs, ref => {
+                const { sheet, row, col } = this.locate(ref);
+                return this.keyOf(sheet, row, col);
+            });
+            return this.recalculateKeys(keys).map(key => this.refOf(key));
+        },
+        
+        recalculateKeys: function(keys) {
+            const dirty = DependencyTracker.getDependents(this.graph, keys);
+            for (const key of keys) {
+                dirty.add(key);
+            }
+            
+            const { order, circular } = DependencyTracker.topologicalSort(this.graph, dirty);
+            
+            for (const key of order) {
+                const { sheet, row, col } = this.cellOf(key);
+                this.evaluateCell(sheet, row, col);
+            }
+            for (const key of circular) {
+                const { sheet, row, col } = this.cellOf(key);
+                const error = new FormulaError('#CIRC');
+                error.source = CellRef.format(row, col);
+                error.sheet = sheet.name;
+                sheet.evaluatedData[row][col] = error;
+            }
+            
+            return order.concat(circular);
+        },
+        
+        evaluateAll: function() {
+            // Plain values first, then every formula in a single ordered pass
+            const formulas = new Set();
+            for (const sheet of this.sheets) {
+                for (let row = 0; row < sheet.data.length; row++) {
+                    for (let col = 0; col < sheet.data[row].length; col++) {
+                        const value = sheet.data[row][col];
+                        if (typeof value === 'string' && value.startsWith('=')) {
+                            formulas.add(this.keyOf(sheet, row, col));
+                        } else {
+                            this.evaluateCell(sheet, row, col);
+                        }
+                    }
+                }
+            }
+            this.recalculateKeys(formulas);
+        },
+        
+        // Insert (count > 0) or delete (count < 0) rows or columns of the active sheet at
+        // index, rewriting every formula and defined name that refers to the sheet so it
+        // keeps pointing at the same cells. Returns the count applied (a deletion past the end is shortened).
+        changeStructure: function(axis, index, count) {
+            count = this.checkStructureChange(axis, index, count);
+            const changed = this.sheet;
+            const deleting = count < 0;
+            
+            this.rewriteFormulas((formula, sheet) => FormulaParser.adjustForStructureChange(
+                formula, axis, index, count, { name: changed.name, home: sheet === changed }
+            ));
+            
+            if (axis === 'row') {
+                if (deleting) {
+                    this.data.splice(index, -count);
+                } else {
+                    const cols = this.data[0].length;
+                    const rows = Array(count).fill().map(() => Array(cols).fill(''));
+                    this.data.splice(index, 0, ...rows);
+                }
+            } else {
+                for (const row of this.data) {
+                    if (deleting) {
+                        row.splice(index, -count);
+                    } else {
+                        row.splice(index, 0, ...Array(count).fill(''));
+                    }
+                }
+            }
+            
+            this.rebuild();
+            return count;
+        },
+        
+        // Throws for a structure change that is not possible; returns the count that
+        // changeStructure would apply
+        checkStructureChange: function(axis, index, count) {
+            const size = axis === 'row' ? this.data.length : this.data[0].length;
+            const deleting = count < 0;
+            
+            if (!Number.isInteger(index) || !Number.isInteger(count) || count === 0 ||
+                index < 0 || index > (deleting ? size - 1 : size)) {
+                throw new Error(`Invalid ${axis} index: ${index}`);
+            }
+            if (deleting) {
+                count = -Math.min(-count, size - index);
+                if (-count >= size) {
+                    throw new Error(`Cannot delete every ${axis === 'row' ? 'row' : 'column'}`);
+                }
+            }
+            return count;
+        },
+        
+        insertRows: function(index, count = 1) {
+            return this.changeStructure('row', index, count);
+        },
+        
+        deleteRows: function(index, count = 1) {
+            return this.changeStructure('row', index, -count);
+        },
+        
+        insertColumns: function(index, count = 1) {
+            return this.changeStructure('col', index, count);
+        },
+        
+        deleteColumns: function(index, count = 1) {
+            return this.changeStructure('col', index, -count);
+        }
+    };
+
+    return {
+        Workbook,
+        CellRef,
+        RangeValue,
+        FormulaError,
+        Coercion,
+        FunctionHelpers,
+        functions: FormulaFunctions,
+        FormulaParser,
+        DependencyTracker,
+        NumberFormat,
+        Validation,
+        ConditionalFormat,
+        DelimitedText,
+        DefinedNames
+    };
+});
@@ -0,0 +1,30 @@
+/**
+ * Excel Grid Engine - ES module entry point. The engine itself is excel-grid-engine.js,
+ * which is also loadable as a script, a CommonJS module or an AMD module.
+ */
+
+// Node and bundlers load the engine as CommonJS and hand over its exports as the
+// default export. Browsers and module Web Workers run it as a plain module, which
+// defines the global ExcelGridEngine instead.
+import * as loaded from './excel-grid-engine.js';
+
+const engine = loaded.default || globalThis.ExcelGridEngine;
+
+export const {
+    Workbook,
+    CellRef,
+    RangeValue,
+    FormulaError,
+    Coercion,
+    FunctionHelpers,
+    functions,
+    FormulaParser,
+    DependencyTracker,
+    NumberFormat,
+    Validation,
+    ConditionalFormat,
+    DelimitedText,
+    DefinedNames
+} = engine;
+
+export default engine;
@@ -1,333 +1,896 @@
 /**
  * Excel Grid Library - A lightweight JavaScript library for creating editable spreadsheet-like grids
- * Dependencies: jQuery
+ * Dependencies: jQuery, excel-grid-engine.js (load it first)
  */
 
-(function($) {
+(function($, Engine) {
     'use strict';
+    
+    if (!Engine) {
+        throw new Error('ExcelGrid needs excel-grid-engine.js, load it before excel-grid.js');
+    }
+    
+    const {
+        Workbook, CellRef, FormulaError, Coercion, FormulaParser, DependencyTracker,
+        NumberFormat, Validation, ConditionalFormat, DelimitedText, DefinedNames, functions: FormulaFunctions
+    } = Engine;
 
-    // Cell reference utilities
-    const CellRef = {
-        // Convert A1 notation to row/col indices (0-based)
-        parse: function(ref) {
-            const match = ref.match(/^([A-Z]+)(\d+)$/);
-            if (!match) return null;
-            
-            const colStr = match[1];
-            const row = parseInt(match[2]) - 1;
+    // Clipboard payloads exchanged with spreadsheet applications: tab-separated text
+    // (what Excel and Google Sheets put on the clipboard) and an HTML table
+    const ClipboardFormat = {
+        toText: function(rows) {
+            return DelimitedText.stringify(rows, '\t', '\n');
+        },
+        
+        fromText: function(text) {
+            return DelimitedText.parse(text, '\t');
+        },
+        
+        toHTML: function(rows) {
+            const escape = text => String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
             
-            let col = 0;
-            for (let i = 0; i < colStr.length; i++) {
-                col = col * 26 + (colStr.charCodeAt(i) - 64);
-            }
-            col -= 1;
+            const body = rows.map(row => '<tr>' + row.map(value => `<td>${escape(value)}</td>`).join('') + '</tr>').join('');
+            return `<table><tbody>${body}</tbody></table>`;
+        },
+        
+        // Cell texts of the first table in an HTML fragment (spans are not expanded)
+        fromHTML: function(html) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            const table = doc.querySelector('table');
+            if (!table) return [];
             
-            return { row, col };
+            return Array.from(table.rows).map(tr => Array.from(tr.cells).map(td => td.textContent.trim()));
         },
         
-        // Convert row/col indices to A1 notation
-        format: function(row, col) {
-            let colStr = '';
-            col += 1;
-            while (col > 0) {
-                col -= 1;
-                colStr = String.fromCharCode(65 + (col % 26)) + colStr;
-                col = Math.floor(col / 26);
-            }
-            return colStr + (row + 1);
+        // Line endings and a trailing line break vary between applications
+        normalize: function(text) {
+            return String(text).replace(/\r\n?/g, '\n').replace(/\n$/, '');
         }
     };
 
-    // Formula parser and evaluator
-    const FormulaParser = {
-        // Tokenize formula string
-        tokenize: function(formula) {
-            const tokens = [];
-            let i = 0;
-            
-            while (i < formula.length) {
-                const char = formula[i];
-                
-                if (char === ' ') {
-                    i++;
-                    continue;
-                }
-                
-                if (char.match(/[+\-*/]/)) {
-                    tokens.push({ type: 'operator', value: char });
-                    i++;
-                } else if (char === '(') {
-                    tokens.push({ type: 'paren', value: '(' });
-                    i++;
-                } else if (char === ')') {
-                    tokens.push({ type: 'paren', value: ')' });
-                    i++;
-                } else if (char.match(/[A-Z]/)) {
-                    // Cell reference
-                    let ref = '';
-                    while (i < formula.length && formula[i].match(/[A-Z0-9]/)) {
-                        ref += formula[i];
-                        i++;
-                    }
-                    tokens.push({ type: 'cell', value: ref });
-                } else if (char.match(/\d/)) {
-                    // Number
-                    let num = '';
-                    while (i < formula.length && (formula[i].match(/\d/) || formula[i] === '.')) {
-                        num += formula[i];
-                        i++;
-                    }
-                    tokens.push({ type: 'number', value: parseFloat(num) });
-                } else {
-                    throw new Error(`Unexpected character: ${char}`);
+    // Minimal ZIP container support for XLSX packages: reads stored and deflated
+    // entries, writes stored entries. No ZIP64, encryption or multi-disk archives.
+    const Zip = {
+        crcTable: null,
+        
+        crc32: function(bytes) {
+            if (!this.crcTable) {
+                this.crcTable = new Uint32Array(256);
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) {
+                        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                    }
+                    this.crcTable[n] = c;
                 }
             }
             
-            return tokens;
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) {
+                crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
         },
         
-        // Convert infix to postfix (RPN) using Shunting Yard algorithm
-        infixToPostfix: function(tokens) {
-            const output = [];
-            const operators = [];
-            const precedence = { '+': 1, '-': 1, '*': 2, '/': 2 };
+        // Entries of an archive as a Map of file name -> Uint8Array
+        read: function(buffer) {
+            const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const decoder = new TextDecoder();
             
-            for (const token of tokens) {
-                if (token.type === 'number' || token.type === 'cell') {
-                    output.push(token);
-                } else if (token.type === 'operator') {
-                    while (operators.length > 0 && 
-                           operators[operators.length - 1] !== '(' &&
-                           precedence[operators[operators.length - 1]] >= precedence[token.value]) {
-                        output.push({ type: 'operator', value: operators.pop() });
-                    }
-                    operators.push(token.value);
-                } else if (token.type === 'paren') {
-                    if (token.value === '(') {
-                        operators.push('(');
-                    } else if (token.value === ')') {
-                        while (operators.length > 0 && operators[operators.length - 1] !== '(') {
-                            output.push({ type: 'operator', value: operators.pop() });
-                        }
-                        if (operators.length === 0) {
-                            throw new Error('Mismatched parentheses');
-                        }
-                        operators.pop(); // Remove '('
-                    }
+            // The end of central directory record is at the end, before an optional comment
+            let eocd = -1;
+            for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+                if (view.getUint32(i, true) === 0x06054B50) {
+                    eocd = i;
+                    break;
                 }
             }
+            if (eocd < 0) {
+                throw new Error('Not a ZIP file');
+            }
             
-            while (operators.length > 0) {
-                const op = operators.pop();
-                if (op === '(') {
-                    throw new Error('Mismatched parentheses');
-                }
-                output.push({ type: 'operator', value: op });
+            const count = view.getUint16(eocd + 10, true);
+            let offset = view.getUint32(eocd + 16, true);
+            if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+                throw new Error('ZIP64 archives are not supported');
             }
             
-            return output;
+            const entries = new Map();
+            for (let i = 0; i < count; i++) {
+                if (view.getUint32(offset, true) !== 0x02014B50) {
+                    throw new Error('Corrupt ZIP central directory');
+                }
+                const flags = view.getUint16(offset + 8, true);
+                const method = view.getUint16(offset + 10, true);
+                const compressedSize = view.getUint32(offset + 20, true);
+                const nameLength = view.getUint16(offset + 28, true);
+                const extraLength = view.getUint16(offset + 30, true);
+                const commentLength = view.getUint16(offset + 32, true);
+                const localOffset = view.getUint32(offset + 42, true);
+                const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+                offset += 46 + nameLength + extraLength + commentLength;
+                
+                if (flags & 1) {
+                    throw new Error(`Encrypted ZIP entry: ${name}`);
+                }
+                
+                const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = bytes.subarray(dataStart, dataStart + compressedSize);
+                if (method === 0) {
+                    entries.set(name, data);
+                } else if (method === 8) {
+                    entries.set(name, Inflate.inflateRaw(data));
+                } else {
+                    throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+                }
+            }
+            return entries;
         },
         
-        // Evaluate postfix expression
-        evaluate: function(postfix, getCellValue) {
-            const stack = [];
+        // Archive of stored (uncompressed) entries from a Map of file name -> Uint8Array
+        write: function(files) {
+            const encoder = new TextEncoder();
+            const local = [];
+            const central = [];
+            let offset = 0;
             
-            for (const token of postfix) {
-                if (token.type === 'number') {
-                    stack.push(token.value);
-                } else if (token.type === 'cell') {
-                    const cellValue = getCellValue(token.value);
-                    if (cellValue === null || cellValue === undefined) {
-                        throw new Error(`Cell ${token.value} not found`);
-                    }
-                    if (typeof cellValue === 'string' && cellValue.startsWith('#')) {
-                        throw new Error(`Cell ${token.value} has error: ${cellValue}`);
+            for (const [name, data] of files) {
+                const nameBytes = encoder.encode(name);
+                const crc = this.crc32(data);
+                
+                // Local file header; bit 11 flags UTF-8 names, date is 1980-01-01
+                const header = new DataView(new ArrayBuffer(30));
+                header.setUint32(0, 0x04034B50, true);
+                header.setUint16(4, 20, true);
+                header.setUint16(6, 0x0800, true);
+                header.setUint16(12, 0x0021, true);
+                header.setUint32(14, crc, true);
+                header.setUint32(18, data.length, true);
+                header.setUint32(22, data.length, true);
+                header.setUint16(26, nameBytes.length, true);
+                local.push(new Uint8Array(header.buffer), nameBytes, data);
+                
+                const entry = new DataView(new ArrayBuffer(46));
+                entry.setUint32(0, 0x02014B50, true);
+                entry.setUint16(4, 20, true);
+                entry.setUint16(6, 20, true);
+                entry.setUint16(8, 0x0800, true);
+                entry.setUint16(14, 0x0021, true);
+                entry.setUint32(16, crc, true);
+                entry.setUint32(20, data.length, true);
+                entry.setUint32(24, data.length, true);
+                entry.setUint16(28, nameBytes.length, true);
+                entry.setUint32(42, offset, true);
+                central.push(new Uint8Array(entry.buffer), nameBytes);
+                
+                offset += 30 + nameBytes.length + data.length;
+            }
+            
+            const centralSize = central.reduce((size, part) => size + part.length, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, files.size, true);
+            end.setUint16(10, files.size, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+            
+            const parts = [...local, ...central, new Uint8Array(end.buffer)];
+            const result = new Uint8Array(offset + centralSize + 22);
+            let position = 0;
+            for (const part of parts) {
+                result.set(part, position);
+                position += part.length;
+            }
+            return result;
+        }
+    };
+
+    // DEFLATE decompression (RFC 1951) for ZIP entries
+    const Inflate = {
+        lengthBase: [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258],
+        lengthExtra: [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+        distanceBase: [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577],
+        distanceExtra: [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+        codeLengthOrder: [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15],
+        
+        inflateRaw: function(input) {
+            let bytePos = 0;
+            let bitBuffer = 0;
+            let bitCount = 0;
+            let output = new Uint8Array(Math.max(1024, input.length * 4));
+            let outPos = 0;
+            
+            const bits = (n) => {
+                while (bitCount < n) {
+                    if (bytePos >= input.length) throw new Error('Unexpected end of compressed data');
+                    bitBuffer |= input[bytePos++] << bitCount;
+                    bitCount += 8;
+                }
+                const value = bitBuffer & ((1 << n) - 1);
+                bitBuffer >>>= n;
+                bitCount -= n;
+                return value;
+            };
+            
+            const ensure = (extra) => {
+                if (outPos + extra <= output.length) return;
+                const grown = new Uint8Array(Math.max(output.length * 2, outPos + extra));
+                grown.set(output);
+                output = grown;
+            };
+            
+            // Canonical Huffman code from code lengths: counts per length and symbols in code order
+            const buildCode = (lengths) => {
+                const counts = new Uint16Array(16);
+                for (const length of lengths) counts[length]++;
+                counts[0] = 0;
+                
+                const offsets = new Uint16Array(16);
+                for (let length = 1; length < 16; length++) {
+                    offsets[length] = offsets[length - 1] + counts[length - 1];
+                }
+                const symbols = new Uint16Array(lengths.length);
+                lengths.forEach((length, symbol) => {
+                    if (length) symbols[offsets[length]++] = symbol;
+                });
+                return { counts, symbols };
+            };
+            
+            const decode = (code) => {
+                let value = 0;
+                let first = 0;
+                let index = 0;
+                for (let length = 1; length < 16; length++) {
+                    value |= bits(1);
+                    const count = code.counts[length];
+                    if (value - first < count) {
+                        return code.symbols[index + value - first];
                     }
-                    stack.push(cellValue);
-                } else if (token.type === 'operator') {
-                    if (stack.length < 2) {
-                        throw new Error('Invalid expression');
+                    index += count;
+                    first = (first + count) << 1;
+                    value <<= 1;
+                }
+                throw new Error('Invalid Huffman code');
+            };
+            
+            const inflateBlock = (literals, distances) => {
+                for (;;) {
+                    const symbol = decode(literals);
+                    if (symbol < 256) {
+                        ensure(1);
+                        output[outPos++] = symbol;
+                    } else if (symbol === 256) {
+                        return;
+                    } else {
+                        const index = symbol - 257;
+                        const length = this.lengthBase[index] + bits(this.lengthExtra[index]);
+                        const distanceSymbol = decode(distances);
+                        const distance = this.distanceBase[distanceSymbol] + bits(this.distanceExtra[distanceSymbol]);
+                        if (distance > outPos) throw new Error('Invalid distance in compressed data');
+                        
+                        ensure(length);
+                        for (let i = 0; i < length; i++) {
+                            output[outPos] = output[outPos - distance];
+                            outPos++;
+                        }
                     }
+                }
+            };
+            
+            let last = 0;
+            while (!last) {
+                last = bits(1);
+                const type = bits(2);
+                
+                if (type === 0) {
+                    // Stored block: byte aligned length, its complement, then raw bytes
+                    bitBuffer = 0;
+                    bitCount = 0;
+                    const length = input[bytePos] | (input[bytePos + 1] << 8);
+                    bytePos += 4;
+                    ensure(length);
+                    output.set(input.subarray(bytePos, bytePos + length), outPos);
+                    bytePos += length;
+                    outPos += length;
+                } else if (type === 1) {
+                    const lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+                    inflateBlock(buildCode(lengths), buildCode(new Array(30).fill(5)));
+                } else if (type === 2) {
+                    const literalCount = bits(5) + 257;
+                    const distanceCount = bits(5) + 1;
+                    const codeLengthCount = bits(4) + 4;
                     
-                    const b = stack.pop();
-                    const a = stack.pop();
-                    
-                    // Check for NaN or invalid values
-                    if (isNaN(a) || isNaN(b)) {
-                        throw new Error('Invalid numeric value in calculation');
+                    const codeLengths = new Array(19).fill(0);
+                    for (let i = 0; i < codeLengthCount; i++) {
+                        codeLengths[this.codeLengthOrder[i]] = bits(3);
                     }
+                    const codeLengthCode = buildCode(codeLengths);
                     
-                    switch (token.value) {
-                        case '+': stack.push(a + b); break;
-                        case '-': stack.push(a - b); break;
-                        case '*': stack.push(a * b); break;
-                        case '/': 
-                            if (b === 0) throw new Error('Division by zero');
-                            stack.push(a / b); 
-                            break;
+                    const lengths = [];
+                    while (lengths.length < literalCount + distanceCount) {
+                        const symbol = decode(codeLengthCode);
+                        if (symbol < 16) {
+                            lengths.push(symbol);
+                        } else if (symbol === 16) {
+                            if (lengths.length === 0) throw new Error('Invalid code lengths');
+                            const previous = lengths[lengths.length - 1];
+                            for (let repeat = 3 + bits(2); repeat > 0; repeat--) lengths.push(previous);
+                        } else {
+                            for (let repeat = symbol === 17 ? 3 + bits(3) : 11 + bits(7); repeat > 0; repeat--) lengths.push(0);
+                        }
                     }
+                    inflateBlock(buildCode(lengths.slice(0, literalCount)), buildCode(lengths.slice(literalCount)));
+                } else {
+                    throw new Error('Invalid compressed block type');
                 }
             }
             
-            if (stack.length !== 1) {
-                throw new Error('Invalid expression');
-            }
-            
-            return stack[0];
+            return output.slice(0, outPos);
+        }
+    };
+
+    // Office Open XML spreadsheet (.xlsx) reading and writing. The values, formulas and
+    // merged cells of every worksheet and the defined names are mapped; other package
+    // features (styles, number formats, charts, ...) are listed as warnings.
+    const XLSXFormat = {
+        namespaces: {
+            main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+            relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+            package: 'http://schemas.openxmlformats.org/package/2006/relationships'
         },
         
-        // Parse and evaluate formula
-        parseAndEvaluate: function(formula, getCellValue) {
-            if (!formula.startsWith('=')) {
-                throw new Error('Formula must start with =');
-            }
-            
-            const formulaStr = formula.substring(1);
+        // Returns { sheets, names, warnings }: for each worksheet { name, data, cached, merges }
+        // with the raw grid values ('=' formulas), a Map of "row,col" -> value cached by the
+        // writing application for formulas this grid cannot evaluate and the merged cells
+        // ('A1:D1'); the defined names as
+        // { name: formula }; warnings describe what was not imported
+        read: function(buffer) {
+            const files = Zip.read(buffer);
+            const decoder = new TextDecoder();
+            const xml = (path) => {
+                const bytes = files.get(path);
+                return bytes ? new DOMParser().parseFromString(decoder.decode(bytes), 'application/xml') : null;
+            };
+            const elements = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
             
-            // Handle SUM function
-            const sumMatch = formulaStr.match(/^SUM\(([A-Z]+\d+):([A-Z]+\d+)\)$/);
-            if (sumMatch) {
-                const startRef = sumMatch[1];
-                const endRef = sumMatch[2];
-                const start = CellRef.parse(startRef);
-                const end = CellRef.parse(endRef);
+            // Relationship targets of a part, resolved against the part's folder
+            const relationships = (part) => {
+                const folder = part.substring(0, part.lastIndexOf('/') + 1);
+                const rels = xml(`${folder}_rels/${part.substring(folder.length)}.rels`);
+                const targets = new Map();
+                if (!rels) return targets;
                 
-                if (!start || !end) {
-                    throw new Error('Invalid range in SUM function');
+                for (const rel of elements(rels, 'Relationship')) {
+                    const target = rel.getAttribute('Target');
+                    targets.set(rel.getAttribute('Id'), {
+                        type: rel.getAttribute('Type'),
+                        path: target.startsWith('/') ? target.substring(1) : folder + target
+                    });
                 }
+                return targets;
+            };
+            
+            const warnings = [];
+            const rootRels = Array.from(relationships('').values());
+            const officeDocument = rootRels.find(rel => rel.type.endsWith('/officeDocument'));
+            const workbookPath = officeDocument ? officeDocument.path : 'xl/workbook.xml';
+            const workbook = xml(workbookPath);
+            if (!workbook) {
+                throw new Error('Not an XLSX workbook');
+            }
+            
+            const workbookRels = relationships(workbookPath);
+            const sheets = elements(workbook, 'sheet');
+            if (sheets.length === 0) {
+                throw new Error('Workbook has no worksheets');
+            }
+            
+            // Names of a cell, a range or a constant for the whole workbook. Names of one
+            // sheet, of formulas and built-in names such as print areas are left out; hidden
+            // ones (e.g. filter ranges) without a warning.
+            const names = {};
+            for (const definedName of elements(workbook, 'definedName')) {
+                const name = definedName.getAttribute('name') || '';
+                if (definedName.getAttribute('hidden') === '1' || definedName.getAttribute('hidden') === 'true') continue;
                 
-                let sum = 0;
-                for (let row = start.row; row <= end.row; row++) {
-                    for (let col = start.col; col <= end.col; col++) {
-                        const value = getCellValue(CellRef.format(row, col));
-                        if (typeof value === 'number' && !isNaN(value)) {
-                            sum += value;
-                        }
+                let formula = null;
+                if (!name.startsWith('_xlnm.') && !definedName.hasAttribute('localSheetId')) {
+                    try {
+                        DefinedNames.check(name);
+                        formula = DefinedNames.formula('=' + definedName.textContent.trim(), null);
+                    } catch (e) {
+                        // A name of a formula, or one this grid cannot use
                     }
                 }
-                return sum;
+                if (formula) {
+                    names[name] = formula;
+                } else {
+                    warnings.push(`Defined name ${name} was not imported`);
+                }
             }
+            const knownNames = new Set(Object.keys(names).map(name => name.toUpperCase()));
             
-            const tokens = this.tokenize(formulaStr);
-            const postfix = this.infixToPostfix(tokens);
-            return this.evaluate(postfix, getCellValue);
-        }
-    };
-
-    // Dependency tracker for circular reference detection
-    const DependencyTracker = {
-        // Build dependency graph
-        buildGraph: function(data) {
-            const graph = {};
-            const dependencies = {};
-            
-            for (let row = 0; row < data.length; row++) {
-                for (let col = 0; col < data[row].length; col++) {
-                    const cellRef = CellRef.format(row, col);
-                    graph[cellRef] = [];
-                    dependencies[cellRef] = [];
+            // Shared string table; rich text runs are flattened to plain text
+            const strings = [];
+            const sharedRel = Array.from(workbookRels.values()).find(rel => rel.type.endsWith('/sharedStrings'));
+            const sharedStrings = sharedRel && xml(sharedRel.path);
+            if (sharedStrings) {
+                let richText = false;
+                for (const item of elements(sharedStrings, 'si')) {
+                    if (elements(item, 'r').length) richText = true;
+                    strings.push(this.text(item));
+                }
+                if (richText) {
+                    warnings.push('Rich text formatting was not imported');
+                }
+            }
+            
+            const sheetFeatures = {
+                conditionalFormatting: 'Conditional formatting',
+                dataValidation: 'Data validation',
+                hyperlink: 'Hyperlinks',
+                drawing: 'Charts and images',
+                legacyDrawing: 'Comments',
+                autoFilter: 'Filters',
+                sheetProtection: 'Sheet protection'
+            };
+            const features = new Map(); // Feature -> number found in all sheets
+            let styled = false;
+            let arrayFormulas = 0;
+            const result = [];
+            
+            sheets.forEach((sheetElement, index) => {
+                const name = sheetElement.getAttribute('name') || `Sheet${index + 1}`;
+                const sheetRel = workbookRels.get(sheetElement.getAttributeNS(this.namespaces.relationships, 'id'));
+                if (sheetRel && !sheetRel.type.endsWith('/worksheet')) {
+                    warnings.push(`Sheet ${name} was not imported (not a worksheet)`);
+                    return;
+                }
+                const sheet = xml(sheetRel ? sheetRel.path : `xl/worksheets/sheet${index + 1}.xml`);
+                if (!sheet) {
+                    throw new Error(`Worksheet part of ${name} is missing`);
+                }
+                
+                // Cell warnings name the sheet when there are several
+                const prefix = sheets.length > 1 ? `${CellRef.quoteSheet(name)}!` : '';
+                const cells = [];
+                const sharedFormulas = new Map();
+                const unsupported = [];
+                let rowIndex = -1;
+                
+                for (const rowElement of elements(sheet, 'row')) {
+                    rowIndex = rowElement.hasAttribute('r') ? parseInt(rowElement.getAttribute('r')) - 1 : rowIndex + 1;
+                    let colIndex = -1;
                     
-                    const value = data[row][col];
-                    if (typeof value === 'string' && value.startsWith('=')) {
-                        try {
-                            const tokens = FormulaParser.tokenize(value.substring(1));
-                            for (const token of tokens) {
-                                if (token.type === 'cell') {
-                                    graph[cellRef].push(token.value);
-                                    dependencies[token.value] = dependencies[token.value] || [];
-                                    dependencies[token.value].push(cellRef);
+                    for (const cell of elements(rowElement, 'c')) {
+                        const position = cell.hasAttribute('r') ? CellRef.parse(cell.getAttribute('r')) : null;
+                        colIndex = position ? position.col : colIndex + 1;
+                        const row = position ? position.row : rowIndex;
+                        const col = colIndex;
+                        
+                        if (cell.getAttribute('s') && cell.getAttribute('s') !== '0') styled = true;
+                        
+                        const type = cell.getAttribute('t') || 'n';
+                        const valueElement = elements(cell, 'v')[0];
+                        const text = valueElement ? valueElement.textContent : null;
+                        let value;
+                        if (type === 'inlineStr') {
+                            const inline = elements(cell, 'is')[0];
+                            value = inline ? this.text(inline) : '';
+                        } else if (text === null) {
+                            value = '';
+                        } else if (type === 's') {
+                            value = strings[parseInt(text)] || '';
+                        } else if (type === 'b') {
+                            value = text === '1';
+                        } else if (type === 'n') {
+                            value = parseFloat(text);
+                        } else {
+                            value = text; // 'str' formula result or 'e' error
+                        }
+                        
+                        const formulaElement = elements(cell, 'f')[0];
+                        let formula = null;
+                        if (formulaElement) {
+                            const formulaType = formulaElement.getAttribute('t');
+                            const body = formulaElement.textContent;
+                            
+                            if (formulaType === 'shared') {
+                                // Cells of a shared formula repeat the first cell's formula, shifted
+                                const id = formulaElement.getAttribute('si');
+                                if (body) {
+                                    sharedFormulas.set(id, { formula: '=' + body, row, col });
+                                    formula = '=' + body;
+                                } else if (sharedFormulas.has(id)) {
+                                    const master = sharedFormulas.get(id);
+                                    try {
+                                        formula = FormulaParser.translate(master.formula, row - master.row, col - master.col);
+                                    } catch (e) {
+                                        formula = master.formula;
+                                    }
                                 }
+                            } else if (body) {
+                                if (formulaType === 'array') arrayFormulas++;
+                                formula = '=' + body;
                             }
-                        } catch (e) {
-                            // Invalid formula, skip dependencies
                         }
+                        
+                        if (formula) {
+                            const reason = this.checkFormula(formula, knownNames);
+                            if (reason) {
+                                const cached = type === 'e' ? FormulaError.parse(value) || value : value;
+                                unsupported.push({ row, col, formula, reason, cached });
+                            }
+                            cells.push({ row, col, value: formula });
+                        } else if (value !== '') {
+                            cells.push({ row, col, value });
+                        }
+                    }
+                }
+                
+                // The grid also spans merged cells past the last value
+                const merges = elements(sheet, 'mergeCell').map(merge => CellRef.parseRange(merge.getAttribute('ref') || ''))
+                    .filter(merge => merge && (merge.start.row !== merge.end.row || merge.start.col !== merge.end.col));
+                const corners = cells.concat(merges.map(merge => merge.end));
+                const rows = corners.reduce((max, cell) => Math.max(max, cell.row + 1), 1);
+                const cols = corners.reduce((max, cell) => Math.max(max, cell.col + 1), 1);
+                const data = Array(rows).fill().map(() => Array(cols).fill(''));
+                for (const cell of cells) {
+                    data[cell.row][cell.col] = cell.value;
+                }
+                
+                const cached = new Map();
+                for (const cell of unsupported) {
+                    cached.set(`${cell.row},${cell.col}`, cell.cached);
+                    warnings.push(`${prefix}${CellRef.format(cell.row, cell.col)}: ${cell.reason} in ${cell.formula} (showing the saved value)`);
+                }
+                for (const [element, feature] of Object.entries(sheetFeatures)) {
+                    const count = elements(sheet, element).length;
+                    if (count) {
+                        features.set(feature, (features.get(feature) || 0) + count);
                     }
                 }
+                
+                result.push({
+                    name,
+                    data,
+                    cached,
+                    merges: merges.map(({ start, end }) => `${CellRef.format(start.row, start.col)}:${CellRef.format(end.row, end.col)}`)
+                });
+            });
+            
+            if (result.length === 0) {
+                throw new Error('Workbook has no worksheets');
+            }
+            if (arrayFormulas) {
+                warnings.push(`${arrayFormulas} array formula(s) were imported as regular formulas`);
+            }
+            if (styled) {
+                warnings.push('Cell styles and number formats were not imported');
+            }
+            for (const [feature, count] of features) {
+                warnings.push(`${feature} were not imported (${count})`);
             }
             
-            return { graph, dependencies };
+            return { sheets: result, names, warnings };
+        },
+        
+        // Why the grid cannot evaluate a formula, or null when it can. names holds the
+        // upper-case defined names that were imported.
+        checkFormula: function(formula, names) {
+            try {
+                const { postfix } = FormulaParser.compile(formula);
+                const unknown = postfix.find(token => token.type === 'function' && !FormulaFunctions[token.value]);
+                if (unknown) {
+                    return `Unsupported function ${unknown.value}`;
+                }
+                const name = postfix.find(token => token.type === 'name' && !names.has(token.value));
+                return name ? `Unknown name ${name.value}` : null;
+            } catch (e) {
+                return 'Unsupported formula syntax';
+            }
         },
         
-        // Detect circular references using DFS
-        detectCircular: function(graph, startCell) {
-            const visited = new Set();
-            const recursionStack = new Set();
+        // Text of a string item, skipping phonetic runs
+        text: function(node) {
+            return Array.from(node.getElementsByTagNameNS('*', 't'))
+                .filter(t => t.parentNode.localName !== 'rPh')
+                .map(t => t.textContent)
+                .join('');
+        },
+        
+        escape: function(text) {
+            return String(text)
+                .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        },
+        
+        // Package for sheets ({ name, data, evaluated, merges }) of raw values, their evaluated
+        // results and merged cells ('A1:D1'), and defined names ({ name: formula }). Formulas are written with their
+        // current results as cached values so other applications show them at once.
+        write: function(sheets, names = {}) {
+            const strings = [];
+            const stringIndex = new Map();
+            const shared = (text) => {
+                if (!stringIndex.has(text)) {
+                    stringIndex.set(text, strings.length);
+                    strings.push(text);
+                }
+                return stringIndex.get(text);
+            };
             
-            const dfs = (cell) => {
-                if (recursionStack.has(cell)) {
-                    return true; // Circular reference found
+            // Cell XML for a value; formula is the formula body without '='
+            const cellXML = (ref, value, formula) => {
+                const f = formula === null ? '' : `<f>${this.escape(formula)}</f>`;
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}">${f}<v>${value}</v></c>`;
                 }
-                
-                if (visited.has(cell)) {
-                    return false;
+                if (typeof value === 'boolean') {
+                    return `<c r="${ref}" t="b">${f}<v>${value ? 1 : 0}</v></c>`;
                 }
-                
-                visited.add(cell);
-                recursionStack.add(cell);
-                
-                for (const neighbor of graph[cell] || []) {
-                    if (dfs(neighbor)) {
-                        return true;
+                if (value instanceof FormulaError) {
+                    // #CIRC and #ERROR are not Excel errors: leave the result to Excel
+                    if (!FormulaError.codes.includes(value.code)) {
+                        return f ? `<c r="${ref}">${f}</c>` : '';
                     }
+                    return `<c r="${ref}" t="e">${f}<v>${this.escape(value.code)}</v></c>`;
+                }
+                if (value === '' || value === null || value === undefined) {
+                    return f ? `<c r="${ref}">${f}</c>` : '';
                 }
                 
-                recursionStack.delete(cell);
-                return false;
+                const text = String(value);
+                if (formula !== null) {
+                    return `<c r="${ref}" t="str">${f}<v>${this.escape(text)}</v></c>`;
+                }
+                return `<c r="${ref}" t="s"><v>${shared(text)}</v></c>`;
+            };
+            
+            const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+            const { main, relationships, package: packageRels } = this.namespaces;
+            
+            const sheetXML = ({ data, evaluated, merges = [] }) => {
+                let maxRow = 0;
+                let maxCol = 0;
+                const rowsXML = [];
+                data.forEach((values, row) => {
+                    const cellsXML = [];
+                    values.forEach((raw, col) => {
+                        const isFormula = typeof raw === 'string' && raw.startsWith('=');
+                        const xml = isFormula
+                            ? cellXML(CellRef.format(row, col), evaluated[row][col], raw.substring(1))
+                            : cellXML(CellRef.format(row, col), Coercion.parseLiteral(raw), null);
+                        if (xml) {
+                            cellsXML.push(xml);
+                            maxRow = Math.max(maxRow, row);
+                            maxCol = Math.max(maxCol, col);
+                        }
+                    });
+                    if (cellsXML.length) {
+                        rowsXML.push(`<row r="${row + 1}">${cellsXML.join('')}</row>`);
+                    }
+                });
+                
+                return `${header}<worksheet xmlns="${main}">` +
+                    `<dimension ref="A1:${CellRef.format(maxRow, maxCol)}"/>` +
+                    `<sheetData>${rowsXML.join('')}</sheetData>` +
+                    (merges.length ? `<mergeCells count="${merges.length}">${merges.map(ref => `<mergeCell ref="${ref}"/>`).join('')}</mergeCells>` : '') +
+                    '</worksheet>';
+            };
+            
+            // Worksheets are rId1..n in the workbook relationships, followed by the shared parts
+            const count = sheets.length;
+            const parts = {
+                '[Content_Types].xml': `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>',
+                '_rels/.rels': `${header}<Relationships xmlns="${packageRels}">` +
+                    `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>',
+                'xl/workbook.xml': `${header}<workbook xmlns="${main}" xmlns:r="${relationships}">` +
+                    `<sheets>${sheets.map((sheet, i) => `<sheet name="${this.escape(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+                    (Object.keys(names).length ? `<definedNames>${Object.entries(names).map(([name, formula]) =>
+                        `<definedName name="${this.escape(name)}">${this.escape(formula.substring(1))}</definedName>`).join('')}</definedNames>` : '') +
+                    '</workbook>',
+                'xl/_rels/workbook.xml.rels': `${header}<Relationships xmlns="${packageRels}">` +
+                    sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${relationships}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${count + 1}" Type="${relationships}/sharedStrings" Target="sharedStrings.xml"/>` +
+                    `<Relationship Id="rId${count + 2}" Type="${relationships}/styles" Target="styles.xml"/>` +
+                    '</Relationships>',
+                'xl/sharedStrings.xml': null, // Filled in once every string is collected
+                'xl/styles.xml': `${header}<styleSheet xmlns="${main}">` +
+                    '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>' +
+                    '</styleSheet>'
             };
+            sheets.forEach((sheet, i) => {
+                parts[`xl/worksheets/sheet${i + 1}.xml`] = sheetXML(sheet);
+            });
+            parts['xl/sharedStrings.xml'] = `${header}<sst xmlns="${main}" count="${strings.length}" uniqueCount="${strings.length}">` +
+                strings.map(text => `<si><t xml:space="preserve">${this.escape(text)}</t></si>`).join('') +
+                '</sst>';
             
-            return dfs(startCell);
+            const encoder = new TextEncoder();
+            const files = new Map();
+            for (const [name, content] of Object.entries(parts)) {
+                files.set(name, encoder.encode(content));
+            }
+            return Zip.write(files);
+        }
+    };
+
+    // Operations exchanged by collaborating grids (see applyRemoteOperations):
+    // { type: 'setCells', sheet, cells: [{ row, col, value }] } and row/column changes
+    // { type: 'insertRows' | 'deleteRows' | 'insertColumns' | 'deleteColumns', sheet, index, count }.
+    // An operation made without seeing a concurrent row/column change is transformed
+    // to apply after it, so every grid ends up with the same cells.
+    const Operations = {
+        structureTypes: {
+            insertRows: { axis: 'row', sign: 1 },
+            deleteRows: { axis: 'row', sign: -1 },
+            insertColumns: { axis: 'col', sign: 1 },
+            deleteColumns: { axis: 'col', sign: -1 }
         },
         
-        // Get cells that depend on a given cell (for recalculation)
-        getDependents: function(dependencies, cell) {
-            if (!dependencies) return [];
-            
-            const dependents = new Set();
-            const queue = [cell];
+        // { axis, index, count } of a row/column operation (count < 0 deletes), or null
+        structureOf: function(operation) {
+            const type = this.structureTypes[operation.type];
+            return type ? { axis: type.axis, index: operation.index, count: operation.count * type.sign } : null;
+        },
+        
+        fromStructure: function(sheet, axis, index, count) {
+            const type = (count > 0 ? 'insert' : 'delete') + (axis === 'row' ? 'Rows' : 'Columns');
+            return { type, sheet, index, count: Math.abs(count) };
+        },
+        
+        // Row or column index after count rows/columns were inserted (count > 0) or deleted
+        // at index; null when it was deleted
+        shiftPosition: function(position, index, count) {
+            if (position < index) return position;
+            if (count > 0) return position + count;
+            return position < index - count ? null : position + count;
+        },
+        
+        // operation adjusted to apply after other, a concurrent operation already applied;
+        // null when nothing is left of it. Only row/column changes move other operations.
+        transform: function(operation, other) {
+            const change = this.structureOf(other);
+            if (!change) return operation;
             
-            while (queue.length > 0) {
-                const current = queue.shift();
-                for (const dependent of dependencies[current] || []) {
-                    if (!dependents.has(dependent)) {
-                        dependents.add(dependent);
-                        queue.push(dependent);
+            const structure = this.structureOf(operation);
+            if (!structure) {
+                return this.transformCells(operation, other.sheet, change);
+            }
+            if (operation.sheet !== other.sheet || structure.axis !== change.axis) {
+                return operation;
+            }
+            const adjusted = this.transformStructure(structure, change, operation.site < other.site);
+            return adjusted && $.extend({}, operation, { index: adjusted.index, count: Math.abs(adjusted.count) });
+        },
+        
+        // Cells move with the inserted/deleted rows or columns (cells deleted are dropped),
+        // and formulas are adjusted like the formulas already in the sheets
+        transformCells: function(operation, sheet, { axis, index, count }) {
+            const scope = { name: sheet, home: operation.sheet === sheet };
+            const cells = [];
+            for (const cell of operation.cells) {
+                const moved = $.extend({}, cell);
+                if (scope.home) {
+                    moved[axis] = this.shiftPosition(cell[axis], index, count);
+                    if (moved[axis] === null) continue;
+                }
+                if (typeof moved.value === 'string' && moved.value.startsWith('=')) {
+                    try {
+                        moved.value = FormulaParser.adjustForStructureChange(moved.value, axis, index, count, scope);
+                    } catch (e) {
+                        // Unparseable formula, keep it unchanged
                     }
                 }
+                cells.push(moved);
             }
-            
-            return Array.from(dependents);
+            return $.extend({}, operation, { cells });
         },
         
-        // Topological sort for proper evaluation order
-        topologicalSort: function(graph) {
-            const visited = new Set();
-            const temp = new Set();
-            const result = [];
+        // Two changes along the same axis of a sheet. Equal insert positions are broken by
+        // first (this change's site sorts first). Rows inserted inside rows the other side
+        // deleted are dropped, and the deletion on that side grows over them.
+        transformStructure: function(change, other, first) {
+            const { index, count } = change;
+            const end = index - count;
+            const otherEnd = other.index - other.count;
             
-            const visit = (cell) => {
-                if (temp.has(cell)) {
-                    throw new Error('Circular dependency detected');
-                }
-                if (visited.has(cell)) {
-                    return;
-                }
-                
-                temp.add(cell);
-                for (const neighbor of graph[cell] || []) {
-                    visit(neighbor);
-                }
-                temp.delete(cell);
-                visited.add(cell);
-                result.push(cell);
-            };
+            if (count > 0 && other.count > 0) {
+                return index < other.index || (index === other.index && first) ? change : { index: index + other.count, count };
+            }
+            if (count > 0) {
+                if (index <= other.index) return change;
+                return index >= otherEnd ? { index: index + other.count, count } : null;
+            }
+            if (other.count > 0) {
+                if (other.index <= index) return { index: index + other.count, count };
+                return other.index >= end ? change : { index, count: count - other.count };
+            }
             
-            for (const cell in graph) {
-                if (!visited.has(cell)) {
-                    visit(cell);
+            // Both delete: what is left of this deletion once the other one happened
+            const overlap = Math.max(0, Math.min(end, otherEnd) - Math.max(index, other.index));
+            if (overlap === -count) return null;
+            const start = index < other.index ? index : index >= otherEnd ? index + other.count : other.index;
+            return { index: start, count: count + overlap };
+        }
+    };
+
+    // In-memory transport connecting grids on one page, to try out and test
+    // collaboration: operations of each connected grid are applied to the others. With
+    // manual, they wait for flush(), so tests can make concurrent edits.
+    function LocalTransport(options) {
+        this.options = $.extend({ manual: false }, options || {});
+        this.peers = [];
+    }
+    
+    LocalTransport.prototype = {
+        connect: function(grid) {
+            const peer = { grid, queue: [] };
+            peer.handler = (event, operation) => this.send(peer, operation);
+            grid.on('operation', peer.handler);
+            grid.connect();
+            this.peers.push(peer);
+            return this;
+        },
+        
+        disconnect: function(grid) {
+            const peer = this.peers.find(candidate => candidate.grid === grid);
+            if (peer) {
+                grid.off('operation', peer.handler);
+                grid.disconnect();
+                this.peers.splice(this.peers.indexOf(peer), 1);
+            }
+            return this;
+        },
+        
+        send: function(from, operation) {
+            // A copy, as if it went over the wire
+            const message = JSON.stringify(operation);
+            for (const peer of this.peers) {
+                if (peer !== from) {
+                    peer.queue.push(JSON.parse(message));
                 }
             }
-            
-            return result.reverse(); // Reverse to get dependency order
+            if (!this.options.manual) {
+                this.flush();
+            }
+        },
+        
+        // Deliver the waiting operations; returns how many were delivered
+        flush: function() {
+            let delivered = 0;
+            for (const peer of this.peers) {
+                const operations = peer.queue.splice(0);
+                if (operations.length) {
+                    peer.grid.applyRemoteOperations(operations);
+                    delivered += operations.length;
+                }
+            }
+            return delivered;
+        },
+        
+        pending: function() {
+            return this.peers.reduce((total, peer) => total + peer.queue.length, 0);
         }
     };
 
@@ -338,379 +901,4119 @@
             cols: 10,
             readOnly: false,
             initialData: null,
-            onChange: null
+            sheets: null,           // Several sheets: [{ name, data }], or getState() sheet entries with layout
+            sheetTabs: 'auto',      // Show the sheet tab strip: true, false or 'auto' (with more than one sheet)
+            names: null,            // Defined names, e.g. { TaxRate: 'F1', Sales: 'B2:B50', Rate: 0.08 }
+            onChange: null,
+            onSelectionChange: null,
+            onBatchChange: null,    // Called once with all changed cells of a paste or multi-cell update
+            pasteMode: 'formulas',  // 'formulas' keeps pasted formulas, 'values' pastes displayed values
+            historyDepth: 100,      // Undo steps kept (0 disables undo)
+            siteId: null,           // Id of this grid in operations sent to collaborating grids (default: random)
+            conflictPolicy: 'lastWriterWins', // Concurrent edits of a cell: 'lastWriterWins' or function(conflict) -> 'local' | 'remote'
+            minSize: 20,            // Smallest width/height when resizing with the mouse (px)
+            virtualScroll: false,   // Only render the visible rows/columns
+            viewportHeight: 400,    // Height of the scrolling area in virtual mode (px)
+            rowHeight: 32,          // Row height in virtual mode (px)
+            colWidth: 100,          // Column width in virtual mode (px)
+            overscan: 5,            // Extra rows/columns rendered around the visible area
+            headers: false,         // Show column letters and row numbers
+            ariaLabel: null,        // Name of the grid for screen readers; the sheet name is added
+            headerWidth: 50,        // Width of the row number column in virtual mode (px)
+            resizable: true,        // Drag header edges to resize columns and rows
+            columnWidths: null,     // Initial widths in px by column index, e.g. { 0: 200 }
+            rowHeights: null,       // Initial heights in px by row index
+            frozenRows: 0,          // Rows kept at the top while scrolling
+            frozenCols: 0,          // Columns kept at the left while scrolling
+            formats: null,          // Number formats by cell or range, e.g. { 'C2:C20': '$#,##0.00' }
+            validations: null,      // Validation rules by cell, range or column, e.g. { 'B': { type: 'number', min: 0 } }
+            validationMode: 'reject', // Invalid entries are 'reject'ed or accepted and 'flag'ged
+            conditionalFormats: null, // Conditional format rules with their range, e.g. [{ range: 'D2:D20', type: 'top', count: 3 }]
+            merges: null,           // Merged cells, e.g. ['A1:D1']
+            onValidationError: null, // Called with { row, col, ref, value, rule, message, mode } for an invalid entry
+            filterHeaderRows: 1     // Header rows that filters never hide when no filter range is set
         }, options || {});
         
         this.container = $(containerOrTable);
-        this.data = [];
-        this.evaluatedData = [];
-        this.dependencies = null;
-        this.graph = null;
+        this.workbook = null;           // Cells and calculation (excel-grid-engine.js); the grid is its view
+        this.tbody = null;
+        this.renderedCells = new Map(); // "row,col" -> rendered <td>
+        this.headerCells = { rows: new Map(), cols: new Map() }; // Rendered header <th>s
+        this.layout = null;             // Layout of the active sheet, see createLayout
+        this.sheetViews = new Map();    // Sheet -> { layout, hiddenRows, selection } of the other sheets
+        this.tabStrip = null;
+        this.findBar = null;            // Find bar, see openFind
+        this.announcer = null;          // Live region read by screen readers, see announceCell
+        this.tabStop = null;            // The one cell reached with Tab, see renderSelection
+        this.hiddenRows = new Set();    // Rows hidden by filters
+        this.conditionalSummaries = new Map(); // Conditional format rule -> range figures, until values change
+        this.rowSizes = null;           // Row heights including hidden rows, see getRowSizes
+        this.mergeMaps = new WeakMap(); // layout.merges -> Map of "row,col" -> merged area, see getMerge
+        this.renderedRows = new Map();  // Row index -> rendered <tr>
+        this.viewport = null;
+        this.renderedWindow = null;
+        this.renderPending = false;
+        this.rendering = false;
         this.editingCell = null;
+        this.selection = null;          // { active, focus } cells; the range spans both
+        this.selectedElements = [];
+        this.dragging = false;
+        this.clipboard = null;          // Raw contents of the last copy from this grid
+        this.pasteValuesOnly = false;
+        this.history = { undo: [], redo: [] };
+        this.transactionSteps = null;   // Steps collected by an open transaction()
+        this.replaying = false;         // Undo/redo in progress: don't record
         this.originalTable = null;
+        this.sync = {                   // Collaboration state, see applyRemoteOperations
+            site: this.options.siteId || Math.random().toString(36).substring(2, 10),
+            clock: 0,                   // Lamport clock
+            vector: {},                 // Site -> sequence number of its last operation applied here
+            log: [],                    // Row/column operations applied here, to transform late operations
+            stamps: new Map(),          // Sheet name -> cell ref -> { site, seq, clock } of the cell's last write
+            layoutStamps: new Map(),    // Sheet name -> layout part -> stamp of its last write (per key for formats and validations)
+            connections: 0,             // Open connect() calls
+            pending: [],                // Remote operations waiting for operations they follow
+            seenBy: {}                  // Site -> version vector of the last operation it sent
+        };
         
         this.init();
     }
     
     ExcelGrid.prototype = {
+        // Raw and evaluated cells of the workbook
+        get data() {
+            return this.workbook.data;
+        },
+        
+        get evaluatedData() {
+            return this.workbook.evaluatedData;
+        },
+        
         init: function() {
             this.setupData();
-            this.updateDependencies();
             this.createGrid();
             this.bindEvents();
         },
         
         setupData: function() {
-            if (this.options.initialData) {
-                this.data = this.options.initialData.map(row => [...row]);
-            } else {
-                this.data = Array(this.options.rows).fill().map(() => Array(this.options.cols).fill(''));
+            const { initialData, rows, cols, sheets, names, columnWidths, rowHeights, frozenRows, frozenCols } = this.options;
+            this.workbook = new Workbook({
+                sheets: sheets || [{ name: 'Sheet1', data: initialData || { rows, cols } }],
+                names: names || {}
+            }, {
+                // SUBTOTAL skips rows hidden by filters; merged cells read as empty
+                context: {
+                    isRowHidden: (row, sheet) => this.isRowHidden(row, sheet),
+                    isCellCovered: (row, col, sheet) => this.isCellCovered(row, col, sheet)
+                }
+            });
+            
+            // The layout options apply to the first sheet, unless its sheets entry has its own
+            const first = { columnWidths, rowHeights, frozenRows, frozenCols, formats: {}, validations: {}, conditionalFormats: this.options.conditionalFormats, merges: this.options.merges };
+            for (const range in this.options.formats) {
+                this.assignFormat(first.formats, range, this.options.formats[range]);
+            }
+            for (const target in this.options.validations) {
+                this.assignValidation(first.validations, target, this.options.validations[target]);
+            }
+            const states = sheets ? [...sheets] : [{}];
+            states[0] = $.extend(first, states[0]);
+            this.loadViews(states);
+        },
+        
+        // Layout of a sheet from getState() fields; missing parts are reset
+        createLayout: function(state) {
+            return {
+                columnWidths: $.extend({}, state.columnWidths),
+                rowHeights: $.extend({}, state.rowHeights),
+                frozenRows: state.frozenRows || 0,
+                frozenCols: state.frozenCols || 0,
+                filters: $.extend(true, {}, state.filters),         // Column index -> filter criteria
+                filterRange: state.filterRange || null,             // Range the filters apply to; its first row is the header
+                formats: $.extend({}, state.formats),               // Cell ref ('B2') -> number format code
+                validations: $.extend(true, {}, state.validations), // Cell ref ('B2') or column ('B') -> validation rule
+                conditionalFormats: (state.conditionalFormats || []).map(rule => ConditionalFormat.normalize(rule)), // In order of precedence
+                merges: (state.merges || []).map(range => this.checkMerge(range))          // Merged areas ('A1:D1'), see mergeCells
+            };
+        },
+        
+        // Per-sheet state of the grid, kept while other sheets are shown
+        createView: function(state) {
+            return {
+                layout: this.createLayout(state),
+                hiddenRows: new Set(),
+                selection: { active: { row: 0, col: 0 }, focus: { row: 0, col: 0 } }
+            };
+        },
+        
+        // Create the views of all sheets from getState() sheet entries (in sheet order).
+        // Sheets named in selections keep that selection. active names the sheet to show.
+        loadViews: function(states, selections = new Map(), active = null) {
+            // The workbook was just calculated with the previous active layout's merged
+            // cells on its active sheet
+            const previousMerges = this.layout ? this.layout.merges : [];
+            this.layout = null;
+            this.sheetViews = new Map();
+            this.workbook.sheets.forEach((sheet, index) => {
+                const view = this.createView(states[index] || {});
+                view.selection = selections.get(sheet.name) || view.selection;
+                this.sheetViews.set(sheet, view);
+            });
+            
+            // Every sheet's filters hide rows, also for SUBTOTALs reading it from other sheets,
+            // and its merged cells read as empty
+            const first = this.workbook.sheet;
+            for (const sheet of this.workbook.sheets) {
+                this.useSheet(sheet);
+                this.fitLayout(sheet);
+                this.updateHiddenRows();
+                this.recalculateMerges(sheet === first ? previousMerges.concat(this.layout.merges) : this.layout.merges);
+            }
+            this.useSheet((active && this.workbook.getSheet(active)) || this.workbook.sheets[0]);
+        },
+        
+        // { layout, hiddenRows, selection } of a sheet
+        viewOf: function(sheet) {
+            if (sheet === this.workbook.sheet) {
+                return { layout: this.layout, hiddenRows: this.hiddenRows, selection: this.selection };
+            }
+            return this.sheetViews.get(sheet);
+        },
+        
+        // Switch the workbook and the per-sheet state of the grid (layout, filtered rows,
+        // selection) to another sheet. Does not render.
+        useSheet: function(sheet) {
+            if (this.layout) {
+                if (sheet === this.workbook.sheet) return;
+                this.sheetViews.set(this.workbook.sheet, this.viewOf(this.workbook.sheet));
             }
             
-            this.evaluatedData = this.data.map(row => [...row]);
-            this.evaluateAll();
+            const view = this.sheetViews.get(sheet) || this.createView({});
+            this.sheetViews.delete(sheet);
+            this.workbook.activateSheet(sheet.name);
+            this.layout = view.layout;
+            this.hiddenRows = view.hiddenRows;
+            this.selection = view.selection;
+            this.rowSizes = null;
         },
         
         createGrid: function() {
+            this.conditionalSummaries = new Map();
+            
+            // Rebuilding replaces the focused cell: focus its replacement afterwards
+            const focused = this.container[0].contains(document.activeElement);
+            
+            // Keep the scroll position when a virtual grid is rebuilt (e.g. by setData)
+            const scroll = this.viewport ? { top: this.viewport[0].scrollTop, left: this.viewport[0].scrollLeft } : null;
+            
             if (this.container.is('table')) {
                 // Replace existing table
-                this.originalTable = this.container.clone();
+                if (!this.originalTable) {
+                    this.originalTable = this.container.clone();
+                }
                 this.container.empty();
             } else {
                 // Create new table in container
                 this.container.empty();
             }
             
-            const table = $('<table class="excel-grid"></table>');
+            this.renderedCells = new Map();
+            this.renderedRows = new Map();
+            this.headerCells = { rows: new Map(), cols: new Map() };
+            this.selectedElements = [];
+            this.viewport = null;
+            this.renderedWindow = null;
+            this.renderSheetTabs();
+            if (!this.announcer) {
+                this.announcer = $('<div class="excel-grid-announcer" role="status" aria-live="polite" aria-atomic="true"></div>')
+                    .insertAfter(this.container);
+            }
+            
+            if (this.options.virtualScroll) {
+                this.createVirtualGrid(scroll);
+            } else {
+                this.createTable();
+            }
+            if (focused) {
+                this.focus();
+            }
+        },
+        
+        // The whole sheet as one table (see createVirtualGrid for virtual mode)
+        createTable: function() {
+            const table = this.createGridTable('excel-grid');
             const tbody = $('<tbody></tbody>');
+            this.tbody = tbody;
+            this.colgroup = $('<colgroup></colgroup>');
+            table.append(this.colgroup);
+            
+            if (this.options.headers) {
+                this.colgroup.append($('<col class="excel-grid-header-col">'));
+                const headerRow = $('<tr role="row" aria-rowindex="1"></tr>').append(this.createCornerHeader());
+                for (let col = 0; col < this.data[0].length; col++) {
+                    headerRow.append(this.createColumnHeader(col));
+                }
+                table.append($('<thead></thead>').append(headerRow));
+            }
+            for (let col = 0; col < this.data[0].length; col++) {
+                const width = this.layout.columnWidths[col];
+                this.colgroup.append($('<col>').css('width', width === undefined ? '' : width));
+            }
             
             for (let row = 0; row < this.data.length; row++) {
-                const tr = $('<tr></tr>');
+                if (this.hiddenRows.has(row)) continue;
+                
+                const tr = $(`<tr role="row" aria-rowindex="${this.getAriaIndex(row)}"></tr>`);
+                const height = this.layout.rowHeights[row];
+                if (height !== undefined) {
+                    tr.css('height', height);
+                }
+                if (this.options.headers) {
+                    tr.append(this.createRowHeader(row));
+                }
                 
                 for (let col = 0; col < this.data[row].length; col++) {
-                    const cellRef = CellRef.format(row, col);
-                    const td = $(`<td data-row="${row}" data-col="${col}" data-ref="${cellRef}"></td>`);
+                    const span = this.getMergeSpan(row, col);
+                    if (span && span.covered) continue;
                     
-                    this.updateCellDisplay(td, row, col);
+                    const td = this.createCell(row, col, span);
                     tr.append(td);
                 }
                 
+                this.renderedRows.set(row, tr[0]);
                 tbody.append(tr);
             }
             
             table.append(tbody);
             this.container.append(table);
+            this.positionFrozenPanes();
+            this.renderSelection();
         },
         
-        updateCellDisplay: function(td, row, col) {
-            const value = this.data[row][col];
-            const evaluatedValue = this.evaluatedData[row][col];
-            
-            if (typeof value === 'string' && value.startsWith('=')) {
-                // Formula cell
-                if (this.isError(evaluatedValue)) {
-                    td.addClass('error').text(evaluatedValue);
-                } else {
-                    td.removeClass('error').text(evaluatedValue);
-                }
-            } else {
-                // Regular cell
-                td.removeClass('error').text(value);
-            }
+        // ARIA grid markup. The table is a grid whose rows and cells carry their position in
+        // the sheet (aria-rowindex/aria-colindex, counting the header row and column), so
+        // screen readers report it right in virtual mode and with rows hidden by filters.
+        createGridTable: function(className) {
+            return $(`<table class="${className}" role="grid" aria-multiselectable="true"></table>`).attr({
+                'aria-label': [this.options.ariaLabel, this.workbook.sheet.name].filter(Boolean).join(', '),
+                'aria-rowcount': this.getAriaIndex(this.data.length - 1),
+                'aria-colcount': this.getAriaIndex(this.data[0].length - 1),
+                'aria-readonly': this.options.readOnly ? 'true' : null
+            });
         },
         
-        isError: function(value) {
-            return typeof value === 'string' && value.startsWith('#');
+        // aria-rowindex/aria-colindex of a row or column (1-based, after the headers)
+        getAriaIndex: function(index) {
+            return index + (this.options.headers ? 2 : 1);
         },
         
-        bindEvents: function() {
-            const self = this;
-            
-            // Cell click events - single click for cursor positioning
-            this.container.on('click', 'td', function(e) {
-                if (self.options.readOnly) return;
-                
-                const row = parseInt($(this).data('row'));
-                const col = parseInt($(this).data('col'));
-                self.startEdit(row, col, false); // false = don't select all
-            });
+        // <td> of a cell, or of a merged area at the cell (see getMergeSpan). Cells of a
+        // merged area select and show its top-left cell.
+        createCell: function(row, col, span) {
+            const merge = span ? span.merge.start : { row, col };
+            const td = $(`<td data-row="${merge.row}" data-col="${merge.col}" data-ref="${CellRef.format(merge.row, merge.col)}" role="gridcell" aria-colindex="${this.getAriaIndex(merge.col)}" aria-selected="false" tabindex="-1"></td>`);
+            if (span) {
+                td.attr({ rowspan: span.rowSpan, colspan: span.colSpan }).addClass('merged');
+            }
+            
+            // A merged area split by frozen panes shows its value once: its other parts stand
+            // for their first cell, which is blank
+            const shown = span && !span.main ? { row, col } : merge;
+            this.updateCellDisplay(td, shown.row, shown.col);
+            this.renderedCells.set(shown.row + ',' + shown.col, td[0]);
+            return td;
+        },
+        
+        // Header cells. Column letters come from CellRef so they always match formulas.
+        createCornerHeader: function() {
+            return $('<th class="excel-grid-header excel-grid-corner" role="columnheader" aria-colindex="1"></th>');
+        },
+        
+        createColumnHeader: function(col) {
+            const th = $(`<th class="excel-grid-header excel-grid-col-header" data-header-col="${col}" role="columnheader" aria-colindex="${this.getAriaIndex(col)}"></th>`)
+                .text(CellRef.columnName(col))
+                .toggleClass('excel-grid-filtered', col in this.layout.filters);
+            if (this.options.resizable) {
+                th.append('<div class="excel-grid-resizer excel-grid-col-resizer"></div>');
+            }
+            this.headerCells.cols.set(col, th[0]);
+            return th;
+        },
+        
+        createRowHeader: function(row) {
+            const th = $(`<th class="excel-grid-header excel-grid-row-header" data-header-row="${row}" role="rowheader" aria-colindex="1"></th>`)
+                .text(row + 1);
+            if (this.options.resizable) {
+                th.append('<div class="excel-grid-resizer excel-grid-row-resizer"></div>');
+            }
+            this.headerCells.rows.set(row, th[0]);
+            return th;
+        },
+        
+        // Virtual mode: a fixed-height scrolling viewport holding a table that only contains
+        // the visible rows and columns. Spacer rows/columns stand in for everything else so
+        // the scrollbars match the full grid size. Frozen rows/columns are always rendered,
+        // before the spacers.
+        createVirtualGrid: function(scroll) {
+            const viewport = $('<div class="excel-grid-viewport"></div>').css('height', this.options.viewportHeight);
+            const table = this.createGridTable('excel-grid excel-grid-virtual');
+            this.colgroup = $('<colgroup></colgroup>');
+            this.thead = this.options.headers ? $('<thead><tr role="row" aria-rowindex="1"></tr></thead>') : null;
+            this.tbody = $('<tbody></tbody>');
+            this.rowPool = [];
+            this.topSpacer = $('<tr class="excel-grid-spacer" aria-hidden="true"><td></td></tr>');
+            this.bottomSpacer = $('<tr class="excel-grid-spacer" aria-hidden="true"><td></td></tr>');
+            this.tbody.append(this.topSpacer, this.bottomSpacer);
+            
+            table.append(this.colgroup, this.thead, this.tbody);
+            viewport.append(table);
+            this.container.append(viewport);
+            this.viewport = viewport;
+            
+            viewport.on('scroll', () => this.scheduleRender());
+            this.renderViewport();
+            
+            // Restore the scroll position once the spacers give the table its full size
+            if (scroll) {
+                viewport[0].scrollTop = Math.min(scroll.top, this.getRowTop(this.data.length));
+                viewport[0].scrollLeft = Math.min(scroll.left, this.getColumnLeft(this.data[0].length));
+                this.renderViewport();
+            }
+        },
+        
+        scheduleRender: function() {
+            if (this.renderPending) return;
+            this.renderPending = true;
+            
+            const raf = window.requestAnimationFrame || ((fn) => setTimeout(fn, 16));
+            raf(() => {
+                this.renderPending = false;
+                if (this.viewport) {
+                    this.renderViewport();
+                }
+            });
+        },
+        
+        // Geometry of the cell area in px. Sizes default to colWidth/rowHeight; resized
+        // columns and rows are stored sparsely in this.layout.
+        getColumnWidth: function(col) {
+            const width = this.layout.columnWidths[col];
+            return width === undefined ? this.options.colWidth : width;
+        },
+        
+        getRowHeight: function(row) {
+            if (this.hiddenRows.has(row)) return 0;
+            const height = this.layout.rowHeights[row];
+            return height === undefined ? this.options.rowHeight : height;
+        },
+        
+        getColumnLeft: function(col) {
+            return this.getOffset(col, this.layout.columnWidths, this.options.colWidth);
+        },
+        
+        getRowTop: function(row) {
+            return this.getOffset(row, this.getRowSizes(), this.options.rowHeight);
+        },
+        
+        // Resized rows plus hidden rows (height 0), cached until either changes
+        getRowSizes: function() {
+            if (!this.rowSizes) {
+                this.rowSizes = $.extend({}, this.layout.rowHeights);
+                for (const row of this.hiddenRows) {
+                    this.rowSizes[row] = 0;
+                }
+            }
+            return this.rowSizes;
+        },
+        
+        getColumnAtOffset: function(x) {
+            return this.getIndexAtOffset(x, this.data[0].length, col => this.getColumnLeft(col));
+        },
+        
+        getRowAtOffset: function(y) {
+            return this.getIndexAtOffset(y, this.data.length, row => this.getRowTop(row));
+        },
+        
+        // Start of index along an axis: the default size for every earlier index, corrected
+        // for the resized ones
+        getOffset: function(index, sizes, defaultSize) {
+            let offset = index * defaultSize;
+            for (const key in sizes) {
+                if (Number(key) < index) {
+                    offset += sizes[key] - defaultSize;
+                }
+            }
+            return offset;
+        },
+        
+        // Index whose span contains offset (binary search over start offsets), or count
+        // when the offset is past the end
+        getIndexAtOffset: function(offset, count, startOf) {
+            if (offset >= startOf(count)) {
+                return count;
+            }
+            let low = 0;
+            let high = count - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (startOf(mid) <= offset) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return low;
+        },
+        
+        // Rows and columns that should currently be rendered, including the overscan buffer.
+        // Frozen rows/columns (frozenRows, frozenCols) are rendered in addition to these.
+        getVisibleWindow: function() {
+            const el = this.viewport[0];
+            const rows = this.data.length;
+            const cols = this.data[0].length;
+            const overscan = this.options.overscan;
+            const frozenRows = Math.min(this.layout.frozenRows, rows);
+            const frozenCols = Math.min(this.layout.frozenCols, cols);
+            // Fall back to the configured height before the viewport has been laid out
+            const height = el.clientHeight || this.options.viewportHeight;
+            const width = el.clientWidth;
+            
+            // Clamp so a stale scroll position (e.g. after loading fewer rows) stays in range
+            const firstRow = Math.max(frozenRows, Math.min(rows - 1, this.getRowAtOffset(el.scrollTop) - overscan));
+            const firstCol = Math.max(frozenCols, Math.min(cols - 1, this.getColumnAtOffset(el.scrollLeft) - overscan));
+            
+            return {
+                frozenRows,
+                frozenCols,
+                firstRow,
+                lastRow: Math.min(rows - 1, Math.max(firstRow, this.getRowAtOffset(el.scrollTop + height) + overscan)),
+                firstCol,
+                lastCol: width ? Math.min(cols - 1, Math.max(firstCol, this.getColumnAtOffset(el.scrollLeft + width) + overscan)) : cols - 1
+            };
+        },
+        
+        // Indexes between start and end (inclusive) that are rendered: everything outside
+        // virtual mode, otherwise the frozen ones and the visible window
+        getRenderedIndexes: function(axis, start, end) {
+            const win = this.renderedWindow;
+            const indexes = [];
+            for (let i = start; i <= end; i++) {
+                if (!win) {
+                    indexes.push(i);
+                } else if (axis === 'row' ? i < win.frozenRows || (i >= win.firstRow && i <= win.lastRow)
+                                          : i < win.frozenCols || (i >= win.firstCol && i <= win.lastCol)) {
+                    indexes.push(i);
+                }
+            }
+            return indexes;
+        },
+        
+        // Bring the rendered rows/columns in line with the scroll position, reusing the
+        // existing <tr>/<td> elements for whatever cells are now in view
+        renderViewport: function(force = false) {
+            const win = this.getVisibleWindow();
+            const last = this.renderedWindow;
+            if (!force && last && last.firstRow === win.firstRow && last.lastRow === win.lastRow &&
+                last.firstCol === win.firstCol && last.lastCol === win.lastCol) {
+                return;
+            }
+            
+            const isRendered = (row, col) => (row < win.frozenRows || (row >= win.firstRow && row <= win.lastRow)) &&
+                (col < win.frozenCols || (col >= win.firstCol && col <= win.lastCol));
+            
+            // An edit in a cell that scrolls out of view is committed; otherwise the input
+            // follows its cell into whichever recycled <td> now shows it
+            const editing = this.editingCell;
+            if (editing && !isRendered(editing.row, editing.col)) {
+                this.finishEdit();
+            }
+            
+            this.rendering = true;
+            
+            const headers = this.options.headers;
+            const totalRows = this.data.length;
+            const totalCols = this.data[0].length;
+            const range = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+            const rows = range(0, win.frozenRows - 1).concat(range(win.firstRow, win.lastRow))
+                .filter(row => !this.hiddenRows.has(row));
+            const frozenColList = range(0, win.frozenCols - 1);
+            const windowCols = range(win.firstCol, win.lastCol);
+            
+            // Cell slots of every row: [row header] frozen columns, left spacer, visible
+            // columns, right spacer. null marks a spacer.
+            const slots = [...frozenColList, null, ...windowCols, null];
+            const offset = headers ? 1 : 0;
+            
+            // Column widths in the same order
+            const leftWidth = this.getColumnLeft(win.firstCol) - this.getColumnLeft(win.frozenCols);
+            const rightWidth = this.getColumnLeft(totalCols) - this.getColumnLeft(win.lastCol + 1);
+            this.colgroup.empty();
+            if (headers) {
+                this.colgroup.append($('<col class="excel-grid-header-col">').css('width', this.options.headerWidth));
+            }
+            slots.forEach((col, j) => {
+                const spacerWidth = j === frozenColList.length ? leftWidth : rightWidth;
+                this.colgroup.append($('<col>').css('width', col === null ? spacerWidth : this.getColumnWidth(col)));
+            });
+            this.colgroup.parent().css('width', this.getColumnLeft(totalCols) + (headers ? this.options.headerWidth : 0));
+            
+            // Column header row
+            this.headerCells = { rows: new Map(), cols: new Map() };
+            if (headers) {
+                const headerRow = this.thead.children('tr').empty().css('height', this.options.rowHeight);
+                headerRow.append(this.createCornerHeader());
+                for (const col of slots) {
+                    headerRow.append(col === null ? $('<th class="excel-grid-spacer" aria-hidden="true"></th>') : this.createColumnHeader(col));
+                }
+            }
+            
+            const topHeight = this.getRowTop(win.firstRow) - this.getRowTop(win.frozenRows);
+            const bottomHeight = this.getRowTop(totalRows) - this.getRowTop(win.lastRow + 1);
+            this.topSpacer.toggle(topHeight > 0).children().attr('colspan', slots.length + offset).css('height', topHeight);
+            this.bottomSpacer.toggle(bottomHeight > 0).children().attr('colspan', slots.length + offset).css('height', bottomHeight);
+            
+            // Grow or shrink the pool of row elements
+            while (this.rowPool.length < rows.length) {
+                const tr = document.createElement('tr');
+                tr.setAttribute('role', 'row');
+                if (headers) {
+                    tr.appendChild(document.createElement('th'));
+                }
+                this.rowPool.push(tr);
+            }
+            while (this.rowPool.length > rows.length) {
+                const tr = this.rowPool.pop();
+                tr.parentNode.removeChild(tr);
+            }
+            
+            // Frozen rows come before the top spacer. Only misplaced rows are moved so the
+            // row holding the editor is not detached (which would blur it)
+            const tbody = this.tbody[0];
+            const order = [...this.rowPool.slice(0, win.frozenRows), this.topSpacer[0],
+                           ...this.rowPool.slice(win.frozenRows), this.bottomSpacer[0]];
+            order.forEach((tr, i) => {
+                if (tbody.rows[i] !== tr) {
+                    tbody.insertBefore(tr, tbody.rows[i] || null);
+                }
+            });
+            
+            // Merged areas are drawn for the new window (see getMergeSpan)
+            this.renderedWindow = win;
+            this.renderedCells = new Map();
+            this.renderedRows = new Map();
+            rows.forEach((row, i) => {
+                const tr = this.rowPool[i];
+                tr.style.height = this.getRowHeight(row) + 'px';
+                tr.setAttribute('aria-rowindex', this.getAriaIndex(row));
+                this.renderedRows.set(row, tr);
+                
+                while (tr.cells.length < slots.length + offset) {
+                    tr.appendChild(document.createElement('td'));
+                }
+                while (tr.cells.length > slots.length + offset) {
+                    tr.removeChild(tr.lastChild);
+                }
+                if (headers) {
+                    const th = this.createRowHeader(row)[0];
+                    tr.replaceChild(th, tr.cells[0]);
+                }
+                
+                slots.forEach((col, j) => {
+                    const td = tr.cells[j + offset];
+                    td.style.top = '';
+                    td.style.left = '';
+                    td.removeAttribute('rowspan');
+                    td.removeAttribute('colspan');
+                    
+                    // Cells drawn by a merged area's <td> are hidden like the spacers
+                    const span = col === null ? null : this.getMergeSpan(row, col);
+                    if (col === null || (span && span.covered)) {
+                        td.className = col === null ? 'excel-grid-spacer' : 'excel-grid-covered';
+                        for (const name of ['data-row', 'data-col', 'data-ref', 'role', 'aria-colindex', 'aria-selected', 'tabindex']) {
+                            td.removeAttribute(name);
+                        }
+                        td.setAttribute('aria-hidden', 'true');
+                        td.textContent = '';
+                        return;
+                    }
+                    
+                    // Same as createCell, on a recycled <td>
+                    const merge = span ? span.merge.start : { row, col };
+                    const shown = span && !span.main ? { row, col } : merge;
+                    td.className = span ? 'merged' : '';
+                    if (span) {
+                        td.rowSpan = span.rowSpan;
+                        td.colSpan = span.colSpan;
+                    }
+                    td.setAttribute('data-row', merge.row);
+                    td.setAttribute('data-col', merge.col);
+                    td.setAttribute('data-ref', CellRef.format(merge.row, merge.col));
+                    td.setAttribute('role', 'gridcell');
+                    td.setAttribute('aria-colindex', this.getAriaIndex(merge.col));
+                    td.setAttribute('aria-selected', 'false');
+                    td.setAttribute('tabindex', -1);
+                    td.removeAttribute('aria-hidden');
+                    this.renderedCells.set(shown.row + ',' + shown.col, td);
+                    
+                    if (editing && this.editingCell === editing && editing.row === shown.row && editing.col === shown.col) {
+                        this.moveEditor(td);
+                    } else {
+                        this.updateCellDisplay($(td), shown.row, shown.col);
+                    }
+                });
+            });
+            
+            this.positionFrozenPanes();
+            this.renderSelection();
+            this.rendering = false;
+        },
+        
+        // Frozen panes and headers stay in place with position: sticky. Offsets are
+        // measured so they also work for rows sized by their content.
+        positionFrozenPanes: function() {
+            const table = this.container.find('table.excel-grid')[0];
+            if (!table) return;
+            
+            const headerRow = table.tHead ? table.tHead.rows[0] : null;
+            const headerHeight = headerRow ? headerRow.offsetHeight : 0;
+            const headerWidth = headerRow ? headerRow.cells[0].offsetWidth : 0;
+            const frozenRows = Math.min(this.layout.frozenRows, this.data.length);
+            const frozenCols = Math.min(this.layout.frozenCols, this.data[0].length);
+            
+            let top = headerHeight;
+            for (let row = 0; row < frozenRows; row++) {
+                for (let col = 0; col < this.data[0].length; col++) {
+                    const td = this.renderedCells.get(row + ',' + col);
+                    if (!td) continue;
+                    td.classList.add('excel-grid-frozen-row');
+                    td.style.top = top + 'px';
+                }
+                // Measured on the row: all of its cells may belong to merged areas above
+                const tr = this.renderedRows.get(row);
+                const height = tr ? tr.offsetHeight : 0;
+                const th = this.headerCells.rows.get(row);
+                if (th) {
+                    th.classList.add('excel-grid-frozen-row');
+                    th.style.top = top + 'px';
+                }
+                top += height;
+            }
+            
+            let left = headerWidth;
+            for (let col = 0; col < frozenCols; col++) {
+                let width = 0;
+                for (let row = 0; row < this.data.length; row++) {
+                    const td = this.renderedCells.get(row + ',' + col);
+                    if (!td) continue;
+                    td.classList.add('excel-grid-frozen-col');
+                    td.style.left = left + 'px';
+                    if (td.colSpan === 1) {
+                        width = td.offsetWidth;
+                    }
+                }
+                const th = this.headerCells.cols.get(col);
+                if (th) {
+                    th.classList.add('excel-grid-frozen-col');
+                    th.style.left = left + 'px';
+                    width = th.offsetWidth;
+                }
+                left += width;
+            }
+        },
+        
+        // Move the active editor into a (recycled) cell element, keeping focus and caret
+        moveEditor: function(td) {
+            const input = this.editingCell.input;
+            if (input.parent()[0] === td) return;
+            
+            const el = input[0];
+            const start = el.selectionStart;
+            const end = el.selectionEnd;
+            $(td).empty().append(input);
+            el.focus();
+            el.setSelectionRange(start, end);
+        },
+        
+        // Scroll a virtual grid so the cell is in view and render it. Frozen rows/columns
+        // are always in view; the others must not end up underneath them or the headers.
+        scrollToCell: function(row, col) {
+            if (!this.viewport) return;
+            
+            const el = this.viewport[0];
+            const height = el.clientHeight || this.options.viewportHeight;
+            const width = el.clientWidth;
+            const headerHeight = this.options.headers ? this.options.rowHeight : 0;
+            const headerWidth = this.options.headers ? this.options.headerWidth : 0;
+            const frozenHeight = this.getRowTop(Math.min(this.layout.frozenRows, this.data.length));
+            const frozenWidth = this.getColumnLeft(Math.min(this.layout.frozenCols, this.data[0].length));
+            const top = this.getRowTop(row) - frozenHeight;
+            const bottom = this.getRowTop(row + 1) + headerHeight;
+            const left = this.getColumnLeft(col) - frozenWidth;
+            const right = this.getColumnLeft(col + 1) + headerWidth;
+            
+            if (row >= this.layout.frozenRows) {
+                if (top < el.scrollTop) {
+                    el.scrollTop = top;
+                } else if (bottom > el.scrollTop + height) {
+                    el.scrollTop = bottom - height;
+                }
+            }
+            if (width && col >= this.layout.frozenCols) {
+                if (left < el.scrollLeft) {
+                    el.scrollLeft = left;
+                } else if (right > el.scrollLeft + width) {
+                    el.scrollLeft = right - width;
+                }
+            }
+            
+            this.renderViewport();
+        },
+        
+        // Rendered <td> of a cell (empty jQuery object when it is not rendered)
+        getCellElement: function(row, col) {
+            return $(this.renderedCells.get(row + ',' + col));
+        },
+        
+        updateCellDisplay: function(td, row, col) {
+            // Cells of a merged area other than its top-left one are blank
+            if (this.isCellCovered(row, col)) {
+                td.removeClass('error invalid conditional').removeAttr('title aria-invalid')
+                    .css({ 'color': '', 'background-color': '', 'font-weight': '', 'font-style': '' })
+                    .text('');
+                return;
+            }
+            
+            const display = this.formatCell(row, col);
+            const problem = this.validateCell(row, col);
+            const evaluated = this.evaluatedData[row][col];
+            const error = this.isError(evaluated) ? evaluated : null;
+            const conditional = this.getConditionalStyle(row, col) || {};
+            
+            td.toggleClass('error', Boolean(error))
+                .toggleClass('invalid', Boolean(problem))
+                .toggleClass('conditional', Boolean(conditional.background || conditional.bar !== undefined))
+                .attr('title', error ? this.describeError(error, row, col) : problem || null)
+                .attr('aria-invalid', problem ? 'true' : null)
+                .css({
+                    'color': conditional.color || display.color || '',
+                    'background-color': conditional.background || '',
+                    'font-weight': conditional.bold ? 'bold' : '',
+                    'font-style': conditional.italic ? 'italic' : ''
+                })
+                .text(display.text);
+            
+            if (conditional.bar !== undefined) {
+                $('<span class="excel-grid-bar">')
+                    .css({ width: `${Math.round(conditional.bar * 100)}%`, 'background-color': conditional.barColor })
+                    .appendTo(td);
+            }
+        },
+        
+        // Text shown for a value (booleans display as TRUE/FALSE like Excel, errors as their code)
+        formatValue: function(value) {
+            if (typeof value === 'boolean') {
+                return value ? 'TRUE' : 'FALSE';
+            }
+            if (value instanceof FormulaError) {
+                return value.code;
+            }
+            return value;
+        },
+        
+        // Only error values are errors: text such as "#123 order" is not
+        isError: function(value) {
+            return value instanceof FormulaError;
+        },
+        
+        // Error value of a cell ('B4' or 'Sheet2!B4') as { code, message, source, sheet },
+        // or null when it has none
+        getError: function(ref) {
+            const value = this.workbook.getValue(String(ref));
+            return this.isError(value) ? value : null;
+        },
+        
+        // Tooltip of an error cell: the code, the cause and where a passed-on error started
+        describeError: function(error, row, col) {
+            const here = !error.sheet || CellRef.sameSheet(error.sheet, this.workbook.sheet.name);
+            if (!error.source || (here && error.source === CellRef.format(row, col))) {
+                return `${error.code}: ${error.message}`;
+            }
+            const source = here ? error.source : `${CellRef.quoteSheet(error.sheet)}!${error.source}`;
+            return `${error.code}: ${error.message} (in ${source})`;
+        },
+        
+        // Read the active cell out to screen readers: its reference, what it shows, the
+        // formula behind it, why it is an error or invalid, and the selected range, e.g.
+        // "E2: #DIV/0!, formula =D2/C2, #DIV/0!: Division by zero (in C2)"
+        announceCell: function() {
+            if (!this.announcer || !this.selection) return;
+            
+            const { active } = this.selection;
+            const merge = this.getMerge(active.row, active.col);
+            const { row, col } = merge ? merge.start : active;
+            if (row >= this.data.length || col >= this.data[0].length) return;
+            
+            const raw = this.data[row][col];
+            const evaluated = this.evaluatedData[row][col];
+            const text = String(this.formatCell(row, col).text);
+            const parts = [`${CellRef.format(row, col)}: ${text === '' ? 'blank' : text}`];
+            if (typeof raw === 'string' && raw.startsWith('=')) {
+                parts.push(`formula ${raw}`);
+            }
+            if (this.isError(evaluated)) {
+                parts.push(this.describeError(evaluated, row, col));
+            }
+            const problem = this.validateCell(row, col);
+            if (problem) {
+                parts.push(problem);
+            }
+            
+            const mergeRef = merge && `${CellRef.format(merge.start.row, merge.start.col)}:${CellRef.format(merge.end.row, merge.end.col)}`;
+            const range = this.getSelection().ref;
+            if (mergeRef) {
+                parts.push(`merged ${mergeRef}`);
+            }
+            if (range.includes(':') && range !== mergeRef) {
+                parts.push(`${range} selected`);
+            }
+            this.announce(parts.join(', '));
+        },
+        
+        // Message for screen readers, read out when they are idle
+        announce: function(message) {
+            if (this.announcer) {
+                this.announcer.text(message);
+            }
+        },
+        
+        bindEvents: function() {
+            const self = this;
+            
+            // Keyboard focus is on the active cell while it is not edited (see renderTabStop).
+            // Tabbing into a grid without a selection selects the first cell; otherwise the
+            // active cell is read out
+            this.container.on('focus', 'td[role="gridcell"]', function(e) {
+                if (!self.selection) {
+                    self.select(parseInt(this.getAttribute('data-row')), parseInt(this.getAttribute('data-col')));
+                } else if (!e.relatedTarget || !self.container[0].contains(e.relatedTarget)) {
+                    self.announceCell();
+                }
+            });
+            
+            // Mouse down selects (Shift extends); dragging extends the range.
+            // Read positions from the attributes: rendered cells are reused in virtual mode
+            this.container.on('mousedown', 'td[data-row]', function(e) {
+                if (e.button !== 0 || $(e.target).is('.cell-input')) return;
+                
+                const row = parseInt(this.getAttribute('data-row'));
+                const col = parseInt(this.getAttribute('data-col'));
+                
+                e.preventDefault(); // No text selection while dragging
+                self.finishEdit();
+                self.select(row, col, e.shiftKey);
+                self.focus();
+                
+                self.dragging = 'cells';
+                $(document).one('mouseup', () => {
+                    self.dragging = false;
+                });
+            });
+            
+            this.container.on('mouseover', 'td[data-row]', function() {
+                if (self.dragging !== 'cells') return;
+                
+                const row = parseInt(this.getAttribute('data-row'));
+                const col = parseInt(this.getAttribute('data-col'));
+                self.select(row, col, true);
+            });
+            
+            // Header clicks select whole rows/columns (Shift extends, dragging extends);
+            // the corner selects everything
+            this.container.on('mousedown', 'th.excel-grid-header', function(e) {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                self.finishEdit();
+                
+                if ($(e.target).hasClass('excel-grid-resizer')) {
+                    self.startResize(this, e);
+                    return;
+                }
+                
+                const col = this.getAttribute('data-header-col');
+                const row = this.getAttribute('data-header-row');
+                if (col !== null) {
+                    self.selectColumns(parseInt(col), e.shiftKey);
+                    self.dragging = 'cols';
+                } else if (row !== null) {
+                    self.selectRows(parseInt(row), e.shiftKey);
+                    self.dragging = 'rows';
+                } else {
+                    self.setSelection(CellRef.format(0, 0) + ':' + CellRef.format(self.data.length - 1, self.data[0].length - 1));
+                }
+                self.focus();
+                $(document).one('mouseup', () => {
+                    self.dragging = false;
+                });
+            });
+            
+            this.container.on('mouseover', 'th.excel-grid-header', function() {
+                if (self.dragging === 'cols' && this.hasAttribute('data-header-col')) {
+                    self.selectColumns(parseInt(this.getAttribute('data-header-col')), true);
+                } else if (self.dragging === 'rows' && this.hasAttribute('data-header-row')) {
+                    self.selectRows(parseInt(this.getAttribute('data-header-row')), true);
+                }
+            });
             
             // Double click to edit with text selection
-            this.container.on('dblclick', 'td', function(e) {
+            this.container.on('dblclick', 'td[data-row]', function(e) {
                 if (self.options.readOnly) return;
                 
-                const row = parseInt($(this).data('row'));
-                const col = parseInt($(this).data('col'));
+                const row = parseInt(this.getAttribute('data-row'));
+                const col = parseInt(this.getAttribute('data-col'));
                 self.startEdit(row, col, true); // true = select all text
             });
             
+            // Keyboard on the grid itself: navigation and selection without an editor open
+            this.container.on('keydown', function(e) {
+                if ($(e.target).is('.cell-input')) return;
+                self.handleGridKey(e);
+            });
+            
+            // Clipboard: copy/cut/paste the selected range while no editor is open
+            this.container.on('copy cut', function(e) {
+                if ($(e.target).is('.cell-input')) return;
+                
+                const event = e.originalEvent;
+                const payload = e.type === 'cut' && !self.options.readOnly ? self.cutSelection() : self.copySelection();
+                if (!payload || !event.clipboardData) return;
+                
+                event.clipboardData.setData('text/plain', payload.text);
+                event.clipboardData.setData('text/html', payload.html);
+                e.preventDefault();
+            });
+            
+            this.container.on('paste', function(e) {
+                if ($(e.target).is('.cell-input')) return;
+                
+                const data = e.originalEvent.clipboardData;
+                const mode = self.pasteValuesOnly ? 'values' : undefined;
+                self.pasteValuesOnly = false;
+                if (!data) return;
+                
+                e.preventDefault();
+                self.paste(data.getData('text/plain'), { mode, html: data.getData('text/html') });
+            });
+            
             // Keyboard navigation - FIXED: Arrow keys should move cursor within text, not between cells
-            this.container.on('keydown', 'input', function(e) {
-                const row = parseInt($(this).data('row'));
-                const col = parseInt($(this).data('col'));
+            this.container.on('keydown', '.cell-input', function(e) {
+                if (!self.editingCell) return;
+                
+                // Typing over a cell ("enter" mode) commits on any arrow key; an editor
+                // opened with F2 or double click keeps arrows for the text cursor
+                const enterMode = self.editingCell.mode === 'enter';
+                const atStart = this.selectionStart === 0 && this.selectionEnd === 0;
+                const atEnd = this.selectionStart === this.value.length && this.selectionEnd === this.value.length;
+                // A dropdown keeps Up/Down for choosing a value; Left/Right always leave it
+                const dropdown = $(this).is('select');
+                const vertical = e.key === 'ArrowUp' || e.key === 'ArrowDown';
+                const leaves = dropdown ? !vertical : enterMode;
                 
+                // A rejected entry keeps the editor open
                 switch (e.key) {
                     case 'Enter':
                         e.preventDefault();
-                        self.finishEdit();
+                        if (!self.finishEdit(true)) break;
+                        self.focus();
                         // FIXED: Enter should stay in same cell, not move to next cell
                         break;
                     case 'Escape':
                         e.preventDefault();
                         self.cancelEdit();
+                        self.focus();
                         break;
                     case 'Tab':
                         e.preventDefault();
-                        self.finishEdit();
-                        if (e.shiftKey) {
-                            // Move to previous column
-                            if (col > 0) {
-                                self.startEdit(row, col - 1, true);
-                            }
-                        } else {
-                            // Move to next column
-                            if (col + 1 < self.data[0].length) {
-                                self.startEdit(row, col + 1, true);
-                            }
-                        }
+                        if (!self.finishEdit(true)) break;
+                        self.moveActive(0, e.shiftKey ? -1 : 1);
+                        self.focus();
                         break;
                     case 'ArrowUp':
-                        // FIXED: Don't prevent default - let arrow keys move cursor within text
-                        // Only move between cells if cursor is at the beginning/end and we're not editing
-                        if (this.selectionStart === 0 && this.selectionEnd === 0) {
-                            e.preventDefault();
-                            self.finishEdit();
-                            if (row > 0) {
-                                self.startEdit(row - 1, col, true);
-                            }
-                        }
-                        break;
-                    case 'ArrowDown':
-                        // FIXED: Don't prevent default - let arrow keys move cursor within text
-                        // Only move between cells if cursor is at the end and we're not editing
-                        if (this.selectionStart === this.value.length && this.selectionEnd === this.value.length) {
-                            e.preventDefault();
-                            self.finishEdit();
-                            if (row + 1 < self.data.length) {
-                                self.startEdit(row + 1, col, true);
-                            }
-                        }
-                        break;
                     case 'ArrowLeft':
                         // FIXED: Don't prevent default - let arrow keys move cursor within text
-                        // Only move between cells if cursor is at the beginning and we're not editing
-                        if (this.selectionStart === 0 && this.selectionEnd === 0) {
+                        // Only move between cells if cursor is at the beginning
+                        if (leaves || atStart) {
                             e.preventDefault();
-                            self.finishEdit();
-                            if (col > 0) {
-                                self.startEdit(row, col - 1, true);
-                            }
+                            if (!self.finishEdit(true)) break;
+                            self.moveActive(e.key === 'ArrowUp' ? -1 : 0, e.key === 'ArrowLeft' ? -1 : 0);
+                            self.focus();
                         }
                         break;
+                    case 'ArrowDown':
                     case 'ArrowRight':
                         // FIXED: Don't prevent default - let arrow keys move cursor within text
-                        // Only move between cells if cursor is at the end and we're not editing
-                        if (this.selectionStart === this.value.length && this.selectionEnd === this.value.length) {
+                        // Only move between cells if cursor is at the end
+                        if (leaves || atEnd) {
                             e.preventDefault();
-                            self.finishEdit();
-                            if (col + 1 < self.data[0].length) {
-                                self.startEdit(row, col + 1, true);
-                            }
+                            if (!self.finishEdit(true)) break;
+                            self.moveActive(e.key === 'ArrowDown' ? 1 : 0, e.key === 'ArrowRight' ? 1 : 0);
+                            self.focus();
                         }
                         break;
                 }
             });
             
-            // Blur event to finish editing
-            this.container.on('blur', 'input', function() {
-                self.finishEdit();
-            });
+            // Blur event to finish editing
+            this.container.on('blur', '.cell-input', function() {
+                // Moving the editor between recycled cells is not the end of the edit
+                if (self.rendering) return;
+                self.finishEdit();
+            });
+        },
+        
+        // Keys pressed while a cell is selected but not being edited
+        handleGridKey: function(e) {
+            if (!this.selection) return;
+            
+            const ctrl = e.ctrlKey || e.metaKey;
+            const { active } = this.selection;
+            const arrows = {
+                ArrowUp: [-1, 0],
+                ArrowDown: [1, 0],
+                ArrowLeft: [0, -1],
+                ArrowRight: [0, 1]
+            };
+            
+            // Alt+Shift+arrows resize the active column (Left/Right) or row (Up/Down)
+            if (arrows[e.key] && e.altKey && e.shiftKey) {
+                e.preventDefault();
+                if (this.options.resizable) {
+                    const [dRow, dCol] = arrows[e.key];
+                    this.resizeByKey(dRow ? 'row' : 'col', dRow || dCol);
+                }
+                return;
+            }
+            
+            if (arrows[e.key]) {
+                e.preventDefault();
+                const [dRow, dCol] = arrows[e.key];
+                if (e.shiftKey) {
+                    const { focus } = this.selection;
+                    const edge = this.getMergeEdge(focus, dRow, dCol);
+                    const target = ctrl ? this.findDataEdge(focus.row, focus.col, dRow, dCol)
+                                        : { row: edge.row + dRow, col: edge.col + dCol };
+                    this.select(target.row, target.col, true);
+                } else if (ctrl) {
+                    const target = this.findDataEdge(active.row, active.col, dRow, dCol);
+                    this.select(target.row, target.col);
+                } else {
+                    this.moveActive(dRow, dCol);
+                }
+                return;
+            }
+            
+            switch (e.key) {
+                case 'Tab': {
+                    // Tab in the last column (Shift+Tab in the first) leaves the grid, so
+                    // keyboard users can always move on to the rest of the page
+                    const dCol = e.shiftKey ? -1 : 1;
+                    const col = this.getMergeEdge(active, 0, dCol).col + dCol;
+                    if (col < 0 || col >= this.data[0].length) return;
+                    e.preventDefault();
+                    this.moveActive(0, dCol);
+                    return;
+                }
+                case ' ':
+                    // Ctrl+Space selects the selected columns, Shift+Space the selected rows,
+                    // both everything
+                    if (ctrl || e.shiftKey) {
+                        e.preventDefault();
+                        const { start, end } = this.getSelectedRange();
+                        if (ctrl && e.shiftKey) {
+                            this.setSelection(CellRef.format(0, 0) + ':' + CellRef.format(this.data.length - 1, this.data[0].length - 1));
+                        } else if (ctrl) {
+                            this.selectColumns(start.col);
+                            this.selectColumns(end.col, true);
+                        } else {
+                            this.selectRows(start.row);
+                            this.selectRows(end.row, true);
+                        }
+                        return;
+                    }
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    this.moveActive(e.shiftKey ? -1 : 1, 0);
+                    return;
+                case 'Home':
+                    e.preventDefault();
+                    this.select(ctrl ? 0 : active.row, 0, e.shiftKey);
+                    return;
+                case 'End':
+                    if (ctrl) {
+                        e.preventDefault();
+                        this.select(this.data.length - 1, this.data[0].length - 1, e.shiftKey);
+                    }
+                    return;
+                case 'F2':
+                    e.preventDefault();
+                    if (!this.options.readOnly) {
+                        this.startEdit(active.row, active.col);
+                    }
+                    return;
+                case 'Delete':
+                    e.preventDefault();
+                    if (!this.options.readOnly) {
+                        this.clearRange(this.getSelectedRange());
+                    }
+                    return;
+                case 'Backspace':
+                    e.preventDefault();
+                    if (!this.options.readOnly) {
+                        this.startEdit(active.row, active.col, false, '');
+                    }
+                    return;
+                case 'PageUp':
+                case 'PageDown':
+                    // Ctrl+PageUp/PageDown show the previous/next sheet
+                    if (ctrl) {
+                        e.preventDefault();
+                        const next = this.workbook.sheets[this.workbook.sheets.indexOf(this.workbook.sheet) + (e.key === 'PageUp' ? -1 : 1)];
+                        if (next) {
+                            this.activateSheet(next.name);
+                        }
+                    }
+                    return;
+            }
+            
+            if (ctrl && (e.key.toLowerCase() === 'f' || e.key.toLowerCase() === 'h')) {
+                e.preventDefault();
+                this.openFind(e.key.toLowerCase() === 'h');
+                return;
+            }
+            
+            if (ctrl && (e.key.toLowerCase() === 'z' || e.key.toLowerCase() === 'y')) {
+                e.preventDefault();
+                if (!this.options.readOnly) {
+                    const redo = e.key.toLowerCase() === 'y' || e.shiftKey;
+                    if (redo) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                }
+                return;
+            }
+            
+            // Ctrl+Shift+V pastes values only; the browser's paste event follows this keydown
+            if (ctrl && e.key.toLowerCase() === 'v') {
+                this.pasteValuesOnly = e.shiftKey;
+                return;
+            }
+            
+            if (ctrl && e.key.toLowerCase() === 'a') {
+                e.preventDefault();
+                this.setSelection(CellRef.format(0, 0) + ':' + CellRef.format(this.data.length - 1, this.data[0].length - 1));
+                return;
+            }
+            
+            // Typing a character replaces the active cell's content
+            if (e.key.length === 1 && !ctrl && !e.altKey && !this.options.readOnly) {
+                e.preventDefault();
+                this.startEdit(active.row, active.col, false, e.key);
+            }
+        },
+        
+        // Focus the active cell (see renderTabStop)
+        focus: function() {
+            (this.tabStop || this.container[0]).focus({ preventScroll: true });
+        },
+        
+        // Select a cell, or extend the selection to it from the active cell
+        select: function(row, col, extend = false) {
+            this.hideMessage();
+            row = Math.max(0, Math.min(this.data.length - 1, row));
+            col = Math.max(0, Math.min(this.data[0].length - 1, col));
+            
+            // A merged area is selected as its top-left cell; ranges grow over whole areas
+            const merge = extend ? null : this.getMerge(row, col);
+            if (merge) {
+                row = merge.start.row;
+                col = merge.start.col;
+            }
+            
+            const previous = this.selection;
+            if (extend && previous) {
+                this.selection = { active: previous.active, focus: { row, col } };
+            } else {
+                this.selection = { active: { row, col }, focus: { row, col } };
+            }
+            
+            this.scrollToCell(row, col);
+            this.renderSelection();
+            
+            if (!previous || previous.active.row !== this.selection.active.row ||
+                previous.active.col !== this.selection.active.col ||
+                previous.focus.row !== row || previous.focus.col !== col) {
+                this.selectionChanged();
+            }
+        },
+        
+        // Move the active cell by an offset (collapsing any range selection). A merged area
+        // is left from its edge.
+        moveActive: function(dRow, dCol) {
+            if (!this.selection) return;
+            const { active } = this.selection;
+            const from = this.getMergeEdge(active, dRow, dCol);
+            
+            // Step over rows hidden by filters
+            let row = from.row + dRow;
+            while (dRow && this.hiddenRows.has(row)) {
+                row += dRow;
+            }
+            if (row < 0 || row >= this.data.length) {
+                row = active.row;
+            }
+            this.select(row, from.col + dCol);
+        },
+        
+        // Ctrl+arrow target: the last filled cell of the current block, the first
+        // filled cell of the next block, or the edge of the grid
+        findDataEdge: function(row, col, dRow, dCol) {
+            const inGrid = (r, c) => r >= 0 && r < this.data.length && c >= 0 && c < this.data[0].length;
+            const filled = (r, c) => this.data[r][c] !== '' && this.data[r][c] !== null && this.data[r][c] !== undefined;
+            
+            if (!inGrid(row + dRow, col + dCol)) {
+                return { row, col };
+            }
+            
+            if (filled(row, col) && filled(row + dRow, col + dCol)) {
+                while (inGrid(row + dRow, col + dCol) && filled(row + dRow, col + dCol)) {
+                    row += dRow;
+                    col += dCol;
+                }
+                return { row, col };
+            }
+            
+            row += dRow;
+            col += dCol;
+            while (inGrid(row + dRow, col + dCol) && !filled(row, col)) {
+                row += dRow;
+                col += dCol;
+            }
+            return { row, col };
+        },
+        
+        // Selected rectangle as { start, end } corners, including every merged area it overlaps
+        getSelectedRange: function() {
+            if (!this.selection) return null;
+            const { active, focus } = this.selection;
+            return this.expandToMerges({
+                start: { row: Math.min(active.row, focus.row), col: Math.min(active.col, focus.col) },
+                end: { row: Math.max(active.row, focus.row), col: Math.max(active.col, focus.col) }
+            });
+        },
+        
+        // Current selection: the active cell and the selected range, with A1 references
+        getSelection: function() {
+            if (!this.selection) return null;
+            
+            const { active } = this.selection;
+            const { start, end } = this.getSelectedRange();
+            const startRef = CellRef.format(start.row, start.col);
+            const endRef = CellRef.format(end.row, end.col);
+            
+            return {
+                active: { row: active.row, col: active.col, ref: CellRef.format(active.row, active.col) },
+                start,
+                end,
+                ref: startRef === endRef ? startRef : `${startRef}:${endRef}`
+            };
+        },
+        
+        // Select a range ("B2:D5" or "B2"); the active cell defaults to its top-left corner
+        setSelection: function(range, activeRef) {
+            const parsed = CellRef.parseRange(range);
+            if (!parsed) {
+                throw new Error(`Invalid range: ${range}`);
+            }
+            
+            let active = parsed.start;
+            let focus = parsed.end;
+            if (activeRef) {
+                const cell = CellRef.parse(String(activeRef).toUpperCase());
+                if (!cell || cell.row < parsed.start.row || cell.row > parsed.end.row ||
+                    cell.col < parsed.start.col || cell.col > parsed.end.col) {
+                    throw new Error(`Active cell ${activeRef} is not inside ${range}`);
+                }
+                // Keep the range by anchoring at the active cell and extending to the far corner
+                active = cell;
+                focus = {
+                    row: cell.row === parsed.start.row ? parsed.end.row : parsed.start.row,
+                    col: cell.col === parsed.start.col ? parsed.end.col : parsed.start.col
+                };
+            }
+            
+            // A merged area is active as its top-left cell
+            const merge = this.getMerge(active.row, active.col);
+            if (merge) {
+                active = merge.start;
+            }
+            
+            this.selection = { active: { row: active.row, col: active.col }, focus };
+            this.scrollToCell(active.row, active.col);
+            this.renderSelection();
+            this.selectionChanged();
+        },
+        
+        // Mark the rendered cells of the selection
+        renderSelection: function() {
+            for (const td of this.selectedElements) {
+                td.classList.remove('selected', 'active');
+                td.setAttribute('aria-selected', 'false');
+            }
+            this.selectedElements = [];
+            this.renderTabStop();
+            if (!this.selection) return;
+            
+            const { start, end } = this.getSelectedRange();
+            const merge = this.getMerge(this.selection.active.row, this.selection.active.col);
+            const active = merge ? merge.start : this.selection.active;
+            const rows = this.getRenderedIndexes('row', start.row, end.row);
+            const cols = this.getRenderedIndexes('col', start.col, end.col);
+            
+            for (const row of rows) {
+                for (const col of cols) {
+                    const td = this.renderedCells.get(row + ',' + col);
+                    if (!td) continue;
+                    td.classList.add('selected');
+                    td.setAttribute('aria-selected', 'true');
+                    if (row === active.row && col === active.col) {
+                        td.classList.add('active');
+                    }
+                    this.selectedElements.push(td);
+                }
+            }
+            
+            // Highlight the headers of the selected rows and columns
+            for (const [headers, indexes] of [[this.headerCells.rows, rows], [this.headerCells.cols, cols]]) {
+                for (const index of indexes) {
+                    const th = headers.get(index);
+                    if (!th) continue;
+                    th.classList.add('selected');
+                    th.setAttribute('aria-selected', 'true');
+                    this.selectedElements.push(th);
+                }
+            }
+        },
+        
+        // Roving tabindex: only the active cell (before anything is selected, the first
+        // cell) is reached with Tab, and keyboard focus in the grid follows it. While the
+        // active cell is scrolled out of a virtual grid, the container stands in for it.
+        renderTabStop: function() {
+            if (this.tabStop) {
+                this.tabStop.setAttribute('tabindex', -1);
+            }
+            
+            const active = this.selection && this.selection.active;
+            const merge = active && this.getMerge(active.row, active.col);
+            const cell = merge ? merge.start : active;
+            this.tabStop = cell ? this.renderedCells.get(cell.row + ',' + cell.col) || null
+                                : this.container.find('td[role="gridcell"]')[0] || null;
+            this.container.attr('tabindex', this.tabStop ? -1 : 0);
+            if (!this.tabStop) return;
+            
+            this.tabStop.setAttribute('tabindex', 0);
+            const focused = document.activeElement;
+            if (focused !== this.tabStop && (focused === this.container[0] ||
+                (this.container[0].contains(focused) && focused.getAttribute('role') === 'gridcell'))) {
+                this.tabStop.focus({ preventScroll: true });
+            }
+        },
+        
+        selectionChanged: function() {
+            this.announceCell();
+            const selection = this.getSelection();
+            if (this.options.onSelectionChange) {
+                this.options.onSelectionChange(selection);
+            }
+            this.trigger('selectionChange', selection);
+        },
+        
+        // Grid events are jQuery events triggered on the container, so they can also be
+        // bound with $(container).on(...). Handlers get (event, data). Returns false when a
+        // handler cancelled the event with event.preventDefault() or by returning false.
+        trigger: function(name, data) {
+            const event = $.Event(name);
+            this.container.trigger(event, [data]);
+            return !event.isDefaultPrevented();
+        },
+        
+        // Bind a handler to one or more space-separated grid events
+        on: function(events, handler) {
+            this.container.on(this.eventNames(events), handler);
+            return this;
+        },
+        
+        // Unbind a handler, every handler of the events, or (without arguments) every
+        // handler bound with on()
+        off: function(events, handler) {
+            this.container.off(events ? this.eventNames(events) : '.excelGridEvents', handler);
+            return this;
+        },
+        
+        // Handlers bound with on() share a namespace so off() never touches the grid's own
+        eventNames: function(events) {
+            return events.split(/\s+/).filter(Boolean).map(name => `${name}.excelGridEvents`).join(' ');
+        },
+        
+        // Select whole columns from the active cell's column to col (extend), or just col
+        selectColumns: function(col, extend = false) {
+            const lastRow = this.data.length - 1;
+            const anchor = extend ? this.selection.active.col : col;
+            const range = CellRef.format(0, Math.min(anchor, col)) + ':' + CellRef.format(lastRow, Math.max(anchor, col));
+            this.setSelection(range, CellRef.format(0, anchor));
+        },
+        
+        selectRows: function(row, extend = false) {
+            const lastCol = this.data[0].length - 1;
+            const anchor = extend ? this.selection.active.row : row;
+            const range = CellRef.format(Math.min(anchor, row), 0) + ':' + CellRef.format(Math.max(anchor, row), lastCol);
+            this.setSelection(range, CellRef.format(anchor, 0));
+        },
+        
+        // Empty every non-empty cell in a { start, end } range
+        clearRange: function(range) {
+            const changes = [];
+            for (let row = range.start.row; row <= range.end.row; row++) {
+                for (let col = range.start.col; col <= range.end.col; col++) {
+                    if (this.data[row][col] !== '') {
+                        changes.push({ row, col, value: '' });
+                    }
+                }
+            }
+            this.setCellValues(changes, 'clear');
+        },
+        
+        // Open the editor on a cell. initialValue replaces the cell's content (typing over a
+        // selected cell); otherwise the current raw value is edited. A beforeEdit handler
+        // can keep the editor closed.
+        startEdit: function(row, col, selectAll = false, initialValue) {
+            if (this.editingCell) {
+                this.finishEdit();
+            }
+            
+            // A merged area is edited in its top-left cell
+            const merge = this.getMerge(row, col);
+            if (merge) {
+                row = merge.start.row;
+                col = merge.start.col;
+            }
+            
+            const active = this.selection && this.selection.active;
+            if (!active || active.row !== row || active.col !== col) {
+                this.select(row, col);
+            }
+            
+            if (!this.trigger('beforeEdit', this.cellInfo(row, col, { value: this.data[row][col] }))) {
+                return;
+            }
+            
+            this.scrollToCell(row, col);
+            const cell = this.getCellElement(row, col);
+            const replacing = initialValue !== undefined;
+            const currentValue = replacing ? initialValue : NumberFormat.toInput(this.data[row][col], this.layout.formats[CellRef.format(row, col)]);
+            
+            // Cells with a list rule are edited with a dropdown of the allowed values
+            const rule = this.getCellRule(row, col);
+            const dropdown = rule && rule.type === 'list' && rule.dropdown !== false;
+            const input = (dropdown ? this.createDropdown(rule, currentValue, replacing) : $('<input type="text">').val(currentValue))
+                .data('row', row)
+                .data('col', col)
+                .attr('aria-label', `Edit ${CellRef.format(row, col)}`)
+                .addClass('cell-input');
+            
+            cell.html(input);
+            input.focus();
+            
+            if (dropdown) {
+                // Nothing to select
+            } else if (!replacing && (selectAll || !currentValue)) {
+                // Select all text only if requested (double-click) or if cell is empty
+                input.select();
+            } else {
+                // Position cursor at the end for single-click editing
+                const length = String(currentValue).length;
+                input[0].setSelectionRange(length, length);
+            }
+            
+            this.editingCell = { row, col, input, mode: replacing ? 'enter' : 'edit' };
+            this.trigger('editStart', this.cellInfo(row, col, { value: currentValue }));
+        },
+        
+        // { row, col, ref, sheet } of a cell on the active sheet, for events
+        cellInfo: function(row, col, extra) {
+            return $.extend({ row, col, ref: CellRef.format(row, col), sheet: this.workbook.sheet.name }, extra);
+        },
+        
+        // Dropdown editor listing a list rule's values. A value outside the list stays
+        // selectable so opening the editor doesn't change the cell; typing over the cell
+        // picks the first value starting with the typed character.
+        createDropdown: function(rule, value, typed) {
+            const select = $('<select>');
+            const values = rule.allowBlank === false ? [...rule.values] : [''].concat(rule.values);
+            let selected = value === null || value === undefined ? '' : String(value);
+            
+            if (typed) {
+                selected = rule.values.find(item => item.toLowerCase().startsWith(selected.toLowerCase())) || values[0];
+            } else if (!values.includes(selected)) {
+                values.unshift(selected);
+            }
+            for (const item of values) {
+                $('<option>').val(item).text(item).appendTo(select);
+            }
+            return select.val(selected);
+        },
+        
+        // Store the editor's value. Returns false when a 'reject' validation rule refused
+        // it: with retry the editor stays open to correct the entry, otherwise the entry
+        // is discarded.
+        finishEdit: function(retry = false) {
+            if (!this.editingCell) return true;
+            
+            const { row, col, input } = this.editingCell;
+            const newValue = input.val();
+            const rule = this.getCellRule(row, col);
+            // List entries are compared as typed, so "10%" stays text in a list cell
+            const typed = rule && rule.type === 'list' ? null : NumberFormat.parseInput(newValue);
+            
+            // Formulas are checked once calculated, by the flag on the cell
+            const message = rule && !newValue.startsWith('=')
+                ? Validation.check(rule, typed ? typed.value : Coercion.parseLiteral(newValue), newValue)
+                : null;
+            const mode = rule && (rule.mode || this.options.validationMode);
+            
+            if (message && mode === 'reject') {
+                if (retry) {
+                    input.addClass('invalid').focus();
+                    this.validationError(row, col, newValue, rule, message, mode);
+                } else {
+                    this.cancelEdit();
+                }
+                return false;
+            }
+            
+            this.editingCell = null;
+            let applied;
+            if (!typed) {
+                applied = this.setCellValues([{ row, col, value: newValue }], 'edit');
+            } else {
+                // "12%", "$1,200" or "2026-10-18" store the number and, when the cell has no
+                // format yet, the format that displays it the way it was typed
+                this.transaction(() => {
+                    applied = this.setCellValues([{ row, col, value: typed.value }], 'edit');
+                    if (applied.length && !this.layout.formats[CellRef.format(row, col)]) {
+                        this.setFormat(CellRef.format(row, col), typed.format);
+                    }
+                });
+            }
+            if (!applied.length) {
+                // A beforeChange handler dropped the entry: show the cell's value again
+                this.updateCellDisplay(this.getCellElement(row, col), row, col);
+            }
+            this.trigger('editEnd', this.cellInfo(row, col, { value: newValue }));
+            this.announceCell();
+            
+            if (message) {
+                this.validationError(row, col, newValue, rule, message, mode);
+            }
+            return true;
+        },
+        
+        cancelEdit: function() {
+            if (!this.editingCell) return;
+            
+            const { row, col } = this.editingCell;
+            const cell = this.getCellElement(row, col);
+            
+            this.editingCell = null;
+            this.updateCellDisplay(cell, row, col);
+            this.trigger('editCancel', this.cellInfo(row, col));
+        },
+        
+        moveToCell: function(row, col) {
+            if (row < 0 || row >= this.data.length || col < 0 || col >= this.data[0].length) {
+                return;
+            }
+            
+            this.select(row, col);
+        },
+        
+        setCellValue: function(row, col, value) {
+            this.setCellValues([{ row, col, value }]);
+        },
+        
+        // Set several cells with a single recalculation. changes: [{ row, col, value }],
+        // plus sheet for a cell on a sheet other than the active one; returns the cells
+        // set, with sheet, ref, oldValue, evaluated and oldEvaluated added. Multi-cell
+        // updates are reported through one onBatchChange call when that option is set;
+        // otherwise onChange is called for each cell. source tells event handlers what made
+        // the change: 'edit', 'paste', 'copy', 'clear', 'move', 'sort', 'merge' (cells
+        // cleared by mergeCells), 'replace' (see replaceAll), 'undo', 'redo', 'remote'
+        // (see applyRemoteOperations) or 'api'.
+        setCellValues: function(changes, source = 'api') {
+            if (changes.length === 0) return [];
+            
+            const workbook = this.workbook;
+            changes = changes.map(({ sheet, row, col, value }) => {
+                const name = workbook.resolveSheet(sheet).name;
+                return { sheet: name, row, col, ref: CellRef.format(row, col), oldValue: workbook.getSheet(name).data[row][col], value };
+            });
+            
+            // beforeChange handlers can rewrite an entry's value, replace an entry with null
+            // to skip it, or cancel the whole change. Undo and redo replay recorded changes
+            // and remote changes are already made elsewhere, so they aren't offered.
+            if (source !== 'undo' && source !== 'redo' && source !== 'remote') {
+                // Covered cells of a merged area stay empty: the area is written through its
+                // top-left cell, as in startEdit. Clearing them is still allowed
+                changes = changes.filter(({ sheet, row, col, value }) => value === '' || !this.isCellCovered(row, col, sheet));
+                if (changes.length === 0) return [];
+                
+                if (!this.trigger('beforeChange', { changes, source })) return [];
+                changes = changes.filter(change => change);
+                if (changes.length === 0) return [];
+            }
+            
+            // Typed entries were checked by finishEdit; pasted, copied, replaced and API
+            // values breaking a 'reject' rule are dropped the same way
+            if (source === 'paste' || source === 'copy' || source === 'replace' || source === 'api') {
+                changes = changes.filter(change => !this.rejectEntry(change));
+                if (changes.length === 0) return [];
+            }
+            
+            // Evaluated values before the change, for afterChange: the cells and every
+            // formula that reads them
+            const keys = changes.map(({ sheet, row, col }) => workbook.keyOf(workbook.getSheet(sheet), row, col));
+            const previous = new Map();
+            for (const key of keys.concat(Array.from(DependencyTracker.getDependents(workbook.graph, keys)))) {
+                const { sheet, row, col } = workbook.cellOf(key);
+                if (!previous.has(key)) previous.set(key, sheet.evaluatedData[row][col]);
+            }
+            
+            // A cell changed twice in one batch is undone to its value before the batch
+            const pending = new Map();
+            const history = changes.map(({ sheet, row, col, value }) => {
+                const key = `${sheet}!${row},${col}`;
+                const before = pending.has(key) ? pending.get(key) : this.workbook.getSheet(sheet).data[row][col];
+                pending.set(key, value);
+                return { sheet, row, col, before, after: value };
+            });
+            
+            // The workbook recalculates the cells and everything that depends on them
+            this.refreshCells(workbook.setCellValues(changes));
+            
+            // Only local changes are undone and sent to collaborating grids
+            if (source !== 'remote') {
+                if (history.some(cell => cell.before !== cell.after)) {
+                    this.recordHistory({ type: 'cells', cells: history });
+                }
+                for (const sheet of new Set(changes.map(change => change.sheet))) {
+                    const cells = changes.filter(change => change.sheet === sheet).map(({ row, col, value }) => ({ row, col, value }));
+                    this.emitOperation({ type: 'setCells', sheet, cells });
+                }
+            }
+            
+            const applied = changes.map(({ sheet, row, col, ref, value }, index) => ({
+                sheet,
+                row,
+                col,
+                ref,
+                oldValue: history[index].before,
+                value,
+                oldEvaluated: previous.get(keys[index]),
+                evaluated: workbook.getSheet(sheet).evaluatedData[row][col]
+            }));
+            
+            // Formulas whose result changed because of the new values
+            const same = (a, b) => a instanceof FormulaError && b instanceof FormulaError ? a.code === b.code : a === b;
+            const changed = new Set(keys);
+            const dependents = [];
+            for (const [key, oldEvaluated] of previous) {
+                if (changed.has(key)) continue;
+                const { sheet, row, col } = workbook.cellOf(key);
+                const evaluated = sheet.evaluatedData[row][col];
+                if (!same(oldEvaluated, evaluated)) {
+                    dependents.push({ sheet: sheet.name, row, col, ref: CellRef.format(row, col), oldEvaluated, evaluated });
+                }
+            }
+            
+            // Trigger change callback
+            if (applied.length > 1 && this.options.onBatchChange) {
+                this.options.onBatchChange(applied);
+            } else if (this.options.onChange) {
+                for (const change of applied) {
+                    this.options.onChange(
+                        { row: change.row, col: change.col, ref: change.ref, sheet: change.sheet },
+                        change.value,
+                        change.evaluated
+                    );
+                }
+            }
+            this.trigger('afterChange', { changes: applied, dependents, source });
+            return applied;
+        },
+
+        // Copy cells like Excel copy/paste: relative references in formulas move with the
+        // cell, absolute ($) parts stay fixed. A destination larger than the source is
+        // filled by repeating the source block (e.g. copyRange('D2', 'D3:D50')).
+        copyRange: function(source, destination) {
+            const src = CellRef.parseRange(source);
+            const dest = CellRef.parseRange(destination);
+            if (!src || !dest) {
+                throw new Error(`Invalid range: ${!src ? source : destination}`);
+            }
+
+            // Read the source first so overlapping ranges copy the original values
+            const block = [];
+            for (let row = src.start.row; row <= src.end.row; row++) {
+                block.push(this.data[row].slice(src.start.col, src.end.col + 1));
+            }
+
+            this.writeBlock(block, dest, { origin: src.start, tile: true, source: 'copy' });
+        },
+        
+        // Write a 2D block of raw values starting at dest.start. With tile, a larger dest
+        // is filled by repeating the block. With origin (where the block was copied from),
+        // formulas are translated by the distance moved. Cells past the grid are dropped.
+        // source is passed on to the change events.
+        writeBlock: function(block, dest, options = {}) {
+            const blockRows = block.length;
+            const blockCols = Math.max(...block.map(row => row.length));
+            if (blockRows === 0 || blockCols === 0) return [];
+            
+            let rows = blockRows;
+            let cols = blockCols;
+            if (options.tile) {
+                rows = Math.max(dest.end.row - dest.start.row + 1, blockRows);
+                cols = Math.max(dest.end.col - dest.start.col + 1, blockCols);
+            }
+            
+            const changes = [];
+            for (let r = 0; r < rows; r++) {
+                const row = dest.start.row + r;
+                if (row >= this.data.length) break;
+                
+                for (let c = 0; c < cols; c++) {
+                    const col = dest.start.col + c;
+                    if (col >= this.data[row].length) break;
+                    
+                    let value = block[r % blockRows][c % blockCols];
+                    if (value === undefined || value === null) value = '';
+                    
+                    if (options.origin && typeof value === 'string' && value.startsWith('=')) {
+                        const rowOffset = row - (options.origin.row + r % blockRows);
+                        const colOffset = col - (options.origin.col + c % blockCols);
+                        try {
+                            value = FormulaParser.translate(value, rowOffset, colOffset);
+                        } catch (e) {
+                            // Unparseable formula, copy it unchanged
+                        }
+                    }
+                    changes.push({ row, col, value });
+                }
+            }
+            
+            return this.setCellValues(changes, options.source);
+        },
+        
+        // Copy the selected range. Returns the clipboard payloads: tab-separated text and an
+        // HTML table of the displayed values, which Excel and Google Sheets both accept.
+        // The raw contents are kept so pasting back into this grid preserves formulas.
+        // A cut range stays in place until it is pasted into this grid, as in Excel.
+        copySelection: function(cut = false) {
+            const range = this.getSelectedRange();
+            if (!range) return null;
+            
+            const raw = [];
+            const display = [];
+            for (let row = range.start.row; row <= range.end.row; row++) {
+                raw.push(this.data[row].slice(range.start.col, range.end.col + 1));
+                const texts = [];
+                for (let col = range.start.col; col <= range.end.col; col++) {
+                    texts.push(String(this.getDisplayValue(row, col)));
+                }
+                display.push(texts);
+            }
+            
+            const text = ClipboardFormat.toText(display);
+            const html = ClipboardFormat.toHTML(display);
+            this.clipboard = { range, raw, text, cut };
+            return { text, html };
+        },
+        
+        cutSelection: function() {
+            return this.copySelection(true);
+        },
+        
+        // Paste clipboard text (tab-separated, or an HTML table via options.html) at the
+        // selection. options.mode is 'formulas' (default: options.pasteMode) or 'values'.
+        // Content copied from this grid keeps its formulas, with relative references
+        // adjusted to the new position; cut content is moved with moveRange.
+        paste: function(text, options = {}) {
+            const range = this.getSelectedRange();
+            if (!range || this.options.readOnly) return [];
+            
+            const mode = options.mode || this.options.pasteMode;
+            const internal = Boolean(this.clipboard && text) &&
+                ClipboardFormat.normalize(text) === ClipboardFormat.normalize(this.clipboard.text);
+            
+            if (internal && this.clipboard.cut && mode !== 'values') {
+                const source = this.clipboard.range;
+                this.clipboard = null; // A cut can only be pasted once
+                return this.moveRange(
+                    CellRef.format(source.start.row, source.start.col) + ':' + CellRef.format(source.end.row, source.end.col),
+                    CellRef.format(range.start.row, range.start.col)
+                );
+            }
+            
+            let block;
+            let origin = null;
+            if (internal && mode !== 'values') {
+                block = this.clipboard.raw;
+                origin = this.clipboard.range.start;
+            } else if (text) {
+                block = ClipboardFormat.fromText(text);
+            } else if (options.html) {
+                block = ClipboardFormat.fromHTML(options.html);
+            } else {
+                return [];
+            }
+            
+            if (mode === 'values' && !internal) {
+                // Values only: pasted text is never interpreted as a formula
+                block = block.map(row => row.map(value => typeof value === 'string' && value.startsWith('=')
+                    ? value.substring(1) : value));
+            }
+            
+            // Excel fills a larger selection when it is an exact multiple of the block
+            const selRows = range.end.row - range.start.row + 1;
+            const selCols = range.end.col - range.start.col + 1;
+            const blockCols = Math.max(...block.map(row => row.length));
+            const tile = selRows % block.length === 0 && selCols % blockCols === 0;
+            
+            const changes = this.writeBlock(block, range, { origin, tile, source: 'paste' });
+            if (changes.length) {
+                const last = changes[changes.length - 1];
+                this.setSelection(CellRef.format(range.start.row, range.start.col) + ':' + CellRef.format(last.row, last.col));
+            }
+            return changes;
+        },
+        
+        // Move cells like Excel cut and paste: formulas keep their references, and
+        // references to the moved cells anywhere in the workbook follow them. destination
+        // is the new top-left cell. The moved range is selected afterwards.
+        moveRange: function(source, destination) {
+            const src = CellRef.parseRange(source);
+            const dest = CellRef.parseRange(destination);
+            if (!src || !dest) {
+                throw new Error(`Invalid range: ${!src ? source : destination}`);
+            }
+            
+            const rowOffset = dest.start.row - src.start.row;
+            const colOffset = dest.start.col - src.start.col;
+            const endRow = src.end.row + rowOffset;
+            const endCol = src.end.col + colOffset;
+            if (endRow >= this.data.length || endCol >= this.data[0].length) {
+                throw new Error(`Cannot move ${source} outside the grid`);
+            }
+            
+            // Final contents of the cells touched by the move, keyed by "row,col"
+            const moved = new Map();
+            for (let row = src.start.row; row <= src.end.row; row++) {
+                for (let col = src.start.col; col <= src.end.col; col++) {
+                    moved.set(`${row},${col}`, '');
+                }
+            }
+            for (let row = src.start.row; row <= src.end.row; row++) {
+                for (let col = src.start.col; col <= src.end.col; col++) {
+                    moved.set(`${row + rowOffset},${col + colOffset}`, this.data[row][col]);
+                }
+            }
+            
+            const changes = [];
+            const active = this.workbook.sheet;
+            for (const sheet of this.workbook.sheets) {
+                const scope = { name: active.name, home: sheet === active };
+                for (let row = 0; row < sheet.data.length; row++) {
+                    for (let col = 0; col < sheet.data[row].length; col++) {
+                        const key = `${row},${col}`;
+                        let value = scope.home && moved.has(key) ? moved.get(key) : sheet.data[row][col];
+                        
+                        if (typeof value === 'string' && value.startsWith('=')) {
+                            try {
+                                value = FormulaParser.relocate(value, src, rowOffset, colOffset, scope);
+                            } catch (e) {
+                                // Unparseable formula, leave it unchanged
+                            }
+                        }
+                        if (value !== sheet.data[row][col]) {
+                            changes.push({ sheet: sheet.name, row, col, value });
+                        }
+                    }
+                }
+            }
+            
+            const applied = this.setCellValues(changes, 'move');
+            this.setSelection(CellRef.format(dest.start.row, dest.start.col) + ':' + CellRef.format(endRow, endCol));
+            return applied;
+        },
+        
+        // Text shown in a cell
+        getDisplayValue: function(row, col) {
+            return this.formatCell(row, col).text;
+        },
+        
+        // { text, color } of a cell: its evaluated value through the cell's number format.
+        // Numbers without a format use General, so =10/3 shows 3.333333333.
+        formatCell: function(row, col) {
+            const value = this.data[row][col];
+            const shown = typeof value === 'string' && value.startsWith('=') ? this.evaluatedData[row][col] : value;
+            const format = this.layout.formats[CellRef.format(row, col)];
+            
+            if (format) {
+                return NumberFormat.format(shown, format);
+            }
+            // A number that is not finite (set through the API) shows the #NUM! it evaluates to
+            if (typeof shown === 'number') {
+                return { text: NumberFormat.general(shown), color: null };
+            }
+            return { text: this.formatValue(shown), color: null };
+        },
+        
+        // Number format of a cell or range: a format code ('#,##0.00', '0%', 'yyyy-mm-dd',
+        // '$#,##0.00;[Red]-$#,##0.00', ...) or a preset name (see NumberFormat.presets).
+        // null or 'General' removes the format. Only the display changes; stored values
+        // and formulas see the plain number.
+        setFormat: function(range, format) {
+            const formats = $.extend({}, this.layout.formats);
+            this.assignFormat(formats, range, format);
+            this.setLayoutPart('formats', formats);
+        },
+        
+        getFormat: function(ref) {
+            const parsed = CellRef.parse(String(ref).toUpperCase());
+            if (!parsed) {
+                throw new Error(`Invalid cell reference: ${ref}`);
+            }
+            return this.layout.formats[CellRef.format(parsed.row, parsed.col)] || 'General';
+        },
+        
+        assignFormat: function(formats, range, format) {
+            const parsed = CellRef.parseRange(range);
+            if (!parsed) {
+                throw new Error(`Invalid range: ${range}`);
+            }
+            if (format !== null && format !== undefined && typeof format !== 'string') {
+                throw new Error(`Invalid number format: ${format}`);
+            }
+            
+            const code = format ? NumberFormat.resolve(format) : null;
+            for (let row = parsed.start.row; row <= parsed.end.row; row++) {
+                for (let col = parsed.start.col; col <= parsed.end.col; col++) {
+                    if (code && code.toLowerCase() !== 'general') {
+                        formats[CellRef.format(row, col)] = code;
+                    } else {
+                        delete formats[CellRef.format(row, col)];
+                    }
+                }
+            }
+        },
+        
+        // Replace the number formats, the validation rules, the conditional formats or the
+        // merged cells ('formats', 'validations', 'conditionalFormats' or 'merges'),
+        // recording one undo step, sending a setLayout operation and redrawing the affected
+        // cells. Remote changes (see applyRemoteLayout) are neither recorded nor sent.
+        setLayoutPart: function(part, value, remote = false) {
+            const before = this.layout[part];
+            const changed = Object.keys($.extend({}, before, value))
+                .filter(key => JSON.stringify(before[key]) !== JSON.stringify(value[key]));
+            if (!changed.length) return;
+            
+            const copy = object => $.extend(true, Array.isArray(object) ? [] : {}, object);
+            this.layout[part] = copy(value);
+            if (!remote) {
+                this.recordHistory({
+                    type: 'layout',
+                    sheet: this.workbook.sheet.name,
+                    part,
+                    before: copy(before),
+                    after: copy(value)
+                });
+                
+                // Formats and validation rules are sent per cell or column, so concurrent
+                // changes of different cells both stay; the other parts are sent whole
+                const operation = { type: 'setLayout', sheet: this.workbook.sheet.name, part };
+                if (Array.isArray(value)) {
+                    operation.value = copy(value);
+                } else {
+                    operation.changes = {};
+                    for (const key of changed) {
+                        operation.changes[key] = key in value ? copy({ value: value[key] }).value : null;
+                    }
+                }
+                this.emitOperation(operation);
+            }
+            
+            // Merging changes which cells are drawn and which ones formulas read as empty
+            if (part === 'merges') {
+                this.recalculateMerges(before.concat(value));
+                this.redraw();
+                return;
+            }
+            
+            // A column key ('B') or a conditional format affects more than one cell
+            if (changed.some(key => !CellRef.parse(key))) {
+                this.conditionalSummaries = new Map();
+                this.refreshCells(this.getRenderedRefs());
+            } else {
+                this.refreshCells(changed);
+            }
+        },
+        
+        // Validation rule of a cell, range or whole column ('B' or 'B:D'); see Validation
+        // for the rule types. null removes the rules set on the same target. A cell's own
+        // rule takes precedence over its column's. Entries are checked when they are typed,
+        // pasted, replaced or set through the API: depending on the rule's mode an invalid
+        // entry is rejected or stored and flagged.
+        // Cells holding invalid values (pasted, set through the API or calculated) are
+        // always flagged with the error message as tooltip.
+        setValidation: function(target, rule) {
+            const validations = $.extend(true, {}, this.layout.validations);
+            this.assignValidation(validations, target, rule);
+            this.setLayoutPart('validations', validations);
+        },
+        
+        getValidation: function(ref) {
+            const parsed = CellRef.parse(String(ref).toUpperCase());
+            if (!parsed) {
+                throw new Error(`Invalid cell reference: ${ref}`);
+            }
+            const rule = this.getCellRule(parsed.row, parsed.col);
+            return rule ? $.extend(true, {}, rule) : null;
+        },
+        
+        // Rule of a cell of a sheet (default: the active one)
+        getCellRule: function(row, col, sheetName) {
+            const sheet = sheetName ? this.workbook.getSheet(sheetName) : this.workbook.sheet;
+            const validations = this.viewOf(sheet).layout.validations;
+            return validations[CellRef.format(row, col)] || validations[CellRef.columnName(col)] || null;
+        },
+        
+        assignValidation: function(validations, target, rule) {
+            const normalized = rule ? Validation.normalize(rule) : null;
+            const keys = [];
+            const columns = String(target).toUpperCase().match(/^([A-Z]+)(?::([A-Z]+))?$/);
+            if (columns) {
+                const first = CellRef.parse(columns[1] + '1').col;
+                const last = CellRef.parse((columns[2] || columns[1]) + '1').col;
+                for (let col = Math.min(first, last); col <= Math.max(first, last); col++) {
+                    keys.push(CellRef.columnName(col));
+                }
+            } else {
+                const parsed = CellRef.parseRange(target);
+                if (!parsed) {
+                    throw new Error(`Invalid range: ${target}`);
+                }
+                for (let row = parsed.start.row; row <= parsed.end.row; row++) {
+                    for (let col = parsed.start.col; col <= parsed.end.col; col++) {
+                        keys.push(CellRef.format(row, col));
+                    }
+                }
+            }
+            
+            for (const key of keys) {
+                if (normalized) {
+                    validations[key] = normalized;
+                } else {
+                    delete validations[key];
+                }
+            }
+        },
+        
+        // Message for a cell's current value, or null when it is valid or has no rule
+        validateCell: function(row, col) {
+            const rule = this.getCellRule(row, col);
+            return rule ? Validation.check(rule, this.evaluatedData[row][col]) : null;
+        },
+        
+        // Every cell whose value breaks its validation rule, as { row, col, ref, message }
+        getInvalidCells: function() {
+            const invalid = [];
+            if (!Object.keys(this.layout.validations).length) return invalid;
+            
+            for (let row = 0; row < this.data.length; row++) {
+                for (let col = 0; col < this.data[row].length; col++) {
+                    const message = this.validateCell(row, col);
+                    if (message) {
+                        invalid.push({ row, col, ref: CellRef.format(row, col), message });
+                    }
+                }
+            }
+            return invalid;
+        },
+        
+        // Add a conditional format rule to a range, e.g. addConditionalFormat('D2:D20',
+        // { type: 'cellValue', operator: 'greaterThan', value: '=C2' }); see
+        // ConditionalFormat for the rule types. The formats follow every recalculation.
+        // Where two rules set the same property, the one added first wins.
+        addConditionalFormat: function(range, rule) {
+            const added = ConditionalFormat.normalize($.extend({}, rule, { range }));
+            this.setLayoutPart('conditionalFormats', this.layout.conditionalFormats.concat([added]));
+        },
+        
+        // The active sheet's rules with their range, in order of precedence
+        getConditionalFormats: function() {
+            return $.extend(true, [], this.layout.conditionalFormats);
+        },
+        
+        // Replace the rules, e.g. with a reordered or edited getConditionalFormats() list
+        setConditionalFormats: function(rules) {
+            this.setLayoutPart('conditionalFormats', (rules || []).map(rule => ConditionalFormat.normalize(rule)));
+        },
+        
+        // Remove the rules applying to any cell of range, or every rule without a range
+        clearConditionalFormats: function(range) {
+            const cleared = range === undefined ? null : CellRef.parseRange(String(range).toUpperCase());
+            if (range !== undefined && !cleared) {
+                throw new Error(`Invalid range: ${range}`);
+            }
+            const overlaps = ({ start, end }) => start.row <= cleared.end.row && end.row >= cleared.start.row &&
+                start.col <= cleared.end.col && end.col >= cleared.start.col;
+            const kept = cleared ? this.layout.conditionalFormats.filter(rule => !overlaps(CellRef.parseRange(rule.range))) : [];
+            this.setLayoutPart('conditionalFormats', kept);
+        },
+        
+        // Combined conditional format of a cell ({ background, color, bold, italic, bar,
+        // barColor }), or null when no rule applies
+        getConditionalStyle: function(row, col) {
+            let style = null;
+            for (const rule of this.layout.conditionalFormats) {
+                const { start, end } = CellRef.parseRange(rule.range);
+                if (row < start.row || row > end.row || col < start.col || col > end.col) continue;
+                
+                // Rule formulas are written for the range's first cell
+                const evaluate = formula => this.workbook.evaluate(FormulaParser.translate(formula, row - start.row, col - start.col));
+                const format = ConditionalFormat.apply(rule, this.evaluatedData[row][col], this.getRuleSummary(rule), evaluate);
+                if (format) {
+                    style = $.extend({}, format, style);
+                }
+            }
+            return style;
+        },
+        
+        // ConditionalFormat.summarize of a rule's range, kept until a value changes
+        getRuleSummary: function(rule) {
+            if (!this.conditionalSummaries.has(rule)) {
+                const { start, end } = CellRef.parseRange(rule.range);
+                const values = [];
+                for (let row = start.row; row <= Math.min(end.row, this.data.length - 1); row++) {
+                    for (let col = start.col; col <= Math.min(end.col, this.data[row].length - 1); col++) {
+                        values.push(this.evaluatedData[row][col]);
+                    }
+                }
+                this.conditionalSummaries.set(rule, ConditionalFormat.summarize(rule, values));
+            }
+            return this.conditionalSummaries.get(rule);
+        },
+        
+        // Whether a 'reject' rule refuses a value that was not typed ({ sheet, row, col,
+        // value } as in setCellValues); a refused value is reported like a typed one.
+        // Formulas are stored and their result is flagged.
+        rejectEntry: function({ sheet, row, col, value }) {
+            const rule = this.getCellRule(row, col, sheet);
+            const mode = rule && (rule.mode || this.options.validationMode);
+            if (mode !== 'reject' || (typeof value === 'string' && value.startsWith('='))) return false;
+            
+            const text = typeof value === 'string' ? value : Coercion.toText(value);
+            const typed = typeof value !== 'string' || rule.type === 'list' ? null : NumberFormat.parseInput(value);
+            const parsed = typeof value === 'string' ? Coercion.parseLiteral(value) : value;
+            const message = Validation.check(rule, typed ? typed.value : parsed, text);
+            if (message) {
+                this.validationError(row, col, value, rule, message, mode, sheet);
+            }
+            return Boolean(message);
+        },
+        
+        // Report an invalid entry to onValidationError, then show the message on the cell
+        // unless the callback returned false (or the cell is on a sheet that is not shown)
+        validationError: function(row, col, value, rule, message, mode, sheet = this.workbook.sheet.name) {
+            const ref = CellRef.format(row, col);
+            const callback = this.options.onValidationError;
+            if (callback && callback({ sheet, row, col, ref, value, rule: $.extend(true, {}, rule), message, mode }) === false) {
+                return;
+            }
+            if (sheet === this.workbook.sheet.name) {
+                this.showMessage(row, col, message);
+            }
+        },
+        
+        showMessage: function(row, col, message) {
+            this.hideMessage();
+            const cell = this.getCellElement(row, col);
+            if (cell.length) {
+                $('<div class="excel-grid-message" role="alert">').text(message).appendTo(cell);
+            }
+        },
+        
+        hideMessage: function() {
+            this.container.find('.excel-grid-message').remove();
+        },
+
+        // Refs of the rendered cells
+        getRenderedRefs: function() {
+            return Array.from(this.renderedCells.keys(), key => CellRef.format(...key.split(',').map(Number)));
+        },
+        
+        // Update the display of the given cells (refs) if they are rendered
+        refreshCells: function(refs) {
+            // A changed value can change the conditional format of any cell in a rule's
+            // range (top 10, duplicates, scales, formulas reading other cells)
+            const rules = this.layout.conditionalFormats;
+            if (rules.length) {
+                this.conditionalSummaries = new Map();
+                const ranges = rules.map(rule => CellRef.parseRange(rule.range));
+                const inRange = ({ row, col }) => ranges.some(({ start, end }) =>
+                    row >= start.row && row <= end.row && col >= start.col && col <= end.col);
+                refs = Array.from(new Set(refs.concat(this.getRenderedRefs().filter(ref => inRange(CellRef.parse(ref))))));
+            }
+            
+            for (const ref of refs) {
+                // Cells of other sheets ('Sheet2!A1') are not shown
+                const parsed = CellRef.parse(ref);
+                if (!parsed) continue;
+                
+                const { row, col } = parsed;
+                const cell = this.getCellElement(row, col);
+                if (cell.length && !(this.editingCell && this.editingCell.row === row && this.editingCell.col === col)) {
+                    this.updateCellDisplay(cell, row, col);
+                }
+            }
+        },
+        
+        // Load delimited text, replacing the grid's contents and size. Options:
+        // delimiter (','), header (first record is a header row: loaded as text, never
+        // converted to numbers) and parseNumbers (true: numeric fields become numbers).
+        // Fields starting with '=' are loaded as formulas.
+        importCSV: function(text, options = {}) {
+            const { delimiter = ',', header = false, parseNumbers = true } = options;
+            
+            const records = DelimitedText.parse(String(text).replace(/^\uFEFF/, ''), delimiter);
+            if (records.length === 0) {
+                records.push(['']);
+            }
+            
+            const cols = Math.max(...records.map(record => record.length));
+            const data = records.map((record, index) => {
+                const row = record.map(field => {
+                    if (!parseNumbers || (header && index === 0)) return field;
+                    const number = Coercion.parseNumber(field);
+                    return number === null ? field : number;
+                });
+                while (row.length < cols) row.push('');
+                return row;
+            });
+            
+            this.loadData('importCSV', () => {
+                this.workbook.setData(data);
+                this.fitLayout(this.workbook.sheet);
+                this.redraw();
+            });
+            return { rows: data.length, cols };
+        },
+        
+        // Delimited text of the grid (RFC 4180, CRLF line breaks). Options: delimiter (','),
+        // mode ('values' writes what cells display, 'formulas' the raw formulas), range
+        // (e.g. 'A1:D20'; default: everything up to the last non-empty row and column) and
+        // header (array of names written as the first line).
+        exportCSV: function(options = {}) {
+            const { delimiter = ',', mode = 'values', header = null } = options;
+            
+            let range;
+            if (options.range) {
+                range = CellRef.parseRange(options.range);
+                if (!range) {
+                    throw new Error(`Invalid range: ${options.range}`);
+                }
+            } else {
+                range = { start: { row: 0, col: 0 }, end: this.getUsedExtent() };
+            }
+            
+            const rows = header ? [header] : [];
+            for (let row = range.start.row; row <= Math.min(range.end.row, this.data.length - 1); row++) {
+                const fields = [];
+                for (let col = range.start.col; col <= Math.min(range.end.col, this.data[row].length - 1); col++) {
+                    fields.push(mode === 'formulas' ? this.formatValue(this.data[row][col]) : this.getDisplayValue(row, col));
+                }
+                rows.push(fields);
+            }
+            
+            return DelimitedText.stringify(rows, delimiter);
+        },
+        
+        // Load the worksheets and defined names of an .xlsx file (ArrayBuffer or Uint8Array),
+        // replacing all sheets of the grid, their layout and the names. Returns { rows, cols, sheets, warnings } with
+        // the size of the first sheet and the sheet names; warnings describe what could not
+        // be imported. Formulas this grid cannot evaluate keep their text and show the value
+        // saved in the file until they are recalculated.
+        importXLSX: function(buffer) {
+            const { sheets, names, warnings } = XLSXFormat.read(buffer);
+            this.finishEdit();
+            this.loadData('importXLSX', () => {
+                this.restoreSnapshot({ activeSheet: sheets[0].name, names, sheets: sheets.map(({ name, data, merges }) => ({ name, data, merges })) });
+                
+                const refs = [];
+                sheets.forEach(({ name, cached }) => {
+                    const sheet = this.workbook.getSheet(name);
+                    for (const [key, value] of cached) {
+                        const [row, col] = key.split(',').map(Number);
+                        sheet.evaluatedData[row][col] = value;
+                        if (sheet === this.workbook.sheet) {
+                            refs.push(CellRef.format(row, col));
+                        }
+                    }
+                });
+                this.refreshCells(refs);
+            });
+            
+            const { data } = sheets[0];
+            return { rows: data.length, cols: data[0].length, sheets: sheets.map(sheet => sheet.name), warnings };
+        },
+        
+        // The workbook as an .xlsx file (Uint8Array) with formulas and their current values.
+        // options.sheetName renames the sheet of a single-sheet grid in the file.
+        exportXLSX: function(options = {}) {
+            const sheets = this.workbook.sheets.map(sheet => ({
+                name: sheet.name,
+                data: sheet.data,
+                evaluated: sheet.evaluatedData,
+                merges: this.viewOf(sheet).layout.merges
+            }));
+            const names = this.workbook.getNames();
+            if (options.sheetName && sheets.length === 1) {
+                // Defined names refer to the sheet by name
+                for (const name in names) {
+                    names[name] = FormulaParser.mapSheets(names[name], () => options.sheetName);
+                }
+                sheets[0].name = options.sheetName;
+            }
+            return XLSXFormat.write(sheets, names);
+        },
+        
+        // Last row and column holding a value ({ row: -1, col: -1 } for an empty grid)
+        getUsedExtent: function() {
+            const extent = { row: -1, col: -1 };
+            this.data.forEach((values, row) => values.forEach((value, col) => {
+                if (value === '' || value === null || value === undefined) return;
+                extent.row = Math.max(extent.row, row);
+                extent.col = Math.max(extent.col, col);
+            }));
+            return extent;
+        },
+        
+        // { raw, evaluated } of a sheet (default: the active one)
+        getData: function(sheetName) {
+            return this.workbook.getData(sheetName);
+        },
+        
+        // Replace the cells of a sheet (default: the active one)
+        setData: function(data, sheetName) {
+            this.loadData('setData', () => {
+                this.workbook.setData(data, sheetName);
+                this.fitLayout(sheetName ? this.workbook.getSheet(sheetName) : this.workbook.sheet);
+                this.redraw();
+            });
+        },
+        
+        // Replace contents as one undo step and trigger dataLoaded with { source }
+        loadData: function(source, load) {
+            this.checkUnshared(`Loading data (${source})`);
+            const before = this.snapshot();
+            load();
+            this.recordHistory({ type: 'snapshot', before, after: this.snapshot() });
+            this.trigger('dataLoaded', { source });
+        },
+        
+        // Re-render the whole grid after the workbook was rebuilt
+        redraw: function() {
+            // An edit still in progress belongs to the previous data
+            this.editingCell = null;
+            this.updateHiddenRows();
+            this.clampSelection();
+            this.createGrid();
+        },
+        
+        // Keep the selection inside the grid after its size changed
+        clampSelection: function() {
+            if (!this.selection) return;
+            const clamp = (cell) => ({
+                row: Math.min(cell.row, this.data.length - 1),
+                col: Math.min(cell.col, this.data[0].length - 1)
+            });
+            this.selection = { active: clamp(this.selection.active), focus: clamp(this.selection.focus) };
+        },
+        
+        // Names of the sheets in tab order
+        getSheetNames: function() {
+            return this.workbook.getSheetNames();
+        },
+        
+        getActiveSheet: function() {
+            return this.workbook.sheet.name;
+        },
+        
+        // Show another sheet. Each sheet keeps its own layout, filters and selection.
+        activateSheet: function(name) {
+            const sheet = this.workbook.resolveSheet(name);
+            if (sheet === this.workbook.sheet) return;
+            
+            this.finishEdit();
+            this.useSheet(sheet);
+            this.redraw();
+            this.selectionChanged();
+        },
+        
+        // Add a sheet at index (default: last) and return its name. name defaults to the
+        // first free SheetN, data to an empty sheet of the rows and cols options.
+        addSheet: function(name, data = { rows: this.options.rows, cols: this.options.cols }, index) {
+            return this.changeWorkbook(() => {
+                name = this.workbook.addSheet(name, data, index);
+                this.sheetViews.set(this.workbook.getSheet(name), this.createView({}));
+                return name;
+            });
+        },
+        
+        // Rename a sheet; formulas referring to it follow the new name
+        renameSheet: function(name, newName) {
+            this.changeWorkbook(() => this.workbook.renameSheet(name, newName));
+        },
+        
+        // Delete a sheet; references to it become #REF!. The last sheet cannot be deleted.
+        deleteSheet: function(name) {
+            const sheet = this.workbook.resolveSheet(name);
+            this.changeWorkbook(() => {
+                // Show a neighbour before the active sheet goes
+                const index = this.workbook.sheets.indexOf(sheet);
+                if (sheet === this.workbook.sheet && this.workbook.sheets.length > 1) {
+                    this.useSheet(this.workbook.sheets[index + 1] || this.workbook.sheets[index - 1]);
+                }
+                this.workbook.deleteSheet(sheet.name);
+                this.sheetViews.delete(sheet);
+            });
+        },
+        
+        // Move a sheet to another position in the tab order
+        moveSheet: function(name, index) {
+            this.changeWorkbook(() => this.workbook.moveSheet(name, index));
+        },
+        
+        // Define a name for a cell, a range or a constant to use in formulas (=B2*TaxRate,
+        // =SUM(Sales)). refersTo is a reference ('F1', 'B2:B50', 'Sheet2!A1'; without a
+        // sheet on the one shown) or a number, boolean or text. Redefining a name updates
+        // every formula using it.
+        defineName: function(name, refersTo) {
+            this.changeWorkbook(() => this.workbook.defineName(name, refersTo));
+        },
+        
+        // Remove a defined name; formulas using it show #NAME?
+        deleteName: function(name) {
+            this.changeWorkbook(() => this.workbook.deleteName(name));
+        },
+        
+        // { name: formula } of every defined name, e.g. { TaxRate: '=Sheet1!$F$1' }
+        getNames: function() {
+            return this.workbook.getNames();
+        },
+        
+        // Run a change to the sheets or names as one undo step, then redraw: values change
+        // when formulas refer to an added, renamed or deleted sheet or name
+        changeWorkbook: function(fn) {
+            this.checkUnshared('Changing sheets or names');
+            this.finishEdit();
+            const before = this.snapshot();
+            const result = fn();
+            this.redraw();
+            this.recordHistory({ type: 'snapshot', before, after: this.snapshot() });
+            return result;
+        },
+        
+        // Sheet tabs below the grid: click to show a sheet, double click (or F2) to rename
+        // it, drag (or Shift+Left/Right) to reorder and '+' to add one. Shown when
+        // sheetTabs is true, or when it is 'auto' and there are several sheets. Sheets
+        // cannot be changed in read-only grids or while connected (see checkUnshared).
+        renderSheetTabs: function() {
+            const { sheetTabs } = this.options;
+            const editable = this.canChangeSheets();
+            if (sheetTabs !== true && !(sheetTabs === 'auto' && this.workbook.sheets.length > 1)) {
+                if (this.tabStrip) {
+                    this.tabStrip.remove();
+                    this.tabStrip = null;
+                }
+                return;
+            }
+            
+            if (!this.tabStrip) {
+                this.tabStrip = $('<div class="excel-grid-tabs"></div>').insertAfter(this.container);
+                this.bindSheetTabEvents();
+            }
+            this.tabStrip.empty();
+            this.workbook.sheets.forEach((sheet, index) => {
+                $('<button type="button" class="excel-grid-tab"></button>')
+                    .text(sheet.name)
+                    .attr('data-index', index)
+                    .attr('draggable', editable)
+                    .attr('aria-current', sheet === this.workbook.sheet ? 'true' : null)
+                    .toggleClass('active', sheet === this.workbook.sheet)
+                    .appendTo(this.tabStrip);
+            });
+            if (editable) {
+                this.tabStrip.append('<button type="button" class="excel-grid-tab-add" title="Add sheet">+</button>');
+            }
+        },
+        
+        canChangeSheets: function() {
+            return !this.options.readOnly && !this.isConnected();
+        },
+        
+        bindSheetTabEvents: function() {
+            const self = this;
+            const sheetAt = (tab) => this.workbook.sheets[parseInt(tab.getAttribute('data-index'))];
+            
+            this.tabStrip.on('click', '.excel-grid-tab', function() {
+                if ($(this).find('input').length) return;
+                self.activateSheet(sheetAt(this).name);
+                self.focus();
+            });
+            
+            this.tabStrip.on('click', '.excel-grid-tab-add', function() {
+                self.activateSheet(self.addSheet());
+                self.focus();
+            });
+            
+            this.tabStrip.on('dblclick', '.excel-grid-tab', function() {
+                if (self.canChangeSheets()) {
+                    self.startSheetRename(this);
+                }
+            });
+            
+            // The keyboard way to rename and reorder: F2 and Shift+Left/Right on a tab
+            this.tabStrip.on('keydown', '.excel-grid-tab', function(e) {
+                if (!self.canChangeSheets() || $(this).find('input').length) return;
+                
+                if (e.key === 'F2') {
+                    e.preventDefault();
+                    self.startSheetRename(this);
+                } else if (e.shiftKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                    e.preventDefault();
+                    const index = parseInt(this.getAttribute('data-index')) + (e.key === 'ArrowLeft' ? -1 : 1);
+                    if (index >= 0 && index < self.workbook.sheets.length) {
+                        self.moveSheet(sheetAt(this).name, index);
+                        self.tabStrip.find(`.excel-grid-tab[data-index="${index}"]`)[0].focus();
+                    }
+                }
+            });
+            
+            // Dropping a tab on another moves it to that tab's position
+            this.tabStrip.on('dragstart', '.excel-grid-tab', function(e) {
+                e.originalEvent.dataTransfer.setData('text/plain', this.getAttribute('data-index'));
+            });
+            this.tabStrip.on('dragover', '.excel-grid-tab', function(e) {
+                e.preventDefault();
+            });
+            this.tabStrip.on('drop', '.excel-grid-tab', function(e) {
+                e.preventDefault();
+                const from = self.workbook.sheets[parseInt(e.originalEvent.dataTransfer.getData('text/plain'))];
+                if (from && self.canChangeSheets()) {
+                    self.moveSheet(from.name, parseInt(this.getAttribute('data-index')));
+                }
+            });
+        },
+        
+        // Edit a sheet's name in its tab. Enter or leaving the field renames, Escape cancels;
+        // a name that is not allowed keeps the field open with the reason as its tooltip.
+        startSheetRename: function(tab) {
+            const sheet = this.workbook.sheets[parseInt(tab.getAttribute('data-index'))];
+            const input = $('<input type="text" class="excel-grid-tab-input">').val(sheet.name);
+            $(tab).empty().append(input);
+            input[0].focus();
+            input[0].select();
+            
+            // Renaming redraws the tabs, which blurs the field: finish only once
+            let done = false;
+            const finish = (commit, leaving = false) => {
+                if (done) return;
+                done = true;
+                const name = input.val().trim();
+                if (commit && name !== sheet.name) {
+                    try {
+                        this.renameSheet(sheet.name, name);
+                    } catch (e) {
+                        // Enter lets the user correct the name; leaving the field gives up
+                        if (!leaving) {
+                            done = false;
+                            input.addClass('invalid').attr('title', e.message);
+                            return;
+                        }
+                    }
+                }
+                this.renderSheetTabs();
+                if (!leaving) {
+                    this.focus();
+                }
+            };
+            
+            input.on('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    finish(true);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(false);
+                }
+            });
+            input.on('blur', () => finish(true, true));
+        },
+        
+        // Drag a header's resize handle: the column (or row) follows the mouse until release
+        startResize: function(th, e) {
+            const isColumn = th.hasAttribute('data-header-col');
+            const index = parseInt(th.getAttribute(isColumn ? 'data-header-col' : 'data-header-row'));
+            const start = isColumn ? e.pageX : e.pageY;
+            const startSize = isColumn ? th.offsetWidth || this.getColumnWidth(index) : th.offsetHeight || this.getRowHeight(index);
+            
+            const move = (event) => {
+                const size = Math.max(this.options.minSize, startSize + (isColumn ? event.pageX : event.pageY) - start);
+                if (isColumn) {
+                    this.setColumnWidth(index, size);
+                } else {
+                    this.setRowHeight(index, size);
+                }
+            };
+            $(document).on('mousemove.excelGridResize', move);
+            $(document).one('mouseup', () => {
+                $(document).off('mousemove.excelGridResize');
+            });
+        },
+        
+        // Keyboard resizing (Alt+Shift+arrows): the active cell's column or row grows or
+        // shrinks by 10px per step
+        resizeByKey: function(type, direction) {
+            const isColumn = type === 'col';
+            const index = this.selection.active[type];
+            const th = this.headerCells[isColumn ? 'cols' : 'rows'].get(index);
+            const size = isColumn ? (th && th.offsetWidth) || this.getColumnWidth(index) : (th && th.offsetHeight) || this.getRowHeight(index);
+            const newSize = Math.max(this.options.minSize, size + direction * 10);
+            if (isColumn) {
+                this.setColumnWidth(index, newSize);
+                this.announce(`Column ${CellRef.columnName(index)} width ${newSize} pixels`);
+            } else {
+                this.setRowHeight(index, newSize);
+                this.announce(`Row ${index + 1} height ${newSize} pixels`);
+            }
+        },
+        
+        // Set a column width in px; null restores the default
+        setColumnWidth: function(col, width) {
+            this.setSize(this.layout.columnWidths, col, width);
+            if (this.viewport) {
+                this.renderViewport(true);
+            } else {
+                const offset = this.options.headers ? 1 : 0;
+                this.colgroup.children().eq(col + offset).css('width', width === null ? '' : width);
+                this.positionFrozenPanes();
+            }
+        },
+        
+        // Set a row height in px; null restores the default
+        setRowHeight: function(row, height) {
+            this.setSize(this.layout.rowHeights, row, height);
+            this.rowSizes = null;
+            if (this.viewport) {
+                this.renderViewport(true);
+            } else {
+                const td = this.renderedCells.get(row + ',0');
+                $(td).parent().css('height', height === null ? '' : height);
+                this.positionFrozenPanes();
+            }
+        },
+        
+        setSize: function(sizes, index, size) {
+            if (size === null || size === undefined) {
+                delete sizes[index];
+            } else if (!(size >= 0)) {
+                throw new Error(`Invalid size: ${size}`);
+            } else {
+                sizes[index] = size;
+            }
+        },
+        
+        // Keep the first rows and columns in view while scrolling (0 unfreezes)
+        freezePanes: function(rows = 0, cols = 0) {
+            this.layout.frozenRows = Math.max(0, rows);
+            this.layout.frozenCols = Math.max(0, cols);
+            this.createGrid();
+        },
+        
+        // Merge the cells of a range ('A1:D1') into one cell spanning its rows and columns,
+        // like Excel's Merge Cells. The top-left cell holds the value: the other cells are
+        // cleared, formulas read them as empty and the selection and arrow keys treat the
+        // area as a single cell. Merged areas overlapping the range become part of the new one.
+        mergeCells: function(range) {
+            const merge = this.expandToMerges(CellRef.parseRange(this.checkMerge(range)));
+            if (merge.end.row >= this.data.length || merge.end.col >= this.data[0].length) {
+                throw new Error(`Range ${range} is outside the grid`);
+            }
+            
+            const merges = this.layout.merges.filter(other => !this.rangesOverlap(CellRef.parseRange(other), merge));
+            const ref = `${CellRef.format(merge.start.row, merge.start.col)}:${CellRef.format(merge.end.row, merge.end.col)}`;
+            
+            this.finishEdit();
+            this.transaction(() => {
+                const changes = [];
+                for (let row = merge.start.row; row <= merge.end.row; row++) {
+                    for (let col = merge.start.col; col <= merge.end.col; col++) {
+                        if ((row !== merge.start.row || col !== merge.start.col) && this.data[row][col] !== '') {
+                            changes.push({ row, col, value: '' });
+                        }
+                    }
+                }
+                this.setCellValues(changes, 'merge');
+                this.setLayoutPart('merges', merges.concat(ref));
+            });
+            this.setSelection(ref);
+        },
+        
+        // Split the merged areas overlapping a range (default: the selection) back into cells
+        unmergeCells: function(range) {
+            const parsed = range === undefined ? this.getSelectedRange() : CellRef.parseRange(range);
+            if (!parsed) {
+                throw new Error(`Invalid range: ${range}`);
+            }
+            
+            this.finishEdit();
+            this.setLayoutPart('merges', this.layout.merges.filter(other => !this.rangesOverlap(CellRef.parseRange(other), parsed)));
+        },
+        
+        // Merged areas of the active sheet ('A1:D1')
+        getMerges: function() {
+            return [...this.layout.merges];
+        },
+        
+        // Normalized ref of a range that can be merged (more than one cell)
+        checkMerge: function(range) {
+            const parsed = CellRef.parseRange(range);
+            if (!parsed) {
+                throw new Error(`Invalid range: ${range}`);
+            }
+            const { start, end } = parsed;
+            if (start.row === end.row && start.col === end.col) {
+                throw new Error(`Cannot merge a single cell: ${range}`);
+            }
+            return `${CellRef.format(start.row, start.col)}:${CellRef.format(end.row, end.col)}`;
+        },
+        
+        // Merged area containing a cell of a sheet (default: the active one) as
+        // { start, end }, or null
+        getMerge: function(row, col, sheetName) {
+            const sheet = sheetName ? this.workbook.getSheet(sheetName) : this.workbook.sheet;
+            const view = sheet && this.viewOf(sheet);
+            if (!view || !view.layout) return null;
+            
+            // Indexed once per list of merges; every change replaces the list
+            const merges = view.layout.merges;
+            let cells = this.mergeMaps.get(merges);
+            if (!cells) {
+                cells = new Map();
+                for (const range of merges) {
+                    const merge = CellRef.parseRange(range);
+                    for (let r = merge.start.row; r <= merge.end.row; r++) {
+                        for (let c = merge.start.col; c <= merge.end.col; c++) {
+                            cells.set(r + ',' + c, merge);
+                        }
+                    }
+                }
+                this.mergeMaps.set(merges, cells);
+            }
+            return cells.get(row + ',' + col) || null;
+        },
+        
+        // Whether a cell is part of a merged area without being its top-left cell
+        isCellCovered: function(row, col, sheetName) {
+            // Nothing is merged while the workbook is being created
+            if (!this.workbook) return false;
+            
+            const merge = this.getMerge(row, col, sheetName);
+            return !!merge && (merge.start.row !== row || merge.start.col !== col);
+        },
+        
+        // Whether two { start, end } ranges share a cell
+        rangesOverlap: function(a, b) {
+            return a.start.row <= b.end.row && a.end.row >= b.start.row &&
+                a.start.col <= b.end.col && a.end.col >= b.start.col;
+        },
+        
+        // A { start, end } range grown until it contains every merged area it overlaps
+        expandToMerges: function(range) {
+            const start = $.extend({}, range.start);
+            const end = $.extend({}, range.end);
+            const merges = this.layout.merges.map(merge => CellRef.parseRange(merge));
+            let grown = true;
+            while (grown) {
+                grown = false;
+                for (const merge of merges) {
+                    if (!this.rangesOverlap(merge, { start, end })) continue;
+                    if (merge.start.row < start.row || merge.start.col < start.col ||
+                        merge.end.row > end.row || merge.end.col > end.col) {
+                        start.row = Math.min(start.row, merge.start.row);
+                        start.col = Math.min(start.col, merge.start.col);
+                        end.row = Math.max(end.row, merge.end.row);
+                        end.col = Math.max(end.col, merge.end.col);
+                        grown = true;
+                    }
+                }
+            }
+            return { start, end };
+        },
+        
+        // Cell where moving from cell by (dRow, dCol) starts: the edge of its merged area in
+        // that direction, so the next cell is past the area
+        getMergeEdge: function(cell, dRow, dCol) {
+            const merge = this.getMerge(cell.row, cell.col);
+            if (!merge) return cell;
+            return {
+                row: dRow > 0 ? merge.end.row : dRow < 0 ? merge.start.row : cell.row,
+                col: dCol > 0 ? merge.end.col : dCol < 0 ? merge.start.col : cell.col
+            };
+        },
+        
+        // How a rendered cell of a merged area is drawn. A merged area is one <td> per pane
+        // (frozen rows and columns are rendered apart from the others) at the pane's first
+        // rendered cell of the area, spanning the area's rendered rows and columns there.
+        // Returns null outside merged areas, { covered: true } for cells drawn by another
+        // <td>, or { merge, rowSpan, colSpan, main } where main marks the <td> that shows the
+        // area's value: the one holding the area's first rendered cell.
+        getMergeSpan: function(row, col) {
+            const merge = this.getMerge(row, col);
+            if (!merge) return null;
+            
+            const frozen = { row: this.layout.frozenRows, col: this.layout.frozenCols };
+            const rendered = (axis) => this.getRenderedIndexes(axis, merge.start[axis], merge.end[axis])
+                .filter(index => axis === 'col' || !this.hiddenRows.has(index));
+            const pane = (axis, indexes, index) => indexes.filter(i => (i < frozen[axis]) === (index < frozen[axis]));
+            const rows = rendered('row');
+            const cols = rendered('col');
+            const paneRows = pane('row', rows, row);
+            const paneCols = pane('col', cols, col);
+            if (paneRows[0] !== row || paneCols[0] !== col) {
+                return { covered: true };
+            }
+            return { merge, rowSpan: paneRows.length, colSpan: paneCols.length, main: row === rows[0] && col === cols[0] };
+        },
+        
+        // Recalculate the formulas reading cells of merged areas (ranges on the active
+        // sheet) after the areas were added, removed or moved. Does not render.
+        recalculateMerges: function(ranges) {
+            const prefix = `${CellRef.quoteSheet(this.workbook.sheet.name)}!`;
+            const refs = [];
+            for (const range of ranges) {
+                const { start, end } = CellRef.parseRange(range);
+                for (let row = start.row; row <= Math.min(end.row, this.data.length - 1); row++) {
+                    for (let col = start.col; col <= Math.min(end.col, this.data[0].length - 1); col++) {
+                        if (row !== start.row || col !== start.col) {
+                            refs.push(prefix + CellRef.format(row, col));
+                        }
+                    }
+                }
+            }
+            if (refs.length) {
+                this.workbook.recalculate(refs);
+            }
+        },
+        
+        // Everything needed to restore the grid: the raw data and layout of every sheet, the
+        // defined names and the active sheet's name. The result is plain JSON and can be stored and passed
+        // back to setState.
+        getState: function() {
+            return {
+                activeSheet: this.workbook.sheet.name,
+                names: this.workbook.getNames(),
+                sheets: this.workbook.sheets.map(sheet => {
+                    const { layout } = this.viewOf(sheet);
+                    return {
+                        name: sheet.name,
+                        data: sheet.data.map(row => [...row]),
+                        columnWidths: $.extend({}, layout.columnWidths),
+                        rowHeights: $.extend({}, layout.rowHeights),
+                        frozenRows: layout.frozenRows,
+                        frozenCols: layout.frozenCols,
+                        filters: $.extend(true, {}, layout.filters),
+                        filterRange: layout.filterRange,
+                        formats: $.extend({}, layout.formats),
+                        validations: $.extend(true, {}, layout.validations),
+                        conditionalFormats: $.extend(true, [], layout.conditionalFormats),
+                        merges: [...layout.merges]
+                    };
+                })
+            };
+        },
+        
+        // Restore a getState() result. A state without sheets ({ data, columnWidths, ... })
+        // replaces only the active sheet.
+        setState: function(state) {
+            this.loadData('setState', () => this.restoreSnapshot(state));
+        },
+        
+        // Sort the rows of a range by one or more columns, like Excel's Sort. keys is a key or
+        // an array of keys { col, order }: col is a letter ('B') or 0-based index, order
+        // 'asc' (default) or 'desc'. Values are compared as evaluated, numbers before text
+        // before booleans before errors, and blanks always last. With options.header the
+        // range's first row stays on top. Formulas move with their row and their relative
+        // references are adjusted, so =B2*C2 still refers to its own row.
+        sortRange: function(range, keys, options = {}) {
+            const parsed = CellRef.parseRange(range);
+            if (!parsed) {
+                throw new Error(`Invalid range: ${range}`);
+            }
+            const { start, end } = parsed;
+            const firstRow = start.row + (options.header ? 1 : 0);
+            const sorted = { start: { row: firstRow, col: start.col }, end };
+            if (this.layout.merges.some(merge => this.rangesOverlap(CellRef.parseRange(merge), sorted))) {
+                throw new Error(`Cannot sort ${range}: it contains merged cells`);
+            }
+            
+            const sortKeys = (Array.isArray(keys) ? keys : [keys]).map(key => {
+                const col = typeof key.col === 'string' ? CellRef.parse(key.col.toUpperCase() + '1').col : key.col;
+                if (!Number.isInteger(col) || col < start.col || col > end.col) {
+                    throw new Error(`Sort column ${key.col} is not inside ${range}`);
+                }
+                return { col, direction: key.order === 'desc' ? -1 : 1 };
+            });
+            
+            const isBlank = (value) => value === '' || value === null || value === undefined;
+            const rows = [];
+            for (let row = firstRow; row <= end.row; row++) {
+                rows.push(row);
+            }
+            // Array.prototype.sort is stable, so equal rows keep their order
+            rows.sort((a, b) => {
+                for (const { col, direction } of sortKeys) {
+                    const x = this.evaluatedData[a][col];
+                    const y = this.evaluatedData[b][col];
+                    if (isBlank(x) || isBlank(y)) {
+                        if (isBlank(x) !== isBlank(y)) return isBlank(x) ? 1 : -1;
+                        continue;
+                    }
+                    const order = Coercion.sortCompare(x, y) * direction;
+                    if (order !== 0) return order;
+                }
+                return 0;
+            });
+            
+            const changes = [];
+            const formats = this.layout.formats;
+            const sortedFormats = $.extend({}, formats);
+            rows.forEach((source, i) => {
+                const row = firstRow + i;
+                for (let col = start.col; col <= end.col; col++) {
+                    const ref = CellRef.format(row, col);
+                    const sourceRef = CellRef.format(source, col);
+                    if (formats[sourceRef]) {
+                        sortedFormats[ref] = formats[sourceRef];
+                    } else {
+                        delete sortedFormats[ref];
+                    }
+                    
+                    let value = this.data[source][col];
+                    if (typeof value === 'string' && value.startsWith('=') && source !== row) {
+                        try {
+                            value = FormulaParser.translate(value, row - source, 0);
+                        } catch (e) {
+                            // Unparseable formula, move it unchanged
+                        }
+                    }
+                    if (value !== this.data[row][col]) {
+                        changes.push({ row, col, value });
+                    }
+                }
+            });
+            
+            this.transaction(() => {
+                this.setLayoutPart('formats', sortedFormats);
+                this.setCellValues(changes, 'sort');
+            });
+            if (Object.keys(this.layout.filters).length) {
+                this.applyFilters();
+            }
+        },
+        
+        // Hide the rows whose value in col doesn't match criteria (rows stay in data).
+        // criteria: { values: [...] } keeps rows showing one of the listed texts,
+        // { operator: '>', value: 10 } compares numbers ('=', '<>', '<', '<=', '>', '>='),
+        // { contains: 'text' } matches text ignoring case. Combined criteria must all match,
+        // and so must the filters of different columns. The first filterHeaderRows rows are
+        // never hidden, or only the rows of the filter range are filtered when one is set
+        // (setFilterRange). Filters are applied when set; call applyFilters after editing to
+        // apply them to the new values.
+        setFilter: function(col, criteria) {
+            if (typeof col === 'string') {
+                col = CellRef.parse(col.toUpperCase() + '1').col;
+            }
+            if (!Number.isInteger(col) || col < 0 || col >= this.data[0].length) {
+                throw new Error(`Invalid column: ${col}`);
+            }
+            this.layout.filters[col] = $.extend(true, {}, criteria);
+            this.applyFilters();
+        },
+        
+        // Limit filtering to a range such as 'A1:D20', like an Excel AutoFilter range: its
+        // first row is the header and rows outside it are never hidden. null filters every
+        // row below the first filterHeaderRows rows.
+        setFilterRange: function(range) {
+            if (range !== null && !CellRef.parseRange(range)) {
+                throw new Error(`Invalid range: ${range}`);
+            }
+            this.layout.filterRange = range === null ? null : range.toUpperCase();
+            this.applyFilters();
+        },
+        
+        clearFilter: function(col) {
+            if (typeof col === 'string') {
+                col = CellRef.parse(col.toUpperCase() + '1').col;
+            }
+            delete this.layout.filters[col];
+            this.applyFilters();
+        },
+        
+        clearFilters: function() {
+            this.layout.filters = {};
+            this.applyFilters();
+        },
+        
+        // Whether a filter hides a row of a sheet (default: the active one)
+        isRowHidden: function(row, sheetName) {
+            // Nothing is filtered while the workbook is being created
+            if (!this.workbook) return false;
+            
+            const sheet = sheetName ? this.workbook.getSheet(sheetName) : this.workbook.sheet;
+            const view = sheet && this.viewOf(sheet);
+            return !!view && view.hiddenRows.has(row);
+        },
+        
+        applyFilters: function() {
+            this.finishEdit();
+            this.updateHiddenRows();
+            this.createGrid();
+        },
+        
+        // Recompute hiddenRows from the filters and recalculate SUBTOTAL formulas, which
+        // depend on them. Does not render.
+        updateHiddenRows: function() {
+            const filters = Object.entries(this.layout.filters);
+            const range = this.layout.filterRange && CellRef.parseRange(this.layout.filterRange);
+            const firstRow = range ? range.start.row + 1 : this.options.filterHeaderRows;
+            const lastRow = range ? Math.min(range.end.row, this.data.length - 1) : this.data.length - 1;
+            
+            const hidden = new Set();
+            for (let row = firstRow; row <= lastRow && filters.length; row++) {
+                const visible = filters.every(([col, criteria]) =>
+                    Number(col) < this.data[row].length && this.matchesFilter(row, Number(col), criteria));
+                if (!visible) {
+                    hidden.add(row);
+                }
+            }
+            
+            const changed = hidden.size !== this.hiddenRows.size || [...hidden].some(row => !this.hiddenRows.has(row));
+            this.hiddenRows = hidden;
+            this.rowSizes = null;
+            if (!changed) return;
+            
+            // SUBTOTALs on other sheets may read this one
+            const subtotals = [];
+            for (const sheet of this.workbook.sheets) {
+                sheet.data.forEach((values, row) => values.forEach((value, col) => {
+                    if (typeof value === 'string' && /SUBTOTAL\s*\(/i.test(value)) {
+                        subtotals.push(`${CellRef.quoteSheet(sheet.name)}!${CellRef.format(row, col)}`);
+                    }
+                }));
+            }
+            if (subtotals.length) {
+                this.refreshCells(this.workbook.recalculate(subtotals));
+            }
+        },
+        
+        matchesFilter: function(row, col, criteria) {
+            const value = this.evaluatedData[row][col];
+            const text = String(this.getDisplayValue(row, col));
+            
+            if (criteria.values && !criteria.values.map(String).includes(text)) {
+                return false;
+            }
+            if (criteria.contains !== undefined &&
+                !text.toLowerCase().includes(String(criteria.contains).toLowerCase())) {
+                return false;
+            }
+            if (criteria.operator) {
+                if (typeof value !== 'number') {
+                    return criteria.operator === '<>';
+                }
+                const target = Coercion.toNumber(criteria.value);
+                switch (criteria.operator) {
+                    case '=': return value === target;
+                    case '<>': return value !== target;
+                    case '<': return value < target;
+                    case '<=': return value <= target;
+                    case '>': return value > target;
+                    case '>=': return value >= target;
+                    default: throw new Error(`Unknown filter operator: ${criteria.operator}`);
+                }
+            }
+            return true;
+        },
+        
+        // Cells whose content matches query, row by row, as [{ row, col, ref, text }] with the
+        // text that matched. Options: matchCase (false), wholeCell (the whole text must match;
+        // false), regex (query is a regular expression; false), lookIn ('formulas': the raw
+        // contents, so "SUM" finds =SUM(A1:A9); 'values': the text shown in the cell) and
+        // range ('B2:D50'; default: the whole sheet). Empty cells and the covered cells of
+        // merged areas are never found.
+        find: function(query, options = {}) {
+            const pattern = this.findPattern(query, options);
+            const lookIn = options.lookIn || 'formulas';
+            if (lookIn !== 'formulas' && lookIn !== 'values') {
+                throw new Error(`Invalid lookIn: ${lookIn}`);
+            }
+            if (!pattern) return [];
+            
+            const { start, end } = this.findRange(options);
+            const matches = [];
+            for (let row = start.row; row <= end.row; row++) {
+                for (let col = start.col; col <= end.col; col++) {
+                    if (this.isCellCovered(row, col)) continue;
+                    
+                    const raw = this.data[row][col];
+                    const text = lookIn === 'values' ? String(this.getDisplayValue(row, col))
+                                                     : raw === null || raw === undefined ? '' : String(raw);
+                    if (text !== '' && pattern.test(text)) {
+                        matches.push({ row, col, ref: CellRef.format(row, col), text });
+                    }
+                }
+            }
+            return matches;
+        },
+        
+        // Regular expression for a query and find options (global for replacing), or null
+        // for an empty query
+        findPattern: function(query, options, global = false) {
+            query = query === null || query === undefined ? '' : String(query);
+            if (query === '') return null;
+            
+            let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (options.wholeCell) {
+                source = `^(?:${source})$`;
+            }
+            try {
+                return new RegExp(source, (options.matchCase ? '' : 'i') + (global ? 'g' : ''));
+            } catch (e) {
+                throw new Error(`Invalid regular expression: ${query}`);
+            }
         },
         
-        startEdit: function(row, col, selectAll = false) {
-            if (this.editingCell) {
-                this.finishEdit();
+        // { start, end } searched by find: options.range within the grid, or the whole sheet
+        findRange: function(options) {
+            const last = { row: this.data.length - 1, col: this.data[0].length - 1 };
+            if (!options.range) {
+                return { start: { row: 0, col: 0 }, end: last };
             }
             
-            const cell = this.container.find(`td[data-row="${row}"][data-col="${col}"]`);
-            const currentValue = this.data[row][col];
-            
-            const input = $('<input type="text">')
-                .val(currentValue)
-                .data('row', row)
-                .data('col', col)
-                .addClass('cell-input');
+            const parsed = CellRef.parseRange(options.range);
+            if (!parsed || parsed.start.row > last.row || parsed.start.col > last.col) {
+                throw new Error(`Invalid range: ${options.range}`);
+            }
+            return { start: parsed.start, end: { row: Math.min(parsed.end.row, last.row), col: Math.min(parsed.end.col, last.col) } };
+        },
+        
+        // Select the first match after the active cell, wrapping around at the end
+        // (options.backwards: the last one before it), like Excel's Find Next. Rows hidden by
+        // filters are stepped over. Within options.range the range stays selected with the
+        // match as its active cell. Takes find's options; returns the match or null.
+        findNext: function(query, options = {}) {
+            const matches = this.find(query, options).filter(match => !this.hiddenRows.has(match.row));
+            if (!matches.length) return null;
             
-            cell.html(input);
-            input.focus();
+            const active = this.selection ? this.selection.active : { row: 0, col: -1 };
+            const order = (match) => match.row - active.row || match.col - active.col;
+            const match = options.backwards
+                ? [...matches].reverse().find(candidate => order(candidate) < 0) || matches[matches.length - 1]
+                : matches.find(candidate => order(candidate) > 0) || matches[0];
             
-            // Select all text only if requested (double-click) or if cell is empty
-            if (selectAll || !currentValue) {
-                input.select();
+            const { start, end } = this.findRange(options);
+            if (options.range && (start.row !== end.row || start.col !== end.col)) {
+                this.setSelection(`${CellRef.format(start.row, start.col)}:${CellRef.format(end.row, end.col)}`, match.ref);
             } else {
-                // Position cursor at the end for single-click editing
-                const length = currentValue.length;
-                input[0].setSelectionRange(length, length);
+                this.select(match.row, match.col);
+            }
+            return match;
+        },
+        
+        // Replace the match in the active cell, if it holds one, and select the next match,
+        // like Excel's Replace button. Returns the changed cell (see setCellValues) or null.
+        replace: function(query, replacement, options = {}) {
+            this.checkReplaceOptions(options);
+            let changed = null;
+            const active = this.selection && this.selection.active;
+            const { start, end } = this.findRange(options);
+            if (active && active.row >= start.row && active.row <= end.row && active.col >= start.col && active.col <= end.col) {
+                const matches = this.find(query, $.extend({}, options, { lookIn: 'formulas', range: CellRef.format(active.row, active.col) }));
+                changed = this.replaceMatches(matches, query, replacement, options)[0] || null;
+            }
+            this.findNext(query, options);
+            return changed;
+        },
+        
+        // Replace every match in the searched cells at once, as one change (one afterChange
+        // event, one undo step). Replacing works on the raw contents, so formulas are
+        // rewritten and recalculated. With regex, the replacement can use $1, $2... for the
+        // query's groups. Returns the changed cells (see setCellValues).
+        replaceAll: function(query, replacement, options = {}) {
+            this.checkReplaceOptions(options);
+            const matches = this.find(query, $.extend({}, options, { lookIn: 'formulas' }));
+            return this.replaceMatches(matches, query, replacement, options);
+        },
+        
+        // Like Excel, replacing only looks in formulas: a displayed value cannot be rewritten
+        checkReplaceOptions: function(options) {
+            if (options.lookIn && options.lookIn !== 'formulas') {
+                throw new Error(`Replace only looks in formulas, not ${options.lookIn}`);
+            }
+        },
+        
+        replaceMatches: function(matches, query, replacement, options) {
+            const pattern = this.findPattern(query, options, true);
+            // Without regex a $ in the replacement is just a $
+            const text = options.regex ? String(replacement) : String(replacement).replace(/\$/g, '$$$$');
+            const changes = [];
+            for (const { row, col, text: before } of matches) {
+                const value = before.replace(pattern, text);
+                if (value !== before) {
+                    changes.push({ row, col, value });
+                }
+            }
+            return this.setCellValues(changes, 'replace');
+        },
+        
+        // Find bar above the grid: Ctrl+F opens it, Ctrl+H with the replace field and buttons.
+        // Enter finds the next match, Shift+Enter the previous one and Escape closes it.
+        // When a range is selected, the search starts out within the selection.
+        openFind: function(replace = false) {
+            if (!this.findBar) {
+                this.createFindBar();
+            }
+            
+            const range = this.getSelectedRange();
+            const several = range && (range.start.row !== range.end.row || range.start.col !== range.end.col);
+            const replacing = replace && !this.options.readOnly;
+            this.findBar.show()
+                .toggleClass('excel-grid-find-replace', replacing)
+                .find('[data-option="within"]').val(several ? 'selection' : 'sheet');
+            
+            // Replacing only looks in formulas
+            const lookIn = this.findBar.find('[data-option="lookIn"]');
+            lookIn.find('option[value="values"]').prop('disabled', replacing);
+            if (replacing) {
+                lookIn.val('formulas');
             }
+            this.showFindStatus('');
             
-            this.editingCell = { row, col, input };
+            const input = this.findBar.find('.excel-grid-find-query')[0];
+            input.focus();
+            input.select();
         },
         
-        finishEdit: function() {
-            if (!this.editingCell) return;
+        closeFind: function() {
+            if (!this.findBar) return;
+            this.findBar.hide();
+            this.focus();
+        },
+        
+        createFindBar: function() {
+            const bar = $(`<div class="excel-grid-find">
+                <input type="text" class="excel-grid-find-query" placeholder="Find" aria-label="Find">
+                <input type="text" class="excel-grid-find-replacement" placeholder="Replace with" aria-label="Replace with">
+                <label><input type="checkbox" data-option="matchCase"> Match case</label>
+                <label><input type="checkbox" data-option="wholeCell"> Whole cell</label>
+                <label><input type="checkbox" data-option="regex"> Regex</label>
+                <select data-option="lookIn" aria-label="Look in">
+                    <option value="formulas">Formulas</option>
+                    <option value="values">Values</option>
+                </select>
+                <select data-option="within" aria-label="Within">
+                    <option value="sheet">Sheet</option>
+                    <option value="selection">Selection</option>
+                </select>
+                <button type="button" data-action="next">Find next</button>
+                <button type="button" data-action="replace" class="excel-grid-find-replacing">Replace</button>
+                <button type="button" data-action="replaceAll" class="excel-grid-find-replacing">Replace all</button>
+                <span class="excel-grid-find-status" role="status"></span>
+                <button type="button" data-action="close" title="Close" aria-label="Close">&times;</button>
+            </div>`).insertBefore(this.container);
+            this.findBar = bar;
             
-            const { row, col, input } = this.editingCell;
-            const newValue = input.val();
+            bar.on('keydown', 'input[type="text"]', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.runFind(e.shiftKey ? 'previous' : 'next');
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeFind();
+                }
+            });
+            bar.on('click', 'button', (e) => {
+                const action = e.currentTarget.getAttribute('data-action');
+                if (action === 'close') {
+                    this.closeFind();
+                } else {
+                    this.runFind(action);
+                }
+            });
+        },
+        
+        // Run a find bar action ('next', 'previous', 'replace' or 'replaceAll') with the
+        // bar's query and options, and report the outcome in the bar
+        runFind: function(action) {
+            const bar = this.findBar;
+            const query = bar.find('.excel-grid-find-query').val();
+            const replacement = bar.find('.excel-grid-find-replacement').val();
+            const options = { lookIn: bar.find('[data-option="lookIn"]').val() };
+            for (const option of ['matchCase', 'wholeCell', 'regex']) {
+                options[option] = bar.find(`[data-option="${option}"]`).prop('checked');
+            }
+            if (bar.find('[data-option="within"]').val() === 'selection' && this.selection) {
+                options.range = this.getSelection().ref;
+            }
             
-            this.setCellValue(row, col, newValue);
-            this.editingCell = null;
+            try {
+                if (action === 'replaceAll') {
+                    const changed = this.replaceAll(query, replacement, options);
+                    this.showFindStatus(changed.length === 1 ? 'Replaced 1 cell' : `Replaced ${changed.length} cells`);
+                    return;
+                }
+                
+                if (action === 'replace') {
+                    this.replace(query, replacement, options);
+                } else {
+                    this.findNext(query, $.extend({}, options, { backwards: action === 'previous' }));
+                }
+                
+                // "3 of 12" when the active cell is one of the matches
+                const matches = this.find(query, options);
+                const active = this.selection && this.selection.active;
+                const index = active ? matches.findIndex(match => match.row === active.row && match.col === active.col) : -1;
+                this.showFindStatus(!matches.length ? 'No matches'
+                                  : index >= 0 ? `${index + 1} of ${matches.length}`
+                                  : `${matches.length} matches`);
+            } catch (e) {
+                this.showFindStatus(e.message, true);
+            }
         },
         
-        cancelEdit: function() {
-            if (!this.editingCell) return;
+        showFindStatus: function(message, error = false) {
+            this.findBar.find('.excel-grid-find-status').text(message).toggleClass('error', error);
+        },
+        
+        insertRows: function(index, count = 1) {
+            this.changeStructure('row', index, count);
+        },
+        
+        deleteRows: function(index, count = 1) {
+            this.changeStructure('row', index, -count);
+        },
+        
+        insertColumns: function(index, count = 1) {
+            this.changeStructure('col', index, count);
+        },
+        
+        deleteColumns: function(index, count = 1) {
+            this.changeStructure('col', index, -count);
+        },
+        
+        // Insert (count > 0) or delete (count < 0) rows or columns at index, rewriting
+        // every formula so it keeps pointing at the same cells
+        changeStructure: function(axis, index, count) {
+            count = this.workbook.checkStructureChange(axis, index, count);
             
-            const { row, col } = this.editingCell;
-            const cell = this.container.find(`td[data-row="${row}"][data-col="${col}"]`);
+            this.finishEdit();
+            const before = this.snapshot();
+            const sheet = this.workbook.sheet.name;
+            this.shiftStructure(sheet, axis, index, count);
             
-            this.updateCellDisplay(cell, row, col);
-            this.editingCell = null;
+            this.redraw();
+            this.recordHistory({ type: 'snapshot', before, after: this.snapshot(), structure: { sheet, axis, index, count } });
+            this.emitOperation(Operations.fromStructure(sheet, axis, index, count));
         },
         
-        moveToCell: function(row, col) {
-            if (row < 0 || row >= this.data.length || col < 0 || col >= this.data[0].length) {
-                return;
+        // Insert or delete rows/columns of a sheet with its layout, see changeStructure. With
+        // moveSelection, the sheet's selection stays on the same cells. Does not render.
+        shiftStructure: function(name, axis, index, count, moveSelection = false) {
+            const active = this.workbook.sheet;
+            this.useSheet(this.workbook.getSheet(name));
+            try {
+                this.shiftActiveSheet(axis, index, count, moveSelection);
+            } finally {
+                this.useSheet(active);
+            }
+        },
+        
+        shiftActiveSheet: function(axis, index, count, moveSelection) {
+            // Merged cells move first, so the workbook is recalculated with them in place
+            count = this.workbook.checkStructureChange(axis, index, count);
+            this.layout.merges = this.shiftMerges(this.layout.merges, axis, index, count);
+            this.workbook.changeStructure(axis, index, count);
+            
+            // Resized rows/columns, column filters, number formats, validation rules and
+            // conditional formats move with their row/column
+            if (this.layout.filterRange) {
+                const range = FormulaParser.adjustForStructureChange('=' + this.layout.filterRange, axis, index, count).substring(1);
+                this.layout.filterRange = CellRef.parseRange(range) ? range : null;
             }
+            if (axis === 'row') {
+                this.layout.rowHeights = this.shiftKeys(this.layout.rowHeights, index, count);
+            } else {
+                this.layout.columnWidths = this.shiftKeys(this.layout.columnWidths, index, count);
+                this.layout.filters = this.shiftKeys(this.layout.filters, index, count);
+            }
+            this.layout.formats = this.shiftCellKeys(this.layout.formats, axis, index, count);
+            this.layout.validations = this.shiftCellKeys(this.layout.validations, axis, index, count);
+            this.layout.conditionalFormats = this.shiftConditionalFormats(this.layout.conditionalFormats, axis, index, count);
             
-            // Start editing the target cell directly
-            this.startEdit(row, col, true);
+            this.shiftStamps(this.workbook.sheet.name, axis, index, count);
+            if (moveSelection && this.selection) {
+                // A selection inside deleted rows/columns moves to the next ones
+                const move = (cell) => {
+                    const position = Operations.shiftPosition(cell[axis], index, count);
+                    return $.extend({}, cell, { [axis]: position === null ? index : position });
+                };
+                this.selection = { active: move(this.selection.active), focus: move(this.selection.focus) };
+            }
         },
         
-        setCellValue: function(row, col, value) {
-            const oldValue = this.data[row][col];
-            this.data[row][col] = value;
+        // Conditional formats of a sheet (default: the active one) with their range and
+        // formulas adjusted like the sheet's own formulas; rules whose whole range was
+        // deleted are dropped
+        shiftConditionalFormats: function(rules, axis, index, count, sheetName = this.workbook.sheet.name) {
+            const sheet = { name: sheetName, home: true };
+            const adjust = formula => FormulaParser.adjustForStructureChange(formula, axis, index, count, sheet);
+            const shifted = [];
+            for (const rule of rules) {
+                const range = adjust('=' + rule.range).substring(1);
+                if (!CellRef.parseRange(range)) continue;
+                
+                const copy = $.extend(true, {}, rule, { range });
+                for (const key of ['formula', 'value', 'value2']) {
+                    if (typeof copy[key] === 'string' && copy[key].startsWith('=')) {
+                        copy[key] = adjust(copy[key]);
+                    }
+                }
+                shifted.push(copy);
+            }
+            return shifted;
+        },
+        
+        // Merged areas moved or resized like ranges in formulas; areas shrunk to a single
+        // cell are dropped
+        shiftMerges: function(merges, axis, index, count) {
+            const shifted = [];
+            for (const merge of merges) {
+                const range = FormulaParser.adjustForStructureChange('=' + merge, axis, index, count).substring(1);
+                const parsed = CellRef.parseRange(range);
+                if (parsed && (parsed.start.row !== parsed.end.row || parsed.start.col !== parsed.end.col)) {
+                    shifted.push(this.checkMerge(range));
+                }
+            }
+            return shifted;
+        },
+        
+        // Keep the layout of a sheet inside its data after the data was replaced: merged
+        // areas and the filter range starting outside it are dropped and the others are
+        // clipped to it, and the filters of columns it no longer has are cleared
+        fitLayout: function(sheet) {
+            const { layout } = this.viewOf(sheet);
+            const last = { row: sheet.data.length - 1, col: sheet.data[0].length - 1 };
+            const clip = (range) => {
+                const { start, end } = CellRef.parseRange(range);
+                if (start.row > last.row || start.col > last.col) return null;
+                return { start, end: { row: Math.min(end.row, last.row), col: Math.min(end.col, last.col) } };
+            };
+            const format = ({ start, end }) => `${CellRef.format(start.row, start.col)}:${CellRef.format(end.row, end.col)}`;
             
-            // Update dependencies
-            this.updateDependencies();
+            const merges = [];
+            for (const merge of layout.merges) {
+                const clipped = clip(merge);
+                if (clipped && (clipped.end.row !== clipped.start.row || clipped.end.col !== clipped.start.col)) {
+                    merges.push(format(clipped));
+                }
+            }
+            layout.merges = merges;
             
-            // Recalculate affected cells
-            this.recalculateCell(row, col);
+            for (const col in layout.filters) {
+                if (Number(col) > last.col) {
+                    delete layout.filters[col];
+                }
+            }
+            if (layout.filterRange) {
+                const clipped = clip(layout.filterRange);
+                layout.filterRange = clipped && format(clipped);
+            }
+        },
+        
+        // Copy of an object keyed by row/column index with the keys moved for count indexes
+        // inserted (count > 0) or deleted (count < 0) at index; deleted keys are dropped
+        shiftKeys: function(object, index, count) {
+            const shifted = {};
+            for (const key in object) {
+                const position = Number(key);
+                if (position < index) {
+                    shifted[position] = object[key];
+                } else if (count > 0 || position >= index - count) {
+                    shifted[position + count] = object[key];
+                }
+            }
+            return shifted;
+        },
+        
+        // Same as shiftKeys for an object keyed by cell ref or column letter
+        shiftCellKeys: function(object, axis, index, count) {
+            const shifted = {};
+            for (const key in object) {
+                // A column key ('B') is column B in every row
+                const { row, col } = CellRef.parse(key) || { row: null, col: CellRef.parse(key + '1').col };
+                if (row === null && axis === 'row') {
+                    shifted[key] = object[key];
+                    continue;
+                }
+                
+                const position = axis === 'row' ? row : col;
+                const format = (r, c) => r === null ? CellRef.columnName(c) : CellRef.format(r, c);
+                if (position < index) {
+                    shifted[key] = object[key];
+                } else if (count > 0 || position >= index - count) {
+                    shifted[axis === 'row' ? format(row + count, col) : format(row, col + count)] = object[key];
+                }
+            }
+            return shifted;
+        },
+        
+        // Undo history. Every mutation records a step: 'cells' steps hold the old and new
+        // raw value of each changed cell, 'layout' steps the number formats or validation
+        // rules of a sheet before and after a change, 'snapshot' steps (setData, setState,
+        // row/column and sheet changes) hold the getState() result before and after. Each
+        // undo entry is a list of steps; undoing a step shows the sheet it changed.
+        
+        // Run fn as one undo step, grouping every change it makes
+        transaction: function(fn) {
+            if (this.transactionSteps) {
+                return fn.call(this);
+            }
             
-            // Update display
-            const cell = this.container.find(`td[data-row="${row}"][data-col="${col}"]`);
-            this.updateCellDisplay(cell, row, col);
+            this.transactionSteps = [];
+            try {
+                return fn.call(this);
+            } finally {
+                const steps = this.transactionSteps;
+                this.transactionSteps = null;
+                if (steps.length) {
+                    this.pushHistory(steps);
+                }
+            }
+        },
+        
+        recordHistory: function(step) {
+            if (this.replaying || !this.options.historyDepth) return;
             
-            // Trigger change callback
-            if (this.options.onChange) {
-                this.options.onChange(
-                    { row, col, ref: CellRef.format(row, col) },
-                    value,
-                    this.evaluatedData[row][col]
-                );
+            if (this.transactionSteps) {
+                this.transactionSteps.push(step);
+            } else {
+                this.pushHistory([step]);
             }
         },
         
-        updateDependencies: function() {
-            const result = DependencyTracker.buildGraph(this.data);
-            this.graph = result.graph;
-            this.dependencies = result.dependencies;
+        pushHistory: function(steps) {
+            this.history.undo.push(steps);
+            if (this.history.undo.length > this.options.historyDepth) {
+                this.history.undo.shift();
+            }
+            // A new change makes the undone steps unreachable
+            this.history.redo = [];
         },
         
-        evaluateCell: function(row, col) {
-            const cellRef = CellRef.format(row, col);
-            const value = this.data[row][col];
+        undo: function() {
+            return this.replayHistory(this.history.undo, this.history.redo, 'before');
+        },
+        
+        redo: function() {
+            return this.replayHistory(this.history.redo, this.history.undo, 'after');
+        },
+        
+        canUndo: function() {
+            return this.history.undo.length > 0;
+        },
+        
+        canRedo: function() {
+            return this.history.redo.length > 0;
+        },
+        
+        clearHistory: function() {
+            this.history = { undo: [], redo: [] };
+        },
+        
+        // Apply the last entry of one stack ('before' values to undo, 'after' to redo)
+        // and move it to the other stack
+        replayHistory: function(from, to, side) {
+            this.finishEdit();
+            const steps = from[from.length - 1];
+            if (!steps) return false;
+            // Loads and sheet or name changes are not sent as operations (see checkUnshared)
+            if (this.isConnected() && steps.some(step => step.type === 'snapshot' && !step.structure)) {
+                return false;
+            }
+            from.pop();
             
+            const ordered = side === 'before' ? [...steps].reverse() : steps;
+            this.replaying = true;
             try {
-                if (typeof value === 'string' && value.startsWith('=')) {
-                    // Check for circular references
-                    if (DependencyTracker.detectCircular(this.graph, cellRef)) {
-                        this.evaluatedData[row][col] = '#CIRC';
-                        return;
+                for (const step of ordered) {
+                    if (step.type === 'snapshot') {
+                        const previous = step.structure ? this.snapshot() : null;
+                        this.restoreSnapshot(step[side]);
+                        if (step.structure) {
+                            this.emitStructureReplay(step.structure, side === 'before', previous);
+                        }
+                        continue;
+                    }
+                    if (step.type === 'layout') {
+                        this.activateSheet(step.sheet);
+                        this.setLayoutPart(step.part, step[side]);
+                        continue;
                     }
                     
-                    // Evaluate formula
-                    const getCellValue = (ref) => {
-                        const parsed = CellRef.parse(ref);
-                        if (!parsed) return null;
-                        
-                        // Check if the referenced cell is within bounds
-                        if (parsed.row < 0 || parsed.row >= this.data.length || 
-                            parsed.col < 0 || parsed.col >= this.data[0].length) {
-                            return null;
-                        }
-                        
-                        const cellValue = this.evaluatedData[parsed.row] && this.evaluatedData[parsed.row][parsed.col];
-                        
-                        // If the cell hasn't been evaluated yet, try to evaluate it now
-                        if (cellValue === undefined && this.data[parsed.row] && this.data[parsed.row][parsed.col]) {
-                            const cellData = this.data[parsed.row][parsed.col];
-                            if (typeof cellData === 'string' && cellData.startsWith('=')) {
-                                // This is a formula cell that hasn't been evaluated yet
-                                // We need to evaluate it first
-                                this.evaluateCell(parsed.row, parsed.col);
-                                return this.evaluatedData[parsed.row][parsed.col];
-                            }
-                        }
-                        
-                        return cellValue;
-                    };
+                    // A cell may appear more than once in a step; undo in reverse order
+                    const cells = side === 'before' ? [...step.cells].reverse() : step.cells;
+                    this.activateSheet(cells[0].sheet);
+                    const values = cells.map(cell => ({ sheet: cell.sheet, row: cell.row, col: cell.col, value: cell[side] }));
+                    this.setCellValues(values, side === 'before' ? 'undo' : 'redo');
+                    this.selectCells(cells.filter(cell => cell.sheet === this.workbook.sheet.name));
+                }
+            } finally {
+                this.replaying = false;
+            }
+            
+            to.push(steps);
+            return true;
+        },
+        
+        // Select the range spanning the given cells
+        selectCells: function(cells) {
+            const rows = cells.map(cell => cell.row);
+            const cols = cells.map(cell => cell.col);
+            const start = CellRef.format(Math.min(...rows), Math.min(...cols));
+            const end = CellRef.format(Math.max(...rows), Math.max(...cols));
+            this.setSelection(start === end ? start : `${start}:${end}`);
+        },
+        
+        snapshot: function() {
+            return this.getState();
+        },
+        
+        // Apply a getState() result; missing layout parts are reset. Sheets keep their
+        // selection when their name is still there.
+        restoreSnapshot: function(snapshot) {
+            if (!snapshot.sheets) {
+                const state = this.getState();
+                state.sheets[this.workbook.sheets.indexOf(this.workbook.sheet)] = $.extend({}, snapshot, { name: this.workbook.sheet.name });
+                snapshot = state;
+            }
+            
+            const selections = new Map(this.workbook.sheets.map(sheet => [sheet.name, this.viewOf(sheet).selection]));
+            this.workbook.setSheets(snapshot.sheets, snapshot.names || {});
+            this.loadViews(snapshot.sheets, selections, snapshot.activeSheet);
+            this.redraw();
+        },
+        
+        // Collaboration. Every local cell change (typing, paste, clear, move, sort, undo,
+        // API), row/column change and layout change (see setLayoutPart) triggers an
+        // 'operation' event with a serializable operation (see Operations) stamped with
+        // this grid's site id, a sequence number, a Lamport clock and the version vector
+        // of what the grid had applied. Send it to the other grids and pass what they
+        // send to applyRemoteOperations.
+        emitOperation: function(operation) {
+            const sync = this.sync;
+            const seq = (sync.vector[sync.site] || 0) + 1;
+            sync.clock++;
+            const stamped = $.extend({ id: `${sync.site}:${seq}`, site: sync.site, seq, clock: sync.clock, vector: $.extend({}, sync.vector) }, operation);
+            sync.vector[sync.site] = seq;
+            
+            if (Operations.structureOf(stamped)) {
+                sync.log.push(stamped);
+            } else if (stamped.type === 'setLayout') {
+                this.stampLayout(stamped);
+            } else {
+                this.stampCells(stamped);
+            }
+            this.trigger('operation', stamped);
+        },
+        
+        // Mark the grid as exchanging operations with other grids; a transport calls this
+        // when it starts sending the grid's operations (LocalTransport does) and
+        // disconnect() when it stops. Returns the grid.
+        connect: function() {
+            this.sync.connections++;
+            this.renderSheetTabs();
+            return this;
+        },
+        
+        disconnect: function() {
+            this.sync.connections = Math.max(0, this.sync.connections - 1);
+            this.renderSheetTabs();
+            return this;
+        },
+        
+        isConnected: function() {
+            return this.sync.connections > 0;
+        },
+        
+        // Loads (setData, setState, imports) and sheet and name changes are not sent as
+        // operations. Refuse them while connected: the other grids would never see them.
+        checkUnshared: function(change) {
+            if (this.isConnected()) {
+                throw new Error(`${change} is not shared with other grids: load data and change sheets or names before connecting`);
+            }
+        },
+        
+        // Apply operations from other grids, in any order and with duplicates: each is
+        // applied once, after the operations its sender had seen. Remote changes are not
+        // sent on, not undoable and leave an edit in progress open. Returns the number of
+        // operations applied; the others wait for the ones they follow.
+        applyRemoteOperations: function(operations) {
+            const sync = this.sync;
+            sync.pending.push(...operations);
+            
+            let applied = 0;
+            let progress = true;
+            while (progress) {
+                progress = false;
+                for (let i = 0; i < sync.pending.length; i++) {
+                    const operation = sync.pending[i];
+                    // Own operations sent back and operations applied before are dropped
+                    const stale = operation.site === sync.site || operation.seq <= (sync.vector[operation.site] || 0);
+                    if (!stale && !this.isOperationReady(operation)) continue;
                     
-                    this.evaluatedData[row][col] = FormulaParser.parseAndEvaluate(value, getCellValue);
-                } else {
-                    // Regular value
-                    this.evaluatedData[row][col] = value;
+                    sync.pending.splice(i--, 1);
+                    if (!stale) {
+                        this.applyRemoteOperation(operation);
+                        applied++;
+                        progress = true;
+                    }
+                }
+            }
+            return applied;
+        },
+        
+        // The next operation of its site, made after operations this grid has applied
+        isOperationReady: function(operation) {
+            const { vector } = this.sync;
+            return operation.seq === (vector[operation.site] || 0) + 1 &&
+                Object.keys(operation.vector).every(site => site === operation.site || operation.vector[site] <= (vector[site] || 0));
+        },
+        
+        applyRemoteOperation: function(operation) {
+            const sync = this.sync;
+            sync.clock = Math.max(sync.clock, operation.clock);
+            sync.vector[operation.site] = operation.seq;
+            sync.seenBy[operation.site] = $.extend({}, operation.vector, { [operation.site]: operation.seq });
+            
+            // Transform it past the row/column changes applied here that its sender had not
+            // seen; those are transformed past it for the sender's later operations
+            let transformed = operation;
+            const structural = Boolean(Operations.structureOf(operation));
+            sync.log = sync.log.map(entry => {
+                if (!transformed || entry.site === operation.site || (operation.vector[entry.site] || 0) >= entry.seq) {
+                    return entry;
+                }
+                const adjusted = structural ? Operations.transform(entry, transformed) : entry;
+                transformed = transformed.type === 'setLayout'
+                    ? this.transformLayout(transformed, entry)
+                    : Operations.transform(transformed, entry);
+                return adjusted;
+            }).filter(Boolean);
+            
+            if (transformed && structural) {
+                this.applyRemoteStructure(transformed);
+                sync.log.push(transformed);
+            } else if (transformed && transformed.type === 'setLayout') {
+                this.applyRemoteLayout(transformed);
+            } else if (transformed) {
+                this.applyRemoteCells(transformed);
+            }
+            
+            // Forget row/column changes every other grid has seen
+            const peers = Object.keys(sync.seenBy);
+            sync.log = sync.log.filter(entry => peers.some(site => site !== entry.site && (sync.seenBy[site][entry.site] || 0) < entry.seq));
+        },
+        
+        // Set the cells of a remote setCells operation that win over concurrent local edits
+        applyRemoteCells: function(operation) {
+            const sheet = this.workbook.resolveSheet(operation.sheet);
+            const stamps = this.sync.stamps.get(sheet.name) || {};
+            
+            const cells = operation.cells.filter(({ row, col, value }) => {
+                if (row >= sheet.data.length || col >= sheet.data[0].length) return false;
+                
+                // A local write the sender had not seen is a conflict
+                const local = stamps[CellRef.format(row, col)];
+                if (!local || local.site === operation.site || (operation.vector[local.site] || 0) >= local.seq) {
+                    return true;
+                }
+                const conflict = {
+                    sheet: sheet.name,
+                    row,
+                    col,
+                    ref: CellRef.format(row, col),
+                    local: { value: sheet.data[row][col], site: local.site, clock: local.clock },
+                    remote: { value, site: operation.site, clock: operation.clock }
+                };
+                conflict.winner = this.resolveConflict(conflict);
+                this.trigger('conflict', conflict);
+                return conflict.winner === 'remote';
+            });
+            if (!cells.length) return;
+            
+            this.stampCells($.extend({}, operation, { cells }));
+            this.setCellValues(cells.map(({ row, col, value }) => ({ sheet: sheet.name, row, col, value })), 'remote');
+            
+            // Restoring a snapshot would drop the remote changes
+            const local = steps => !steps.some(step => step.type === 'snapshot');
+            this.history.undo = this.history.undo.filter(local);
+            this.history.redo = this.history.redo.filter(local);
+        },
+        
+        // 'local' or 'remote'. Every grid must pick the same winner: the default policy keeps
+        // the write with the later Lamport clock, and the site id breaks ties.
+        resolveConflict: function(conflict) {
+            const policy = this.options.conflictPolicy;
+            if (typeof policy === 'function') {
+                return policy(conflict) === 'local' ? 'local' : 'remote';
+            }
+            if (policy !== 'lastWriterWins') {
+                throw new Error(`Unknown conflict policy: ${policy}`);
+            }
+            const { local, remote } = conflict;
+            return remote.clock > local.clock || (remote.clock === local.clock && remote.site > local.site) ? 'remote' : 'local';
+        },
+        
+        // Remember which operation last wrote each cell of a setCells operation
+        stampCells: function(operation) {
+            const stamps = this.sync.stamps.get(operation.sheet) || {};
+            for (const { row, col } of operation.cells) {
+                stamps[CellRef.format(row, col)] = { site: operation.site, seq: operation.seq, clock: operation.clock };
+            }
+            this.sync.stamps.set(operation.sheet, stamps);
+        },
+        
+        // Remember which operation last wrote each part of a sheet's layout, or each cell
+        // or column of its formats and validation rules
+        stampLayout: function(operation) {
+            const stamps = this.sync.layoutStamps.get(operation.sheet) || {};
+            const stamp = { site: operation.site, seq: operation.seq, clock: operation.clock };
+            if (operation.changes) {
+                stamps[operation.part] = stamps[operation.part] || {};
+                for (const key in operation.changes) {
+                    stamps[operation.part][key] = stamp;
+                }
+            } else {
+                stamps[operation.part] = stamp;
+            }
+            this.sync.layoutStamps.set(operation.sheet, stamps);
+        },
+        
+        shiftStamps: function(sheet, axis, index, count) {
+            const stamps = this.sync.stamps.get(sheet);
+            if (stamps) {
+                this.sync.stamps.set(sheet, this.shiftCellKeys(stamps, axis, index, count));
+            }
+            const layoutStamps = this.sync.layoutStamps.get(sheet);
+            if (layoutStamps) {
+                for (const part of ['formats', 'validations']) {
+                    if (layoutStamps[part]) {
+                        layoutStamps[part] = this.shiftCellKeys(layoutStamps[part], axis, index, count);
+                    }
                 }
-            } catch (error) {
-                console.log(`Error evaluating cell ${cellRef}: ${error.message}`);
-                this.evaluatedData[row][col] = '#ERROR';
             }
         },
         
-        recalculateCell: function(row, col) {
-            this.evaluateCell(row, col);
+        // A setLayout operation moved past a concurrent row/column change of its sheet, the
+        // way shiftActiveSheet moves the sheet's own layout
+        transformLayout: function(operation, other) {
+            const change = Operations.structureOf(other);
+            if (!change || operation.sheet !== other.sheet) return operation;
+            
+            const { axis, index, count } = change;
+            if (operation.part === 'merges') {
+                return $.extend({}, operation, { value: this.shiftMerges(operation.value, axis, index, count) });
+            }
+            if (operation.part === 'conditionalFormats') {
+                return $.extend({}, operation, { value: this.shiftConditionalFormats(operation.value, axis, index, count, operation.sheet) });
+            }
+            return $.extend({}, operation, { changes: this.shiftCellKeys(operation.changes, axis, index, count) });
+        },
+        
+        // Apply a remote setLayout operation. Against a concurrent local change of the same
+        // part (or the same cell or column of the formats and validation rules) the later
+        // change wins, by Lamport clock and then site id, on every grid.
+        applyRemoteLayout: function(operation) {
+            const sheet = this.workbook.resolveSheet(operation.sheet);
+            const { part } = operation;
+            const stamps = this.sync.layoutStamps.get(sheet.name) || {};
+            const wins = (local) => !local || local.site === operation.site || (operation.vector[local.site] || 0) >= local.seq ||
+                operation.clock > local.clock || (operation.clock === local.clock && operation.site > local.site);
             
-            // Update display if grid exists
-            if (this.container.find('td').length > 0) {
-                const cell = this.container.find(`td[data-row="${row}"][data-col="${col}"]`);
-                this.updateCellDisplay(cell, row, col);
+            const current = this.viewOf(sheet).layout[part];
+            let value;
+            let applied = operation;
+            if (operation.changes) {
+                value = $.extend(true, {}, current);
+                const changes = {};
+                for (const key in operation.changes) {
+                    if (!wins((stamps[part] || {})[key])) continue;
+                    changes[key] = operation.changes[key];
+                    if (changes[key] === null) {
+                        delete value[key];
+                    } else {
+                        value[key] = changes[key];
+                    }
+                }
+                if (!Object.keys(changes).length) return;
+                applied = $.extend({}, operation, { changes });
+            } else if (wins(stamps[part])) {
+                value = operation.value;
+            } else {
+                return;
             }
+            this.stampLayout(applied);
             
-            // Recalculate dependent cells
-            const cellRef = CellRef.format(row, col);
-            const dependents = this.dependencies ? DependencyTracker.getDependents(this.dependencies, cellRef) : [];
-            for (const dependentRef of dependents) {
-                const parsed = CellRef.parse(dependentRef);
-                if (parsed) {
-                    this.recalculateCell(parsed.row, parsed.col);
+            const active = this.workbook.sheet;
+            if (sheet === active) {
+                this.setLayoutPart(part, value, true);
+            } else {
+                // Not shown: only formulas reading newly merged or unmerged cells change
+                this.useSheet(sheet);
+                try {
+                    this.layout[part] = $.extend(true, Array.isArray(value) ? [] : {}, value);
+                    if (part === 'merges') {
+                        this.recalculateMerges(current.concat(value));
+                    }
+                } finally {
+                    this.useSheet(active);
                 }
+                this.refreshCells(this.getRenderedRefs());
             }
+            
+            // Undoing a local change of the part would undo the remote one too
+            const local = steps => !steps.some(step => step.type === 'layout' && step.sheet === sheet.name && step.part === part);
+            this.history.undo = this.history.undo.filter(local);
+            this.history.redo = this.history.redo.filter(local);
         },
         
-        evaluateAll: function() {
-            // First pass: evaluate all cells
-            for (let row = 0; row < this.data.length; row++) {
-                for (let col = 0; col < this.data[row].length; col++) {
-                    this.evaluateCell(row, col);
+        // Insert or delete remote rows/columns without closing the editor: it moves with
+        // its cell, unless the cell was deleted. The undo history is cleared, as its
+        // steps refer to the old rows and columns.
+        applyRemoteStructure: function(operation) {
+            const { axis, index, count } = Operations.structureOf(operation);
+            const editing = this.editingCell;
+            const caret = editing && editing.input.is('input')
+                ? [editing.input[0].selectionStart, editing.input[0].selectionEnd]
+                : null;
+            
+            this.editingCell = null;
+            this.shiftStructure(operation.sheet, axis, index, count, true);
+            this.redraw();
+            this.clearHistory();
+            
+            if (!editing) return;
+            const moved = CellRef.sameSheet(operation.sheet, this.workbook.sheet.name)
+                ? Operations.shiftPosition(editing[axis], index, count)
+                : editing[axis];
+            if (moved === null) {
+                this.trigger('editCancel', this.cellInfo(editing.row, editing.col));
+            } else {
+                this.resumeEdit($.extend({}, editing, { [axis]: moved }), caret);
+            }
+        },
+        
+        // Put an open editor back into its cell after the grid was redrawn
+        resumeEdit: function({ row, col, input, mode }, caret) {
+            this.scrollToCell(row, col);
+            this.getCellElement(row, col).html(input.data('row', row).data('col', col));
+            input.focus();
+            if (caret) {
+                input[0].setSelectionRange(caret[0], caret[1]);
+            }
+            this.editingCell = { row, col, input, mode };
+        },
+        
+        // Undo and redo of a row/column change restore a snapshot. Collaborating grids get
+        // the change (reversed for undo) and the cells that differ from what it leaves,
+        // like the contents of deleted rows.
+        emitStructureReplay: function(structure, undo, previous) {
+            const { sheet, axis, index } = structure;
+            const count = undo ? -structure.count : structure.count;
+            const expected = new Workbook({ sheets: previous.sheets.map(({ name, data }) => ({ name, data })), names: previous.names });
+            expected.activateSheet(sheet);
+            expected.changeStructure(axis, index, count);
+            
+            this.shiftStamps(sheet, axis, index, count);
+            this.emitOperation(Operations.fromStructure(sheet, axis, index, count));
+            
+            for (const target of this.workbook.sheets) {
+                const data = expected.getSheet(target.name).data;
+                const cells = [];
+                target.data.forEach((values, row) => values.forEach((value, col) => {
+                    if (data[row][col] !== value) {
+                        cells.push({ row, col, value });
+                    }
+                }));
+                if (cells.length) {
+                    this.emitOperation({ type: 'setCells', sheet: target.name, cells });
                 }
             }
         },
         
-        getData: function() {
-            return {
-                raw: this.data.map(row => [...row]),
-                evaluated: this.evaluatedData.map(row => [...row])
-            };
+        // Version vector of the operations applied here: site id -> sequence number
+        getVersion: function() {
+            return $.extend({}, this.sync.vector);
         },
         
-        setData: function(data) {
-            this.data = data.map(row => [...row]);
-            this.evaluatedData = this.data.map(row => [...row]);
-            this.updateDependencies();
-            this.evaluateAll();
-            this.createGrid();
+        getSiteId: function() {
+            return this.sync.site;
         },
         
         destroy: function() {
             this.container.off();
+            if (this.tabStrip) {
+                this.tabStrip.remove();
+            }
+            if (this.findBar) {
+                this.findBar.remove();
+            }
+            if (this.announcer) {
+                this.announcer.remove();
+            }
             if (this.originalTable) {
                 this.container.replaceWith(this.originalTable);
             } else {
@@ -732,6 +5035,12 @@
     };
     
     // Expose ExcelGrid globally
+    ExcelGrid.functions = FormulaFunctions;
+    ExcelGrid.numberFormats = NumberFormat.presets;
+    ExcelGrid.FormulaError = FormulaError;
+    ExcelGrid.Workbook = Workbook;
+    ExcelGrid.LocalTransport = LocalTransport;
+    ExcelGrid.engine = Engine;
     window.ExcelGrid = ExcelGrid;
     
-})(jQuery);
+})(jQuery, window.ExcelGridEngine);
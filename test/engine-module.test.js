@@ -0,0 +1,33 @@
+// The ES module entry point of the engine. Run with npm test (node --test).
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const root = path.join(__dirname, '..');
+
+test('the ES module entry point has named and default exports in Node', async () => {
+    const engine = await import(pathToFileURL(path.join(root, 'excel-grid-engine.mjs')));
+    assert.strictEqual(new engine.Workbook([[2, 3, '=A1*B1']]).getValue('C1'), 6);
+    assert.strictEqual(engine.default.Workbook, engine.Workbook);
+});
+
+test('the ES module entry point works where the engine runs as a plain module', async () => {
+    // In a "type": "module" package the engine file is an ES module without CommonJS,
+    // as in a browser or a module Web Worker
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-grid-esm-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'package.json'), '{ "type": "module" }');
+        for (const file of ['excel-grid-engine.js', 'excel-grid-engine.mjs']) {
+            fs.copyFileSync(path.join(root, file), path.join(dir, file));
+        }
+        const engine = await import(pathToFileURL(path.join(dir, 'excel-grid-engine.mjs')));
+        assert.strictEqual(new engine.Workbook([[2, 3, '=A1*B1']]).getValue('C1'), 6);
+        assert.strictEqual(typeof engine.CellRef.parse, 'function');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+        delete globalThis.ExcelGridEngine;
+    }
+});
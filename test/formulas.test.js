@@ -0,0 +1,103 @@
+// Formula evaluation in the headless engine. Run with npm test (node --test).
+const test = require('node:test');
+const assert = require('node:assert');
+const { Workbook, FormulaError } = require('../excel-grid-engine.js');
+
+// Value of a formula evaluated next to A1=6, B1=0, C1="x"
+const evaluate = (formula) => new Workbook([[6, 0, 'x', formula]]).getValue('D1');
+
+const assertError = (value, code) => {
+    assert.ok(value instanceof FormulaError, `expected ${code}, got ${value}`);
+    assert.strictEqual(value.code, code);
+};
+
+test('errors raised by operators and functions are values IFERROR and ISERROR can handle', () => {
+    assert.strictEqual(evaluate('=IFERROR(A1/B1,0)'), 0);
+    assert.strictEqual(evaluate('=ISERROR(A1/B1)'), true);
+    assert.strictEqual(evaluate('=IFERROR(SQRT(-1),0)'), 0);
+    assert.strictEqual(evaluate('=IFERROR(1+"x",0)'), 0);
+    assert.strictEqual(evaluate('=IFERROR(A1+C1,-1)'), -1);
+    assert.strictEqual(evaluate('=IFERROR(NOSUCHFUNCTION(1),"none")'), 'none');
+});
+
+test('unhandled errors are still the result', () => {
+    assertError(evaluate('=A1/B1'), '#DIV/0!');
+    assertError(evaluate('=SQRT(-1)*2'), '#NUM!');
+    assertError(evaluate('=1+"x"'), '#VALUE!');
+    assertError(evaluate('=IFNA(A1/B1,0)'), '#DIV/0!');
+    assertError(evaluate('=NOSUCHFUNCTION(1)'), '#NAME?');
+    assertError(evaluate('=SUM(A1:B1'), '#ERROR');
+});
+
+test('results that are not finite numbers are #NUM!', () => {
+    assertError(evaluate('=1e308*10'), '#NUM!');
+    assertError(evaluate('=-1e308-1e308'), '#NUM!');
+    assertError(evaluate('=1e200*1e200/1'), '#NUM!');
+    assertError(evaluate('=SUM(1e308,1e308)'), '#NUM!');
+    assertError(evaluate('=1e400'), '#NUM!');
+    assert.strictEqual(evaluate('=IFERROR(1e308*10,"too big")'), 'too big');
+
+    const book = new Workbook([[1e200, '=A1*A1']]);
+    assertError(book.getValue('B1'), '#NUM!');
+    book.setValue('A1', Infinity);
+    assertError(book.getValue('A1'), '#NUM!');
+});
+
+test('only decimal and scientific text counts as a number', () => {
+    const book = new Workbook([['0x1F', 'Infinity', '1e400', ' 2.5e1 ', '=A1+1', '=B1*1', '=D1*2']]);
+    assert.strictEqual(book.getValue('A1'), '0x1F');
+    assert.strictEqual(book.getValue('B1'), 'Infinity');
+    assert.strictEqual(book.getValue('C1'), '1e400');
+    assert.strictEqual(book.getValue('D1'), 25);
+    assertError(book.getValue('E1'), '#VALUE!');
+    assertError(book.getValue('F1'), '#VALUE!');
+    assert.strictEqual(book.getValue('G1'), 50);
+    assertError(evaluate('="0x1F"+1'), '#VALUE!');
+});
+
+test('IF only returns an error from the branch it takes', () => {
+    assert.strictEqual(evaluate('=IF(B1=0,0,A1/B1)'), 0);
+    assert.strictEqual(evaluate('=IF(B1<>0,A1/B1,"n/a")'), 'n/a');
+    assertError(evaluate('=IF(B1=0,A1/B1,0)'), '#DIV/0!');
+});
+
+test('COUNT counts numeric text and booleans given as arguments', () => {
+    assert.strictEqual(evaluate('=COUNT(1,"2")'), 2);
+    assert.strictEqual(evaluate('=COUNT(1,"x",TRUE)'), 2);
+    // Text in a referenced cell is not counted
+    assert.strictEqual(new Workbook([['2', 'x', 3, '=COUNT(A1:C1)', '=COUNT(B1)']]).getValue('D1'), 2);
+    assert.strictEqual(new Workbook([['x', '=COUNT(A1)']]).getValue('B1'), 0);
+});
+
+test('AVERAGE of blank cells is #DIV/0!', () => {
+    const book = new Workbook([['', '', 4, '=AVERAGE(A1)', '=AVERAGE(A1,B1)', '=AVERAGE(A1:B1)', '=AVERAGE(A1,C1)']]);
+    assertError(book.getValue('D1'), '#DIV/0!');
+    assertError(book.getValue('E1'), '#DIV/0!');
+    assertError(book.getValue('F1'), '#DIV/0!');
+    assert.strictEqual(book.getValue('G1'), 4);
+    assert.strictEqual(evaluate('=AVERAGE(C1,A1)'), 6);
+});
+
+test('an empty argument is 0', () => {
+    const book = new Workbook([[1, 2, 3, '=SUM(A1:C1,)', '=SUM(,A1)', '=COUNT(A1,)', '=AVERAGE(A1,)', '=ROUND(2.5,)']]);
+    assert.strictEqual(book.getValue('D1'), 6);
+    assert.strictEqual(book.getValue('E1'), 1);
+    assert.strictEqual(book.getValue('F1'), 2);
+    assert.strictEqual(book.getValue('G1'), 0.5);
+    assert.strictEqual(book.getValue('H1'), 3);
+    assert.strictEqual(evaluate('=IF(FALSE,1,)'), 0);
+});
+
+test('cells past the data are blank; deleted references are #REF!', () => {
+    const rows = Array.from({ length: 10 }, (value, row) => ['', row + 1]);
+    rows[0][0] = '=ROUND(AVERAGE(B2:B20)*1.2, 2)';
+    rows[1][0] = '=B15';
+    rows[2][0] = '=COUNTA(B9:B12)';
+    rows[4][0] = '=B4';
+    const book = new Workbook(rows);
+    assert.strictEqual(book.getValue('A1'), 7.2);
+    assert.strictEqual(book.getValue('A2'), '');
+    assert.strictEqual(book.getValue('A3'), 2);
+    book.deleteRows(3);
+    assertError(book.getValue('A4'), '#REF!');
+});
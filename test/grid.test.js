@@ -0,0 +1,611 @@
+// The jQuery grid in a jsdom window. Run with npm test (node --test).
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// A jsdom window with jQuery, the engine and the grid loaded, and two containers
+const createWindow = () => {
+    const { window } = new JSDOM('<!DOCTYPE html><body><div id="grid"></div><div id="other"></div></body>', { runScripts: 'outside-only', pretendToBeVisual: true });
+    window.eval(fs.readFileSync(require.resolve('jquery'), 'utf8'));
+    for (const file of ['excel-grid-engine.js', 'excel-grid.js']) {
+        window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+    }
+    return window;
+};
+
+// A grid created like new ExcelGrid('#grid', options), by default in a new window
+const createGrid = (options, window = createWindow(), selector = '#grid') => new window.ExcelGrid(selector, options);
+
+// Plain copy of a value from the grid's window, comparable with deepStrictEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const pressKey = (grid, key) => {
+    grid.container.trigger(grid.container.constructor.Event('keydown', { key }));
+};
+
+test('replacing the data drops merged areas outside it and clips the others', () => {
+    const grid = createGrid({ initialData: { rows: 6, cols: 6 } });
+    grid.mergeCells('A1:D4');
+    grid.mergeCells('E5:F6');
+    grid.setData([[1, 2], [3, 4]]);
+    assert.deepStrictEqual(plain(grid.getState().sheets[0].merges), ['A1:B2']);
+
+    grid.setSelection('A1');
+    assert.doesNotThrow(() => grid.copySelection());
+    assert.doesNotThrow(() => pressKey(grid, 'Delete'));
+    assert.deepStrictEqual(plain(grid.getData().raw), [['', ''], ['', '']]);
+
+    grid.undo();
+    grid.undo();
+    assert.deepStrictEqual(plain(grid.getState().sheets[0].merges), ['A1:D4', 'E5:F6']);
+
+    grid.importCSV('1,2,3');
+    assert.deepStrictEqual(plain(grid.getState().sheets[0].merges), ['A1:C1']);
+    grid.importCSV('1');
+    assert.deepStrictEqual(plain(grid.getState().sheets[0].merges), []);
+});
+
+test('replacing the data clears the filters of columns it no longer has', () => {
+    const grid = createGrid({ initialData: [['Name', 'Score', 'Team'], ['a', 1, 'x'], ['b', 2, 'y']] });
+    grid.setFilterRange('A1:C3');
+    grid.setFilter(2, { values: ['x'] });
+    assert.ok(grid.isRowHidden(2));
+
+    grid.setData([['Name', 'Score'], ['a', 1], ['b', 2], ['c', 3]]);
+    assert.deepStrictEqual(plain(grid.getState().sheets[0].filters), {});
+    assert.strictEqual(grid.getState().sheets[0].filterRange, 'A1:B3');
+    assert.ok(!grid.isRowHidden(2));
+    assert.ok(!grid.container.find('.excel-grid-filtered').length);
+
+    grid.importCSV('Name\na');
+    assert.strictEqual(grid.getState().sheets[0].filterRange, 'A1:A2');
+});
+
+// Two grids in one window, connected through a LocalTransport
+const createPair = (options, transportOptions) => {
+    const window = createWindow();
+    const left = createGrid({ siteId: 'left', ...options }, window);
+    const right = createGrid({ siteId: 'right', ...options }, window, '#other');
+    const transport = new window.ExcelGrid.LocalTransport(transportOptions);
+    transport.connect(left).connect(right);
+    return { window, left, right, transport };
+};
+
+test('loads and sheet or name changes are refused while connected', () => {
+    const window = createWindow();
+    const left = createGrid({ initialData: { rows: 3, cols: 3 } }, window);
+    left.setData([[1, 2], [3, 4]]);
+
+    // Listening to operations is not being connected
+    left.on('operation', () => {});
+    assert.ok(!left.isConnected());
+
+    left.connect();
+    assert.ok(left.isConnected());
+    assert.throws(() => left.setData([[1]]), /not shared/);
+    assert.throws(() => left.setState(left.getState()), /not shared/);
+    assert.throws(() => left.importCSV('1,2'), /not shared/);
+    assert.throws(() => left.addSheet('Other'), /not shared/);
+    assert.throws(() => left.renameSheet('Sheet1', 'Data'), /not shared/);
+    assert.throws(() => left.defineName('Rate', 'A1'), /not shared/);
+
+    // Undoing the load is skipped, also from the keyboard
+    assert.strictEqual(left.undo(), false);
+    assert.doesNotThrow(() => left.container.trigger(window.jQuery.Event('keydown', { key: 'z', ctrlKey: true })));
+    assert.ok(left.canUndo());
+
+    left.disconnect();
+    assert.ok(left.undo());
+});
+
+test('number formats, merged cells and conditional formats are sent as operations', () => {
+    const { window, left, right } = createPair({ initialData: [[3, 'x'], [1, 'y'], [2, 'z']] });
+
+    left.setFormat('A1', '0.00');
+    left.mergeCells('B1:B2');
+    left.addConditionalFormat('A1:A3', { type: 'cellValue', operator: 'greaterThan', value: 1 });
+    assert.strictEqual(right.getFormat('A1'), '0.00');
+    assert.deepStrictEqual(plain(right.getMerges()), ['B1:B2']);
+    assert.strictEqual(right.getConditionalFormats().length, 1);
+
+    // Undoing a format change with Ctrl+Z is sent too
+    left.container.trigger(window.jQuery.Event('keydown', { key: 'z', ctrlKey: true }));
+    assert.strictEqual(right.getConditionalFormats().length, 0);
+
+    // A typed percentage stores the number and the format that shows it
+    left.startEdit(2, 1);
+    left.editingCell.input.val('12%');
+    assert.doesNotThrow(() => left.editingCell.input.trigger(window.jQuery.Event('keydown', { key: 'Enter' })));
+    assert.strictEqual(left.getFormat('B3'), '0%');
+    assert.strictEqual(right.getFormat('B3'), '0%');
+    assert.strictEqual(right.getData().raw[2][1], 0.12);
+
+    // Sorting moves the formats with their rows
+    left.sortRange('A1:A3', { col: 'A' });
+    assert.deepStrictEqual(plain(right.getData().raw).map(row => row[0]), [1, 2, 3]);
+    assert.strictEqual(left.getFormat('A3'), '0.00');
+    assert.strictEqual(right.getFormat('A3'), '0.00');
+});
+
+test('concurrent layout changes converge', () => {
+    const { left, right, transport } = createPair({ initialData: { rows: 4, cols: 3 } }, { manual: true });
+
+    // Formats of different cells both stay, and move with rows inserted concurrently
+    left.setFormat('A2', '0.00');
+    right.setFormat('B2', '0%');
+    right.insertRows(0);
+    left.mergeCells('A3:B3');
+    transport.flush();
+    transport.flush();
+    for (const grid of [left, right]) {
+        assert.strictEqual(grid.getFormat('A3'), '0.00');
+        assert.strictEqual(grid.getFormat('B3'), '0%');
+        assert.deepStrictEqual(plain(grid.getMerges()), ['A4:B4']);
+    }
+
+    // The same cell ends up with the same format on both sides
+    left.setFormat('C1', '0.0');
+    right.setFormat('C1', '#,##0');
+    transport.flush();
+    assert.strictEqual(left.getFormat('C1'), right.getFormat('C1'));
+});
+
+test('column letters and row numbers are shown with the headers option only', () => {
+    const plainGrid = createGrid({ initialData: [[1, 2], [3, 4]] });
+    assert.strictEqual(plainGrid.container.find('th').length, 0);
+
+    const grid = createGrid({ initialData: [[1, 2], [3, 4]], headers: true });
+    const texts = grid.container.find('th').map((index, th) => th.textContent).get();
+    assert.deepStrictEqual(plain(texts), ['', 'A', 'B', '1', '2']);
+});
+
+test('replacing only looks in formulas', () => {
+    const grid = createGrid({ initialData: [[2, '=A1*2', 'x4']] });
+    assert.throws(() => grid.replaceAll('4', '5', { lookIn: 'values' }), /only looks in formulas/);
+    assert.throws(() => grid.replace('4', '5', { lookIn: 'values' }), /only looks in formulas/);
+    assert.deepStrictEqual(plain(grid.getData().raw), [[2, '=A1*2', 'x4']]);
+
+    assert.strictEqual(grid.replaceAll('2', '3', { lookIn: 'formulas' }).length, 2);
+    assert.deepStrictEqual(plain(grid.getData().raw), [['3', '=A1*3', 'x4']]);
+});
+
+test('reject rules drop pasted, replaced and API values that break them', () => {
+    const errors = [];
+    const grid = createGrid({
+        initialData: [['Ops', 1], ['Sales', 2], ['', 3]],
+        onValidationError: info => errors.push(info.ref)
+    });
+    grid.setValidation('A', { type: 'list', values: ['Ops', 'Sales'] });
+    grid.setValidation('B', { type: 'number', min: 0, mode: 'flag' });
+
+    grid.setSelection('A1');
+    grid.paste('zzz\nSales\nyyy');
+    assert.deepStrictEqual(plain(grid.getData().raw).map(row => row[0]), ['Ops', 'Sales', '']);
+    assert.deepStrictEqual(errors, ['A1', 'A3']);
+
+    grid.replaceAll('Ops', 'Dev');
+    grid.setCellValue(2, 0, 'Nope');
+    grid.setCellValue(2, 0, 'Ops');
+    assert.deepStrictEqual(plain(grid.getData().raw).map(row => row[0]), ['Ops', 'Sales', 'Ops']);
+
+    // 'flag' rules store the value and mark the cell
+    grid.setCellValue(0, 1, -5);
+    assert.strictEqual(grid.getData().raw[0][1], -5);
+    assert.strictEqual(grid.getInvalidCells().length, 1);
+});
+
+test('covered cells of a merged area are not written', () => {
+    const grid = createGrid({ initialData: { rows: 3, cols: 3 } });
+    grid.mergeCells('A1:B2');
+
+    grid.setCellValue(1, 1, 99);
+    // The selection snaps to the merged area, so the paste starts at A1 and B1 is skipped
+    grid.setSelection('B1');
+    grid.paste('7\t8');
+    assert.deepStrictEqual(plain(grid.getData().raw), [['7', '', ''], ['', '', ''], ['', '', '']]);
+
+    grid.unmergeCells('A1');
+    assert.strictEqual(grid.getData().raw[1][1], '');
+});
+
+test('copyRange fills formulas down with relative references moved', () => {
+    const grid = createGrid({
+        initialData: [
+            ['Item', 'Price', 'Qty', 'Total', '', 0.1],
+            ['a', 2, 3, '=B2*C2*(1+$F$1)'],
+            ['b', 4, 5, ''],
+            ['c', 6, 7, '']
+        ]
+    });
+    grid.copyRange('D2', 'D3:D4');
+    assert.deepStrictEqual(plain(grid.getData().raw).map(row => row[3]), ['Total', '=B2*C2*(1+$F$1)', '=B3*C3*(1+$F$1)', '=B4*C4*(1+$F$1)']);
+    assert.deepStrictEqual(plain(grid.getData().evaluated).slice(1).map(row => Math.round(row[3] * 10) / 10), [6.6, 22, 46.2]);
+
+    // One step to undo
+    grid.undo();
+    assert.deepStrictEqual(plain(grid.getData().raw).slice(2).map(row => row[3]), ['', '']);
+});
+
+test('inserting and deleting rows rewrites formulas and can be undone', () => {
+    const grid = createGrid({ initialData: [[1, '=SUM(A1:A2)'], [2, '=A2*10']] });
+    grid.insertRows(1);
+    assert.deepStrictEqual(plain(grid.getData().raw), [[1, '=SUM(A1:A3)'], ['', ''], [2, '=A3*10']]);
+    assert.strictEqual(grid.container.find('tbody tr').length, 3);
+
+    grid.setCellValue(1, 0, 5);
+    assert.strictEqual(grid.getData().evaluated[0][1], 8);
+
+    grid.deleteRows(2);
+    assert.deepStrictEqual(plain(grid.getData().raw), [[1, '=SUM(A1:A2)'], [5, '']]);
+    grid.undo();
+    assert.deepStrictEqual(plain(grid.getData().raw), [[1, '=SUM(A1:A3)'], [5, ''], [2, '=A3*10']]);
+    assert.strictEqual(grid.getData().evaluated[2][1], 20);
+});
+
+test('an edit inside a SUM range updates the shown total', () => {
+    const grid = createGrid({ initialData: [[1, ''], [2, ''], [3, '=SUM(A1:A3)']] });
+    grid.setCellValue(1, 0, 20);
+    assert.strictEqual(grid.getCellElement(2, 1).text(), '24');
+    grid.setCellValue(2, 0, 4);
+    assert.strictEqual(grid.getCellElement(2, 1).text(), '25');
+});
+
+test('copied ranges paste as one change with adjusted formulas, values or external text', () => {
+    const batches = [];
+    const grid = createGrid({
+        initialData: [[1, 2, '=A1+B1', ''], [3, 4, '', ''], ['', '', '', '']],
+        onBatchChange: changes => batches.push(changes.length)
+    });
+
+    grid.setSelection('A1:C1');
+    const copied = grid.copySelection();
+    assert.deepStrictEqual(plain(copied), { text: '1\t2\t3', html: '<table><tbody><tr><td>1</td><td>2</td><td>3</td></tr></tbody></table>' });
+    grid.setSelection('A2');
+    grid.paste(copied.text);
+    grid.setSelection('A3');
+    grid.paste(copied.text, { mode: 'values' });
+    assert.deepStrictEqual(plain(grid.getData().raw), [[1, 2, '=A1+B1', ''], [1, 2, '=A2+B2', ''], ['1', '2', '3', '']]);
+    assert.deepStrictEqual(batches, [3, 3]);
+
+    // Text from a spreadsheet application, with quoted tabs, line breaks and quotes
+    grid.setSelection('A1');
+    grid.paste('"a\tb"\tx\n"line\nbreak"\t"q""uote"');
+    assert.deepStrictEqual(plain(grid.getData().raw).map(row => row.slice(0, 2)), [['a\tb', 'x'], ['line\nbreak', 'q"uote'], ['1', '2']]);
+    grid.paste('', { html: '<table><tr><td>5</td><td>6</td></tr></table>' });
+    assert.deepStrictEqual(plain(grid.getData().raw)[0], ['5', '6', '=A1+B1', '']);
+});
+
+test('a cut range moves when pasted and references to it follow', () => {
+    const grid = createGrid({ initialData: [[1, 2, '=A1+B1', ''], ['', '', '', '']] });
+    grid.setSelection('A1:B1');
+    const { text } = grid.cutSelection();
+    assert.deepStrictEqual(plain(grid.getData().raw)[0], [1, 2, '=A1+B1', '']);
+
+    grid.setSelection('A2');
+    grid.paste(text);
+    assert.deepStrictEqual(plain(grid.getData().raw), [['', '', '=A2+B2', ''], [1, 2, '', '']]);
+    assert.strictEqual(grid.getData().evaluated[0][2], 3);
+});
+
+test('undo and redo replay edits, pastes, loads and structure changes step by step', () => {
+    const window = createWindow();
+    const grid = createGrid({ initialData: [[1, '=A1*2'], ['', '']], historyDepth: 3 }, window);
+    const key = (key, ctrlKey = true) => grid.container.trigger(window.jQuery.Event('keydown', { key, ctrlKey }));
+
+    grid.setCellValue(0, 0, 5);
+    grid.setSelection('A2');
+    grid.paste('7\t8');
+    grid.insertColumns(0);
+    grid.setData([['x']]);
+    assert.deepStrictEqual(plain(grid.getData().raw), [['x']]);
+
+    // Only the last three steps are kept; the paste is one of them
+    key('z');
+    assert.deepStrictEqual(plain(grid.getData().raw), [['', 5, '=B1*2'], ['', '7', '8']]);
+    key('z');
+    key('z');
+    assert.deepStrictEqual(plain(grid.getData().raw), [[5, '=A1*2'], ['', '']]);
+    assert.strictEqual(grid.getData().evaluated[0][1], 10);
+    assert.ok(!grid.canUndo());
+    assert.strictEqual(grid.undo(), false);
+
+    key('y');
+    assert.deepStrictEqual(plain(grid.getData().raw), [[5, '=A1*2'], ['7', '8']]);
+
+    // A new change drops the steps that could be redone
+    grid.setCellValue(0, 0, 6);
+    assert.ok(!grid.canRedo());
+    assert.strictEqual(grid.redo(), false);
+
+    const unrecorded = createGrid({ initialData: [[1]], historyDepth: 0 }, window, '#other');
+    unrecorded.setCellValue(0, 0, 2);
+    assert.ok(!unrecorded.canUndo());
+});
+
+test('a transaction is one undo step', () => {
+    const grid = createGrid({ initialData: [[1], [2]] });
+    grid.transaction(() => {
+        grid.insertRows(0);
+        grid.setCellValues([{ row: 0, col: 0, value: '=SUM(A2:A3)' }]);
+    });
+    assert.strictEqual(grid.getData().evaluated[0][0], 3);
+    grid.undo();
+    assert.deepStrictEqual(plain(grid.getData().raw), [[1], [2]]);
+    grid.redo();
+    assert.deepStrictEqual(plain(grid.getData().raw), [['=SUM(A2:A3)'], [1], [2]]);
+});
+
+test('CSV import parses quoting and numbers; export writes values or formulas', () => {
+    const grid = createGrid({ initialData: { rows: 5, cols: 5 } });
+    grid.importCSV('Qty;Note\n10;"a;b"\n2.5e1;"say ""hi"""\n-3;=A2+A3\n', { delimiter: ';', header: true });
+    assert.deepStrictEqual(plain(grid.getData()), {
+        raw: [['Qty', 'Note'], [10, 'a;b'], [25, 'say "hi"'], [-3, '=A2+A3']],
+        evaluated: [['Qty', 'Note'], [10, 'a;b'], [25, 'say "hi"'], [-3, 35]]
+    });
+
+    assert.strictEqual(grid.exportCSV(), 'Qty,Note\r\n10,a;b\r\n25,"say ""hi"""\r\n-3,35');
+    assert.strictEqual(grid.exportCSV({ mode: 'formulas', delimiter: '\t', range: 'A3:B4', header: ['q', 'n'] }), 'q\tn\r\n25\t"say ""hi"""\r\n-3\t=A2+A3');
+
+    grid.importCSV('1,2\r\n3,"4\r\n5"', { parseNumbers: false });
+    assert.deepStrictEqual(plain(grid.getData().raw), [['1', '2'], ['3', '4\r\n5']]);
+    assert.strictEqual(grid.container.find('tbody tr').length, 2);
+});
+
+test('sorting orders values like Excel and keeps row formulas on their row', () => {
+    const grid = createGrid({
+        initialData: [
+            ['Item', 'Price', 'Qty', 'Total'],
+            ['b', 2, 5, '=B2*C2'],
+            ['a', '', 1, '=B3*C3'],
+            ['c', 'x', 2, '=B4*C4'],
+            ['a', 3, 4, '=B5*C5'],
+            ['d', 1, 9, '=SUM(D2:D4)']
+        ]
+    });
+    grid.sortRange('A1:D5', [{ col: 'A' }, { col: 'C', order: 'desc' }], { header: true });
+    assert.deepStrictEqual(plain(grid.getData().raw).slice(1, 5), [
+        ['a', 3, 4, '=B2*C2'],
+        ['a', '', 1, '=B3*C3'],
+        ['b', 2, 5, '=B4*C4'],
+        ['c', 'x', 2, '=B5*C5']
+    ]);
+    assert.strictEqual(grid.getData().evaluated[5][3], 22);
+
+    // Numbers, then text; blank cells last also when descending
+    grid.sortRange('A2:D5', { col: 1, order: 'desc' });
+    assert.deepStrictEqual(plain(grid.getData().raw).slice(1, 5).map(row => row[1]), ['x', 3, 2, '']);
+    grid.undo();
+    assert.deepStrictEqual(plain(grid.getData().raw).slice(1, 5).map(row => row[0]), ['a', 'a', 'b', 'c']);
+});
+
+test('filters hide rows without changing the data, and SUBTOTAL skips them', () => {
+    const grid = createGrid({
+        initialData: [
+            ['Region', 'Sales'],
+            ['North', 100],
+            ['South', 250],
+            ['North inc', 40],
+            ['East', 'n/a'],
+            ['=SUBTOTAL(9,B2:B5)', '=SUM(B2:B5)']
+        ]
+    });
+    grid.setFilterRange('A1:B5');
+    grid.setFilter('A', { contains: 'north' });
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(row => grid.isRowHidden(row)), [false, true, false, true, false]);
+    assert.strictEqual(grid.getData().evaluated[5][0], 140);
+    assert.strictEqual(grid.getData().evaluated[5][1], 390);
+
+    grid.setFilter('B', { operator: '>', value: 50 });
+    assert.deepStrictEqual([1, 2, 3, 4].map(row => grid.isRowHidden(row)), [false, true, true, true]);
+    grid.clearFilter('A');
+    grid.setFilter('A', { values: ['South', 'East'] });
+    assert.deepStrictEqual([1, 2, 3, 4].map(row => grid.isRowHidden(row)), [true, false, true, true]);
+
+    grid.clearFilters();
+    assert.strictEqual(grid.getData().evaluated[5][0], 390);
+    assert.strictEqual(grid.getData().raw.length, 6);
+});
+
+test('the grid is a view over its workbook', () => {
+    const grid = createGrid({ initialData: [[2, '=A1*3']] });
+    assert.strictEqual(grid.workbook.getValue('B1'), 6);
+
+    grid.setCellValue(0, 0, 5);
+    assert.strictEqual(grid.workbook.getValue('B1'), 15);
+    assert.strictEqual(grid.data, grid.workbook.data);
+    assert.deepStrictEqual(plain(grid.getData()), plain(grid.workbook.getData()));
+});
+
+test('sheet tabs switch sheets and formulas follow renamed sheets', () => {
+    const grid = createGrid({ sheets: [{ name: 'Summary', data: [['=Data!A1*2']] }, { name: 'Data', data: [[4]] }] });
+    const tabs = () => grid.tabStrip.find('.excel-grid-tab').map((index, tab) => tab.textContent).get();
+    assert.deepStrictEqual(plain(tabs()), ['Summary', 'Data']);
+    assert.strictEqual(grid.getCellElement(0, 0).text(), '8');
+
+    grid.tabStrip.find('.excel-grid-tab').eq(1).trigger('click');
+    assert.strictEqual(grid.getActiveSheet(), 'Data');
+    grid.setCellValue(0, 0, 5);
+    grid.renameSheet('Data', 'Q3 Costs');
+    assert.deepStrictEqual(plain(tabs()), ['Summary', 'Q3 Costs']);
+
+    grid.activateSheet('Summary');
+    assert.strictEqual(grid.getData().raw[0][0], "='Q3 Costs'!A1*2");
+    assert.strictEqual(grid.getCellElement(0, 0).text(), '10');
+    grid.undo();
+    assert.deepStrictEqual(plain(grid.getSheetNames()), ['Summary', 'Data']);
+    assert.strictEqual(grid.workbook.getRawValue('Summary!A1'), '=Data!A1*2');
+});
+
+test('defined names are kept by getState and setState', () => {
+    const window = createWindow();
+    const grid = createGrid({ initialData: [[100, '=A1*(1+Rate)'], ['', '']] }, window);
+    grid.defineName('Rate', 'A2');
+    grid.setCellValue(1, 0, 0.5);
+    assert.strictEqual(grid.getCellElement(0, 1).text(), '150');
+
+    const copy = createGrid({ initialData: { rows: 1, cols: 1 } }, window, '#other');
+    copy.setState(JSON.parse(JSON.stringify(grid.getState())));
+    assert.deepStrictEqual(plain(copy.getNames()), { Rate: '=Sheet1!$A$2' });
+    copy.setCellValue(1, 0, 1);
+    assert.strictEqual(copy.getData().evaluated[0][1], 200);
+
+    grid.undo();
+    grid.undo();
+    assert.deepStrictEqual(plain(grid.getNames()), {});
+    assert.strictEqual(grid.getData().evaluated[0][1].code, '#NAME?');
+});
+
+test('before events can rewrite, skip or cancel changes and edits', () => {
+    const window = createWindow();
+    const grid = createGrid({ initialData: [['a', 'b'], [1, '=A2*2']] }, window);
+    grid.on('beforeChange', (event, data) => {
+        data.changes.forEach((change, i) => {
+            if (change.row === 0) data.changes[i] = null;
+            else if (typeof change.value === 'string') change.value = change.value.toUpperCase();
+        });
+    });
+    grid.setCellValues([{ row: 0, col: 0, value: 'x' }, { row: 1, col: 0, value: 'y' }]);
+    assert.deepStrictEqual(plain(grid.getData().raw), [['a', 'b'], ['Y', '=A2*2']]);
+
+    grid.on('beforeChange', () => false);
+    assert.deepStrictEqual(plain(grid.setCellValues([{ row: 1, col: 0, value: 2 }])), []);
+    grid.off('beforeChange');
+    grid.setCellValue(1, 0, 2);
+    assert.strictEqual(grid.getData().raw[1][0], 2);
+
+    const events = [];
+    grid.on('beforeEdit', (event, data) => data.row !== 0);
+    grid.on('editStart editEnd editCancel', (event, data) => events.push(`${event.type} ${data.ref}`));
+    grid.startEdit(0, 0);
+    assert.ok(!grid.editingCell);
+    grid.startEdit(1, 0);
+    grid.editingCell.input.val('3').trigger(window.jQuery.Event('keydown', { key: 'Enter' }));
+    grid.startEdit(1, 0);
+    grid.editingCell.input.trigger(window.jQuery.Event('keydown', { key: 'Escape' }));
+    assert.deepStrictEqual(events, ['editStart A2', 'editEnd A2', 'editStart A2', 'editCancel A2']);
+    assert.strictEqual(grid.getData().raw[1][0], '3');
+});
+
+test('afterChange reports one batch with recalculated dependents', () => {
+    const grid = createGrid({ initialData: [[1, 2], ['=A1+B1', '=A2*10']] });
+    const batches = [];
+    const loads = [];
+    const selections = [];
+    grid.on('afterChange', (event, data) => batches.push(plain(data)));
+    grid.on('dataLoaded', (event, data) => loads.push(data.source));
+    grid.on('selectionChange', (event, selection) => selections.push(selection.ref));
+
+    grid.setSelection('A1:B1');
+    grid.paste('5\t6');
+    assert.strictEqual(batches.length, 1);
+    assert.strictEqual(batches[0].source, 'paste');
+    assert.deepStrictEqual(batches[0].changes.map(({ ref, oldValue, value, oldEvaluated, evaluated }) => [ref, oldValue, value, oldEvaluated, evaluated]), [
+        ['A1', 1, '5', 1, 5],
+        ['B1', 2, '6', 2, 6]
+    ]);
+    assert.deepStrictEqual(batches[0].dependents.map(({ ref, oldEvaluated, evaluated }) => [ref, oldEvaluated, evaluated]), [
+        ['A2', 3, 11],
+        ['B2', 30, 110]
+    ]);
+
+    grid.setData([[1]]);
+    grid.importCSV('2');
+    assert.deepStrictEqual(loads, ['setData', 'importCSV']);
+    assert.strictEqual(selections[0], 'A1:B1');
+});
+
+test('conditional formats follow recalculated values', () => {
+    const grid = createGrid({
+        initialData: [['Budget', 'Actual', 'Var'], [100, 120, '=B2-A2'], [100, 90, '=B3-A3'], [50, 80, '=B4-A4'], [10, 10, '=B5-A5']]
+    });
+    const styles = (col) => [1, 2, 3, 4].map(row => plain(grid.getConditionalStyle(row, col)));
+    grid.addConditionalFormat('B2:B5', { type: 'formula', formula: '=B2>A2', style: { color: '#9c0006', bold: true } });
+    grid.addConditionalFormat('C2:C5', { type: 'top', count: 1, style: { background: '#ffc7ce' } });
+    grid.addConditionalFormat('A2:A5', { type: 'duplicate' });
+    grid.addConditionalFormat('C2:C5', { type: 'dataBar' });
+    grid.addConditionalFormat('A2:A5', { type: 'colorScale', colors: ['#ff0000', '#00ff00'] });
+
+    const overrun = { color: '#9c0006', bold: true };
+    assert.deepStrictEqual(styles(1), [overrun, null, overrun, null]);
+    assert.deepStrictEqual(styles(2).map(style => style.background || null), [null, null, '#ffc7ce', null]);
+    assert.deepStrictEqual(styles(2).map(style => style.bar), [0.75, 0, 1, 0.25]);
+    // The rule added first wins
+    assert.deepStrictEqual(styles(0).map(style => style.background), ['#ffc7ce', '#ffc7ce', '#8e7100', '#ff0000']);
+    assert.strictEqual(grid.getCellElement(1, 1).css('font-weight'), 'bold');
+    assert.strictEqual(grid.getCellElement(1, 2).find('.excel-grid-bar')[0].style.width, '75%');
+
+    grid.setCellValue(2, 1, 200);
+    assert.deepStrictEqual(styles(1), [overrun, overrun, overrun, null]);
+    assert.strictEqual(grid.getConditionalStyle(2, 2).background, '#ffc7ce');
+    assert.strictEqual(grid.getConditionalStyle(3, 2).background, undefined);
+    assert.strictEqual(grid.getCellElement(2, 1).css('font-weight'), 'bold');
+
+    grid.insertRows(0);
+    assert.deepStrictEqual(plain(grid.getConditionalFormats().map(rule => rule.range)), ['B3:B6', 'C3:C6', 'A3:A6', 'C3:C6', 'A3:A6']);
+    assert.deepStrictEqual(plain(grid.getConditionalStyle(2, 1)), overrun);
+    grid.clearConditionalFormats('C3');
+    assert.strictEqual(grid.getConditionalFormats().length, 3);
+});
+
+test('concurrent row and column changes and edits converge', () => {
+    const { left, right, transport } = createPair({ initialData: [[1, 2, ''], [3, 4, ''], [5, 6, '']] }, { manual: true });
+    const conflicts = [];
+    left.on('conflict', (event, data) => conflicts.push(data.winner));
+
+    left.setCellValue(2, 2, '=A3*2');
+    left.insertRows(0);
+    right.insertRows(2, 2);
+    right.deleteColumns(1);
+    right.setCellValue(0, 1, '=SUM(A1:A3)');
+    transport.flush();
+    transport.flush();
+
+    // Each side's changes are moved past the other's: the formula typed into C3 moved down
+    // with both insertions and left with the deleted column, and the sum typed on the right
+    // moved down with the row inserted on the left
+    for (const grid of [left, right]) {
+        assert.deepStrictEqual(plain(grid.getData()), {
+            raw: [['', ''], [1, '=SUM(A2:A4)'], [3, ''], ['', ''], ['', ''], [5, '=A6*2']],
+            evaluated: [['', ''], [1, 4], [3, ''], ['', ''], ['', ''], [5, 10]]
+        });
+    }
+
+    // Both edit one cell: every grid keeps the same value
+    left.setCellValue(1, 0, 'left');
+    right.setCellValue(1, 0, 'right');
+    transport.flush();
+    assert.strictEqual(left.getData().raw[1][0], right.getData().raw[1][0]);
+    assert.deepStrictEqual(plain(left.getVersion()), plain(right.getVersion()));
+    assert.strictEqual(conflicts.length, 1);
+});
+
+test('the grid has ARIA grid roles, one tab stop and announces the active cell', () => {
+    const grid = createGrid({ ariaLabel: 'Budget', headers: true, initialData: [['Item', 'Qty', 'Price', 'Total', 'Avg'], ['a', 0, 5, '=B2*C2', '=D2/B2']] });
+    const table = grid.container.find('table');
+    assert.strictEqual(table.attr('role'), 'grid');
+    assert.strictEqual(table.attr('aria-label'), 'Budget, Sheet1');
+    assert.strictEqual(table.attr('aria-rowcount'), '3');
+    assert.strictEqual(table.attr('aria-colcount'), '6');
+    assert.deepStrictEqual(plain(grid.container.find('thead th').map((index, th) => th.getAttribute('role')).get()), ['columnheader', 'columnheader', 'columnheader', 'columnheader', 'columnheader', 'columnheader']);
+    assert.strictEqual(grid.container.find('tbody tr').eq(0).attr('aria-rowindex'), '2');
+
+    grid.setSelection('E2');
+    const cell = grid.getCellElement(1, 4);
+    assert.strictEqual(cell.attr('role'), 'gridcell');
+    assert.strictEqual(cell.attr('aria-colindex'), '6');
+    assert.strictEqual(cell.attr('aria-selected'), 'true');
+    assert.strictEqual(grid.container.find('[tabindex="0"]')[0], cell[0]);
+    assert.strictEqual(grid.announcer.text(), 'E2: #DIV/0!, formula =D2/B2, #DIV/0!: Division by zero');
+
+    // The error of a cell it reads is explained with the cell it started in
+    pressKey(grid, 'ArrowLeft');
+    grid.setCellValue(1, 3, '=B2/B2');
+    assert.strictEqual(grid.container.find('[tabindex="0"]')[0], grid.getCellElement(1, 3)[0]);
+    pressKey(grid, 'ArrowRight');
+    assert.strictEqual(grid.announcer.text(), 'E2: #DIV/0!, formula =D2/B2, #DIV/0!: Division by zero (in D2)');
+
+    grid.startEdit(1, 1);
+    assert.strictEqual(grid.editingCell.input.attr('aria-label'), 'Edit B2');
+});
@@ -0,0 +1,23 @@
+// Number formats of the headless engine. Run with npm test (node --test).
+const test = require('node:test');
+const assert = require('node:assert');
+const { Workbook, NumberFormat } = require('../excel-grid-engine.js');
+
+const text = (value, format) => NumberFormat.format(value, format).text;
+
+test('fixed decimals round the way ROUND does', () => {
+    assert.strictEqual(text(1.005, '0.00'), '1.01');
+    assert.strictEqual(text(2.675, '0.00'), '2.68');
+    assert.strictEqual(text(-2.675, '#,##0.00'), '-2.68');
+    assert.strictEqual(text(0.125, '0.0%'), '12.5%');
+    assert.strictEqual(text(1234567.891, '#,##0.00'), '1,234,567.89');
+
+    const book = new Workbook([[1.005, '=ROUND(A1,2)']]);
+    assert.strictEqual(text(book.getValue('A1'), '0.00'), String(book.getValue('B1')));
+});
+
+test('numbers that are not finite show as #NUM!', () => {
+    assert.strictEqual(NumberFormat.general(Infinity), '#NUM!');
+    assert.strictEqual(NumberFormat.general(NaN), '#NUM!');
+    assert.strictEqual(text(-Infinity, '0.00'), '#NUM!');
+});
@@ -0,0 +1,56 @@
+// Dependency tracking and recalculation in the headless engine. Run with npm test
+// (node --test).
+const test = require('node:test');
+const assert = require('node:assert');
+const { Workbook } = require('../excel-grid-engine.js');
+
+// Refs of the cells a workbook evaluates, in order
+const recordEvaluations = (book) => {
+    const evaluated = [];
+    const evaluateCell = book.evaluateCell;
+    book.evaluateCell = function(sheet, row, col) {
+        evaluated.push(this.refOf(this.keyOf(sheet, row, col)));
+        return evaluateCell.call(this, sheet, row, col);
+    };
+    return evaluated;
+};
+
+test('an edit evaluates every dependent once, after its precedents', () => {
+    // A fan-in: D1 reads B1 and C1, which both read A1
+    const book = new Workbook([[1, '=A1*2', '=A1+B1', '=B1+C1', '=D1*D1']]);
+    const evaluated = recordEvaluations(book);
+
+    assert.deepStrictEqual(book.setCellValues([{ row: 0, col: 0, value: 2 }]).sort(), ['A1', 'B1', 'C1', 'D1', 'E1']);
+    assert.deepStrictEqual(evaluated, ['A1', 'B1', 'C1', 'D1', 'E1']);
+    assert.strictEqual(book.getValue('E1'), 100);
+});
+
+test('cells inside a SUM range are dependencies of the sum', () => {
+    const book = new Workbook([[1, '=SUM(A1:A3)'], [2, '=AVERAGE(A1:A3)*B1'], [3, '']]);
+    assert.deepStrictEqual(book.getDependents('A2').sort(), ['B1', 'B2']);
+    assert.deepStrictEqual(book.getDependents('A2', true).sort(), ['B1', 'B2']);
+    assert.strictEqual(book.setValue('A2', 12), 12);
+    assert.strictEqual(book.getValue('B1'), 16);
+    assert.strictEqual(book.getValue('B2'), 16 * 16 / 3);
+
+    // Only the edited cell's edges change
+    book.setValue('B1', '=A3');
+    assert.deepStrictEqual(book.getPrecedents('B1'), ['A3']);
+    assert.deepStrictEqual(book.getDependents('A1'), ['B2']);
+    assert.deepStrictEqual(book.getPrecedents('B2').sort(), ['A1', 'A2', 'A3', 'B1']);
+});
+
+test('cells on a cycle are #CIRC and recover when it is broken', () => {
+    const book = new Workbook([['=B1+1', '=A1+1', '=A1*2', 5]]);
+    for (const ref of ['A1', 'B1', 'C1']) {
+        assert.strictEqual(book.getValue(ref).code, '#CIRC');
+    }
+    assert.strictEqual(book.getValue('D1'), 5);
+
+    book.setValue('B1', '=D1');
+    assert.strictEqual(book.getValue('A1'), 6);
+    assert.strictEqual(book.getValue('C1'), 12);
+
+    assert.strictEqual(book.setValue('D1', '=C1').code, '#CIRC');
+    assert.strictEqual(book.getValue('A1').code, '#CIRC');
+});
@@ -0,0 +1,57 @@
+// Cell references and how formulas are rewritten in the headless engine. Run with
+// npm test (node --test).
+const test = require('node:test');
+const assert = require('node:assert');
+const { Workbook, CellRef, FormulaParser } = require('../excel-grid-engine.js');
+
+test('references may anchor the column, the row or both with $', () => {
+    assert.deepStrictEqual({ ...CellRef.parse('$A$1') }, { row: 0, col: 0, absCol: true, absRow: true });
+    assert.deepStrictEqual({ ...CellRef.parse('A$1') }, { row: 0, col: 0, absCol: false, absRow: true });
+    assert.deepStrictEqual({ ...CellRef.parse('$B3') }, { row: 2, col: 1, absCol: true, absRow: false });
+    assert.strictEqual(CellRef.parse('A1$'), null);
+
+    const book = new Workbook([[2, 3, '=$A$1*B$1', '=$A1+A$1']]);
+    assert.strictEqual(book.getValue('C1'), 6);
+    assert.strictEqual(book.getValue('D1'), 4);
+});
+
+test('copied formulas move their relative references and keep the anchored parts', () => {
+    assert.strictEqual(FormulaParser.translate('=B2*C2*$F$1', 1, 0), '=B3*C3*$F$1');
+    assert.strictEqual(FormulaParser.translate('=SUM($A1:B$2)', 2, 1), '=SUM($A3:C$2)');
+    assert.strictEqual(FormulaParser.translate("=Sheet2!A1+'Q3 Costs'!$B2", 1, 1), "=Sheet2!B2+'Q3 Costs'!$B3");
+    // Above row 1 or left of column A there is no cell
+    assert.strictEqual(FormulaParser.translate('=A1', -1, 0), '=#REF!');
+    assert.strictEqual(FormulaParser.translate('=$A1+B1', 0, -1), '=$A1+A1');
+});
+
+test('inserted rows and columns move the references and ranges past them', () => {
+    const book = new Workbook({
+        sheets: [
+            { name: 'Sheet1', data: [[1, '=A2*2'], [2, '=SUM(A1:A3)'], [3, '=A$3']] },
+            { name: 'Other', data: [['=Sheet1!A3']] }
+        ],
+        names: { Top: 'A1' }
+    });
+    book.insertRows(1, 2);
+    assert.deepStrictEqual(book.getData().raw.map(row => row[1]), ['=A4*2', '', '', '=SUM(A1:A5)', '=A$5']);
+    assert.strictEqual(book.getRawValue('Other!A1'), '=Sheet1!A5');
+    assert.strictEqual(book.getNames().Top, '=Sheet1!$A$1');
+    assert.strictEqual(book.getValue('B4'), 6);
+
+    book.insertColumns(0);
+    assert.deepStrictEqual(book.getData().raw[3], ['', 2, '=SUM(B1:B5)']);
+    assert.strictEqual(book.getRawValue('Other!A1'), '=Sheet1!B5');
+});
+
+test('deleted cells become #REF! and ranges that lose cells shrink', () => {
+    const book = new Workbook([[1, '=A2*2', '=SUM(A1:A3)'], [2, '=A1+A3', ''], [3, '=B1', '=SUM(A2:A3)']], { sheetName: 'Data' });
+    book.deleteRows(1);
+    assert.deepStrictEqual(book.getData().raw, [[1, '=#REF!*2', '=SUM(A1:A2)'], [3, '=B1', '=SUM(A2:A2)']]);
+    assert.strictEqual(book.getValue('B1').code, '#REF!');
+    assert.strictEqual(book.getValue('C1'), 4);
+
+    book.deleteColumns(0);
+    assert.deepStrictEqual(book.getData().raw, [['=#REF!*2', '=SUM(#REF!)'], ['=A1', '=SUM(#REF!)']]);
+    assert.strictEqual(book.getValue('A2').code, '#REF!');
+    assert.throws(() => book.deleteRows(0, 5), /Cannot delete every row/);
+});
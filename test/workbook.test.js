@@ -0,0 +1,112 @@
+// The headless Workbook, without a DOM or jQuery. Run with npm test (node --test).
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Workbook } = require('../excel-grid-engine.js');
+
+test('a workbook sets, evaluates and reports dependencies of cells', () => {
+    const book = new Workbook([
+        ['Price', 'Qty', 'Total'],
+        [9.5, 4, '=A2*B2'],
+        ['', '', '=SUM(C2:C2)']
+    ]);
+    assert.strictEqual(book.getValue('C2'), 38);
+    assert.strictEqual(book.setValue('B2', 10), 10);
+    assert.strictEqual(book.getValue('C3'), 95);
+    assert.deepStrictEqual(book.setCellValues([{ row: 1, col: 0, value: 2 }, { row: 1, col: 1, value: 3 }]).sort(), ['A2', 'B2', 'C2', 'C3']);
+    assert.strictEqual(book.evaluate('=C3*2'), 12);
+    assert.strictEqual(book.getRawValue('C3'), '=SUM(C2:C2)');
+
+    assert.deepStrictEqual(book.getPrecedents('C2'), ['A2', 'B2']);
+    assert.deepStrictEqual(book.getDependents('A2'), ['C2']);
+    assert.deepStrictEqual(book.getDependents('A2', true), ['C2', 'C3']);
+    assert.deepStrictEqual(book.getData(), {
+        raw: [['Price', 'Qty', 'Total'], [2, 3, '=A2*B2'], ['', '', '=SUM(C2:C2)']],
+        evaluated: [['Price', 'Qty', 'Total'], [2, 3, 6], ['', '', 6]]
+    });
+    assert.deepStrictEqual(book.getSize(), { rows: 3, cols: 3 });
+});
+
+test('a workbook of empty cells is sized and rejects data without cells', () => {
+    const book = new Workbook({ rows: 4, cols: 2 });
+    assert.deepStrictEqual(book.getSize(), { rows: 4, cols: 2 });
+    assert.strictEqual(book.getValue('B4'), '');
+    assert.deepStrictEqual(new Workbook([[1], [2, 3]]).getData().raw, [[1, ''], [2, 3]]);
+    assert.throws(() => new Workbook([[]]), /at least one row and one column/);
+});
+
+test('the engine runs as a plain script, as in a classic Web Worker', () => {
+    // No module, window, document or jQuery: the engine defines self.ExcelGridEngine
+    const context = vm.createContext({});
+    vm.runInContext('var self = globalThis;', context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'excel-grid-engine.js'), 'utf8'), context);
+    const book = new context.self.ExcelGridEngine.Workbook([[20, '=A1/4']]);
+    assert.strictEqual(book.getValue('B1'), 5);
+});
+
+test('formulas read other sheets, and renamed or deleted sheets are rewritten', () => {
+    const book = new Workbook({
+        sheets: [
+            { name: 'Sheet1', data: [["=Sheet2!B1*2", "=SUM('Q3 Costs'!A1:A3)", '']] },
+            { name: 'Sheet2', data: [[1, 5]] },
+            { name: 'Q3 Costs', data: [[1, ''], [2, ''], [3, '']] }
+        ]
+    });
+    assert.strictEqual(book.getValue('A1'), 10);
+    assert.strictEqual(book.getValue('B1'), 6);
+    assert.strictEqual(book.setValue('Sheet2!B1', 7), 7);
+    assert.strictEqual(book.getValue('A1'), 14);
+    assert.deepStrictEqual(book.getDependents("'Q3 Costs'!A2"), ['B1']);
+
+    book.renameSheet('Q3 Costs', 'Costs');
+    assert.strictEqual(book.getRawValue('B1'), '=SUM(Costs!A1:A3)');
+    book.setValue('Costs!A3', 30);
+    assert.strictEqual(book.getValue('B1'), 33);
+
+    book.moveSheet('Costs', 0);
+    assert.deepStrictEqual(book.getSheetNames(), ['Costs', 'Sheet1', 'Sheet2']);
+    book.deleteSheet('Sheet2');
+    assert.strictEqual(book.getRawValue('Sheet1!A1'), '=#REF!*2');
+    assert.strictEqual(book.getValue('Sheet1!A1').code, '#REF!');
+    assert.throws(() => book.addSheet('costs'), /already exists/);
+});
+
+test('cycles through other sheets are #CIRC', () => {
+    const book = new Workbook({
+        sheets: [
+            { name: 'Sheet1', data: [["='Q3 Costs'!B1"]] },
+            { name: 'Q3 Costs', data: [['', '=Sheet1!A1+1']] }
+        ]
+    });
+    assert.strictEqual(book.getValue('A1').code, '#CIRC');
+    assert.strictEqual(book.getValue("'Q3 Costs'!B1").code, '#CIRC');
+    book.setValue('A1', 1);
+    assert.strictEqual(book.getValue("'Q3 Costs'!B1"), 2);
+});
+
+test('defined names stand for cells, ranges and constants and recalculate', () => {
+    const book = new Workbook([[10, 2, '=A1*B1*(1+taxrate)', '', '', 0.1], [5, '', '=SUM(Sales)*(1-Discount)', '=Nope*2']]);
+    book.defineName('TaxRate', 'F1');
+    book.defineName('Sales', 'A1:A2');
+    book.defineName('Discount', 0.5);
+    assert.deepStrictEqual(book.getNames(), { TaxRate: '=Sheet1!$F$1', Sales: '=Sheet1!$A$1:$A$2', Discount: '=0.5' });
+    assert.strictEqual(book.getValue('C1'), 22);
+    assert.strictEqual(book.getValue('C2'), 7.5);
+    assert.strictEqual(book.getValue('D2').code, '#NAME?');
+
+    // Edits of the named cells, and new definitions, reach the formulas using them
+    book.setValue('F1', 0.2);
+    assert.strictEqual(book.getValue('C1'), 24);
+    book.setValue('A2', 15);
+    assert.strictEqual(book.getValue('C2'), 12.5);
+    book.defineName('TaxRate', 0);
+    assert.strictEqual(book.getValue('C1'), 20);
+    book.deleteName('Discount');
+    assert.strictEqual(book.getValue('C2').code, '#NAME?');
+
+    for (const name of ['Q3', 'TAX2026', '1x', 'a b']) {
+        assert.throws(() => book.defineName(name, 1), /Invalid name/);
+    }
+});